@@ -5,19 +5,37 @@
  * code-maester CLI
  * --------------
  * Usage:
- *   code-maester <file|glob>                      — one-shot analysis
+ *   code-maester <file|dir|glob…>                 — one-shot analysis
  *   code-maester <file|glob> --watch              — watch mode (live reload)
  *   code-maester <file|glob> --watch --server URL — custom backend WS URL
+ *   code-maester <file|glob> --watch --serve [port] — built-in dashboard
+ *   code-maester compare <base> [head]            — compare two git refs
+ *   code-maester format <glob…> --write|--check   — format files in place / verify
  *
  * Watch mode:
  *   1. Watches the given file/glob with chokidar
  *   2. On every save → runs analyzeFile() locally
  *   3. Pushes results to backend via WS (type: "cli:result")
  *   4. Backend rebroadcasts to all connected browser tabs as "watch:result"
+ *   5. If the backend goes away, reconnects with backoff and replays the
+ *      latest result of every file
+ *   With --serve, src/server plays the backend's part in-process and serves
+ *   the dashboard itself.
  */
 
+const fs = require("fs");
 const path = require("path");
 const codeCheck = require("../src/index.js");
+const ndjsonLines = require("../src/reporters/ndjson");
+const { plural } = require("../src/reporters/issues");
+const gitRepo = require("../src/git");
+const qualityGates = require("../src/gates");
+const EXTENSION_MAP = require("../src/detect/extensions");
+const { CONFIG_FILENAMES } = require("../src/config/loader");
+const { createWatchServer, createWatchState, DEFAULT_PORT } = require("../src/server");
+
+// A failed gate is a verdict on the code; an error means it could not be checked
+const EXIT = { OK: 0, GATES_FAILED: 1, ERROR: 2 };
 
 /**
  * Require an optional CLI dependency. Prints a helpful install message if missing.
@@ -28,7 +46,7 @@ function requireOptional(pkg) {
     } catch {
         err(`Optional dependency '${pkg}' is not installed.`);
         err(`Run: ${c("cyan", `npm install ${pkg}`)} to use this feature.`);
-        process.exit(1);
+        process.exit(EXIT.ERROR);
     }
 }
 
@@ -68,6 +86,28 @@ function log(msg) { process.stdout.write(`${ts()} ${msg}\n`); }
 function err(msg) { process.stderr.write(`${ts()} ${c("red", "✖")} ${msg}\n`); }
 function ok(msg) { process.stdout.write(`${ts()} ${c("green", "✔")} ${msg}\n`); }
 function info(msg) { process.stdout.write(`${ts()} ${c("cyan", "ℹ")} ${msg}\n`); }
+function warn(msg) { process.stderr.write(`${ts()} ${c("yellow", "⚠")} ${msg}\n`); }
+function debug(msg) { process.stderr.write(`${ts()} ${dim(`[debug] ${msg}`)}\n`); }
+
+/**
+ * Live one-line status on stderr, redrawn in place; `null` clears it.
+ * Only drawn on a terminal, so piped and CI output stay clean.
+ */
+function progress(msg) {
+    if (!process.stderr.isTTY) return;
+    const width = (process.stderr.columns || 80) - 1;
+    process.stderr.write(`\r\x1b[K${msg === null ? "" : dim(msg.length > width ? `…${msg.slice(-(width - 1))}` : msg)}`);
+}
+
+// ── Cancellation ──────────────────────────────────────────────────────────────
+
+// Aborted on the first Ctrl+C of an analysis run, so in-flight work stops cleanly
+const interrupt = new AbortController();
+
+function exitCancelled() {
+    err("Analysis cancelled");
+    process.exit(130);
+}
 
 // ── Argument parsing ───────────────────────────────────────────────────────────
 
@@ -77,10 +117,34 @@ function parseArgs(argv) {
         pattern: null,
         watch: false,
         server: "ws://localhost:3001/ws",
+        serverToken: process.env.CODE_MAESTER_SERVER_TOKEN || null,
+        serverHeaders: [],
+        serve: null,
         help: false,
         version: false,
-        json: false,
+        format: "pretty",
+        output: null,
+        linkBase: null,
         project: false,
+        configFile: null,
+        baseline: null,
+        writeBaseline: null,
+        cache: true,
+        cacheLocation: null,
+        concurrency: 1,
+        timeout: null,
+        diffFile: null,
+        changedSince: null,
+        issuesWithoutLine: "include",
+        fix: false,
+        fixDryRun: false,
+        write: false,
+        backup: false,
+        check: false,
+        listDifferent: false,
+        gates: {},
+        ignore: true,
+        debug: false,
         patterns: [],
     };
 
@@ -90,8 +154,70 @@ function parseArgs(argv) {
             opts.watch = true;
         } else if (arg === "--server" || arg === "-s") {
             opts.server = args[++i];
+        } else if (arg === "--server-token") {
+            opts.serverToken = args[++i];
+        } else if (arg === "--server-header") {
+            opts.serverHeaders.push(args[++i]);
+        } else if (arg === "--serve") {
+            // The port is optional: only a number right after --serve is taken as one
+            opts.serve = /^\d+$/.test(args[i + 1] || "") ? Number(args[++i]) : DEFAULT_PORT;
         } else if (arg === "--json") {
-            opts.json = true;
+            opts.format = "json";
+        } else if (arg === "--format" || arg === "-f") {
+            opts.format = args[++i];
+        } else if (arg === "--output" || arg === "-o") {
+            opts.output = args[++i];
+        } else if (arg === "--link-base") {
+            opts.linkBase = args[++i];
+        } else if (arg === "--config" || arg === "-c") {
+            opts.configFile = args[++i];
+        } else if (arg === "--baseline") {
+            opts.baseline = args[++i];
+        } else if (arg === "--write-baseline") {
+            opts.writeBaseline = args[++i];
+        } else if (arg === "--no-cache") {
+            opts.cache = false;
+        } else if (arg === "--cache-location") {
+            opts.cacheLocation = args[++i];
+        } else if (arg === "--concurrency" || arg === "-j") {
+            opts.concurrency = Number(args[++i]);
+        } else if (arg === "--timeout") {
+            opts.timeout = Number(args[++i]);
+        } else if (arg === "--diff-file") {
+            opts.diffFile = args[++i];
+        } else if (arg === "--changed-since") {
+            opts.changedSince = args[++i];
+        } else if (arg === "--issues-without-line") {
+            opts.issuesWithoutLine = args[++i];
+        } else if (arg === "--fix") {
+            opts.fix = true;
+        } else if (arg === "--fix-dry-run") {
+            opts.fixDryRun = true;
+        } else if (arg === "--write") {
+            opts.write = true;
+        } else if (arg === "--backup") {
+            opts.backup = true;
+        } else if (arg === "--check") {
+            opts.check = true;
+        } else if (arg === "--list-different" || arg === "-l") {
+            opts.listDifferent = true;
+        } else if (arg === "--min-score") {
+            opts.gates.minScore = Number(args[++i]);
+        } else if (arg === "--min-grade") {
+            opts.gates.minGrade = args[++i];
+        } else if (arg === "--fail-on") {
+            opts.gates.failOn = [...(opts.gates.failOn || []), ...String(args[++i]).split(",")];
+        } else if (arg === "--max-issues") {
+            for (const entry of String(args[++i]).split(",")) {
+                const [category, max] = entry.split("=");
+                opts.gates.maxIssues = { ...opts.gates.maxIssues, [category]: max === undefined ? NaN : Number(max) };
+            }
+        } else if (arg === "--max-complexity") {
+            opts.gates.maxComplexity = Number(args[++i]);
+        } else if (arg === "--no-ignore") {
+            opts.ignore = false;
+        } else if (arg === "--debug") {
+            opts.debug = true;
         } else if (arg === "--project" || arg === "-p") {
             opts.project = true;
         } else if (arg === "--version" || arg === "-v") {
@@ -139,6 +265,11 @@ function printReport(report, filePath) {
         `Lint: ${c(lintCount ? "yellow" : "green", lintCount)}  ` +
         `Complexity: ${c(cplxCount ? "orange" : "green", cplxCount)}`,
     );
+    if (report.suppressed && report.suppressed.length > 0) {
+        console.log(`  ${dim(`Suppressed by inline directives: ${report.suppressed.length}`)}`);
+    }
+    printBaselineSummary(report.baseline);
+    printChangedLinesSummary(report.changedLines);
 
     // Issues detail
     function printIssues(label, issues, color) {
@@ -157,6 +288,12 @@ function printReport(report, filePath) {
         }
     }
 
+    const fixable = [...(report.bugs || []), ...(report.lint || []), ...(report.security || [])].filter((i) => i.fix);
+    if (fixable.length > 0) {
+        console.log(`  ${dim(`Fixable with --fix: ${fixable.length}`)}`);
+    }
+
+    printIssues("Diagnostics", report.diagnostics, "orange");
     printIssues("Bugs", report.bugs, "red");
     printIssues("Security", report.security, "purple");
     printIssues("Lint", report.lint, "yellow");
@@ -183,141 +320,661 @@ function printReport(report, filePath) {
     console.log(`\n${divider}\n`);
 }
 
+/**
+ * Text cut to `width` characters from the left (keeping the file name end),
+ * then padded.
+ */
+function fit(text, width) {
+    const cut = text.length > width ? `…${text.slice(-(width - 1))}` : text;
+    return cut.padEnd(width);
+}
+
+/**
+ * A multi-file one-shot run: a score table, the line-weighted overall score
+ * and the worst offenders with their first issues.
+ */
+function printSummary(reports, summary) {
+    const divider = c("dim", "─".repeat(72));
+    const rel = (file) => path.relative(process.cwd(), file);
+
+    console.log();
+    console.log(divider);
+    console.log(`  ${bold("code-maester")} ${dim("—")} ${c("cyan", plural(summary.files, "file"))}`);
+    console.log(divider);
+    console.log(dim(`  ${"File".padEnd(38)} ${"Lines".padStart(6)} ${"Score".padStart(6)}  ${"Grade".padEnd(5)} ${"Bugs".padStart(4)} ${"Sec".padStart(4)} ${"Lint".padStart(5)}`));
+    reports.forEach((report) => {
+        const counts = {
+            bugs: (report.bugs || []).length,
+            security: (report.security || []).length,
+            lint: (report.lint || []).length,
+        };
+        const grade = report.grade || "?";
+        const score = typeof report.score === "number" ? report.score.toFixed(1) : "—";
+        console.log(
+            `  ${fit(rel(report.filePath), 38)} ${String(report.lines).padStart(6)} ` +
+            `${c(gradeColour(grade), score.padStart(6))}  ${c(gradeColour(grade), grade.padEnd(5))} ` +
+            `${c(counts.bugs ? "red" : "green", String(counts.bugs).padStart(4))} ` +
+            `${c(counts.security ? "purple" : "green", String(counts.security).padStart(4))} ` +
+            `${c(counts.lint ? "yellow" : "green", String(counts.lint).padStart(5))}`,
+        );
+    });
+    console.log(divider);
+
+    if (summary.score !== null) {
+        const gc = gradeColour(summary.grade);
+        console.log(
+            `  Overall: ${bold(c(gc, summary.score.toFixed(1)))}  Grade: ${bold(c(gc, summary.grade))}  ` +
+            dim(`(weighted by ${summary.lines} lines)`),
+        );
+    }
+    const { issues } = summary;
+    console.log(
+        `  Bugs: ${c(issues.bugs ? "red" : "green", issues.bugs)}  ` +
+        `Security: ${c(issues.security ? "purple" : "green", issues.security)}  ` +
+        `Lint: ${c(issues.lint ? "yellow" : "green", issues.lint)}  ` +
+        `Complexity: ${c(issues.complexity ? "orange" : "green", issues.complexity)}`,
+    );
+    if (summary.filesTimedOut > 0) {
+        console.log(`  ${c("orange", `Timed out (not checked): ${summary.filesTimedOut}`)}`);
+    }
+
+    if (summary.worst.length > 0) {
+        console.log();
+        console.log(`  ${bold("Worst offenders:")}`);
+        summary.worst.forEach((file, idx) => {
+            const report = reports.find((r) => r.filePath === file.filePath);
+            const first = [...report.bugs, ...report.security, ...report.lint].slice(0, 3);
+            console.log(
+                `    ${c("red", `${idx + 1}.`)} ${c("cyan", rel(file.filePath))}  ` +
+                `${c(gradeColour(file.grade), `${file.score.toFixed(1)} (${file.grade})`)}  ${dim(plural(file.issues.total, "issue"))}`,
+            );
+            first.forEach((issue) => {
+                const loc = issue.line ? dim(`L${issue.line} `) : "";
+                console.log(`         ${loc}${issue.message}`);
+            });
+        });
+    }
+    console.log();
+    console.log(divider);
+    console.log();
+}
+
+/**
+ * Known issues hidden by --baseline, and baseline entries that no longer occur.
+ */
+function printBaselineSummary(baseline) {
+    if (!baseline) return;
+    console.log(`  ${dim(`Known issues hidden by baseline: ${baseline.baselined.length}`)}`);
+    if (baseline.fixed.length === 0) return;
+    console.log(
+        `  ${c("green", `Fixed since baseline: ${baseline.fixed.length}`)} ` +
+        `${dim("— re-run with --write-baseline to prune:")}`,
+    );
+    baseline.fixed.slice(0, 10).forEach((entry) => {
+        console.log(`    ${c("green", "✔")} ${entry.file}:${entry.line} ${dim("[" + entry.rule + "]")} ${entry.message}`);
+    });
+    if (baseline.fixed.length > 10) {
+        console.log(`    ${dim(`… and ${baseline.fixed.length - 10} more`)}`);
+    }
+}
+
 // ── WebSocket push helper ─────────────────────────────────────────────────────
 
+// Reconnect after 1s, 2s, 4s… up to 30s; a ping every 15s that goes
+// unanswered until the next one drops the connection
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const HEARTBEAT_MS = 15000;
+const CLOSE_TIMEOUT_MS = 1000;
+
+/**
+ * Pushes cli:* messages to the backend, and keeps doing so across backend
+ * restarts. Every message is folded into a watch state (src/server/state.js)
+ * as it is sent, holding the latest result per file, so nothing queues up
+ * while the backend is away. On every (re)connect the state is replayed in
+ * full, starting with cli:watch:start, and the backend catches up on every
+ * watched file.
+ */
 class BackendWS {
-    constructor(url) {
+    /**
+     * @param {string} url
+     * @param {object} [options]
+     * @param {string|null} [options.token] - sent as `Authorization: Bearer <token>`
+     * @param {object} [options.headers] - extra headers for the handshake
+     */
+    constructor(url, { token = null, headers = {} } = {}) {
         this.url = url;
+        this.headers = token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
         this.ws = null;
         this.ready = false;
-        this._queue = [];
+        this.closed = false;
+        this.state = createWatchState();
+        this._attempts = 0;
+        this._retryTimer = null;
+        this._heartbeat = null;
+        this._onOpen = null;
     }
 
     connect() {
         return new Promise((resolve) => {
-            const WebSocket = requireOptional("ws");
+            this._onOpen = resolve;
             info(`Connecting to backend ${c("cyan", this.url)} …`);
-            this.ws = new WebSocket(this.url);
-
-            this.ws.on("open", () => {
-                this.ready = true;
-                ok(`Connected to backend WebSocket`);
-                // flush queued messages
-                this._queue.forEach((m) => this.ws.send(m));
-                this._queue = [];
-                resolve();
-            });
+            this._open();
 
-            this.ws.on("message", (raw) => {
-                try {
-                    const msg = JSON.parse(raw.toString());
-                    if (msg.type === "connected") {
-                        info(`Backend assigned client ID: ${c("dim", msg.id)}`);
-                    }
-                } catch {/* ignore */ }
-            });
+            // If connection fails within 3s, resolve anyway (offline mode)
+            setTimeout(resolve, 3000);
+        });
+    }
 
-            this.ws.on("error", (e) => {
-                err(`Backend WS error: ${e.message}`);
-                this.ready = false;
-            });
+    _open() {
+        const WebSocket = requireOptional("ws");
+        const ws = new WebSocket(this.url, { headers: this.headers });
+        this.ws = ws;
+        let alive = true;
+
+        ws.on("open", () => {
+            this.ready = true;
+            if (this._attempts === 0) ok(`Connected to backend WebSocket`);
+            else ok(`Reconnected to backend WebSocket after ${this._attempts} attempt(s)`);
+            this._attempts = 0;
+
+            // Replay the session, so a restarted backend knows every file again
+            const replay = this.state.messages();
+            replay.forEach((message) => ws.send(JSON.stringify(message)));
+            if (replay.length > 0) info(`Replayed the latest state of ${this.state.files()} file(s)`);
+
+            this._heartbeat = setInterval(() => {
+                if (!alive) {
+                    err("Backend did not answer a ping; reconnecting");
+                    ws.terminate();
+                    return;
+                }
+                alive = false;
+                ws.ping();
+            }, HEARTBEAT_MS);
+            this._heartbeat.unref();
 
-            this.ws.on("close", () => {
-                this.ready = false;
-                info("Disconnected from backend WebSocket");
-            });
+            if (this._onOpen) this._onOpen();
+            this._onOpen = null;
+        });
 
-            // If connection fails within 3s, resolve anyway (offline mode)
-            setTimeout(resolve, 3000);
+        ws.on("pong", () => {
+            alive = true;
         });
+
+        ws.on("message", (raw) => {
+            try {
+                const msg = JSON.parse(raw.toString());
+                if (msg.type === "connected") {
+                    info(`Backend assigned client ID: ${c("dim", msg.id)}`);
+                }
+            } catch {/* ignore */ }
+        });
+
+        ws.on("error", (e) => {
+            // Only the first failure of a streak; retries stay quiet until one succeeds
+            if (this.closed || this._attempts > 0) return;
+            err(`Backend WS error: ${e.message}`);
+            if (/\b40[13]\b/.test(e.message)) {
+                err(`The backend refused the connection; check --server-token / --server-header`);
+            }
+        });
+
+        ws.on("close", () => {
+            clearInterval(this._heartbeat);
+            this.ready = false;
+            if (this.closed) return;
+            if (this._attempts === 0) info("Disconnected from backend WebSocket");
+            this._reconnect();
+        });
+    }
+
+    _reconnect() {
+        const delay = Math.min(RECONNECT_MIN_MS * 2 ** this._attempts, RECONNECT_MAX_MS);
+        if (this._attempts === 0) {
+            info(`Reconnecting in ${delay / 1000}s, then every ${RECONNECT_MAX_MS / 1000}s at most; results are kept meanwhile`);
+        }
+        this._attempts++;
+        // Jitter, so CLIs that lost the same backend do not all come back at once
+        this._retryTimer = setTimeout(() => this._open(), delay * (0.8 + Math.random() * 0.4));
+        this._retryTimer.unref();
     }
 
     send(payload) {
-        const raw = JSON.stringify(payload);
+        this.state.apply(payload);
         if (this.ws && this.ws.readyState === 1 /* WebSocket.OPEN */) {
-            this.ws.send(raw);
-        } else {
-            this._queue.push(raw);
+            this.ws.send(JSON.stringify(payload));
         }
     }
 
+    /**
+     * Stop reconnecting and close, after sending what is buffered (e.g.
+     * cli:watch:stop) or CLOSE_TIMEOUT_MS, whichever comes first.
+     */
     close() {
-        if (this.ws) {
-            this.ws.close();
-            this.ws = null;
+        this.closed = true;
+        clearTimeout(this._retryTimer);
+        clearInterval(this._heartbeat);
+        const ws = this.ws;
+        this.ws = null;
+        if (!ws) return Promise.resolve();
+        if (ws.readyState !== 1 /* WebSocket.OPEN */) {
+            ws.terminate();
+            return Promise.resolve();
         }
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                ws.terminate();
+                resolve();
+            }, CLOSE_TIMEOUT_MS);
+            ws.once("close", () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            ws.close();
+        });
+    }
+}
+
+// ── Changed lines ─────────────────────────────────────────────────────────────
+
+/**
+ * The `onlyChangedLines` option for --diff-file / --changed-since, or null.
+ * Read on every call, so watch mode follows a working tree that keeps changing.
+ */
+async function changedLinesOption(opts) {
+    let patch;
+    let root = process.cwd();
+    if (opts.diffFile) {
+        patch = fs.readFileSync(opts.diffFile === "-" ? 0 : opts.diffFile, "utf-8");
+    } else if (opts.changedSince) {
+        root = await gitRepo.repoRoot(process.cwd());
+        patch = await gitRepo.diffSince(root, opts.changedSince);
+    } else {
+        return null;
+    }
+    return { patch, root, issuesWithoutLine: opts.issuesWithoutLine };
+}
+
+/**
+ * How many issues --diff-file / --changed-since left out.
+ */
+function printChangedLinesSummary(changedLines) {
+    if (!changedLines) return;
+    console.log(`  ${dim(`Issues outside changed lines (not shown): ${changedLines.hidden}`)}`);
+}
+
+// ── Quality gates ─────────────────────────────────────────────────────────────
+
+function gateOptions(opts) {
+    return { gates: opts.gates, configFile: opts.configFile };
+}
+
+/**
+ * What the gates look at in a file report; project runs keep only this much
+ * of each file while streaming.
+ */
+function gateView(report) {
+    const { filePath, score, timedOut, bugs, lint, security, redundancy, complexity } = report;
+    return { filePath, score, timedOut, bugs, lint, security, redundancy, complexity: { functions: (complexity && complexity.functions) || [] } };
+}
+
+function printGates(result) {
+    const status = result.passed ? c("green", "passed") : c("red", "failed");
+    console.log(`  ${bold("Quality gates:")} ${status}`);
+    result.gates.forEach((gate) => {
+        const mark = gate.passed ? c("green", "✔") : c("red", "✖");
+        console.log(`    ${mark} ${gate.gate} ${c("cyan", String(gate.threshold))}  ${dim(gate.message)}`);
+    });
+    console.log("");
+}
+
+function gateExitCode(result) {
+    return result.passed ? EXIT.OK : EXIT.GATES_FAILED;
+}
+
+// ── Report output ─────────────────────────────────────────────────────────────
+
+/**
+ * Progress messages go to stdout, so keep quiet while a machine-readable
+ * report is being written there.
+ */
+function isQuiet(opts) {
+    return opts.format !== "pretty" && !opts.output;
+}
+
+/**
+ * Write a rendered report to --output, or to stdout.
+ */
+function emit(text, opts) {
+    const out = text.endsWith("\n") ? text : text + "\n";
+    if (opts.output) {
+        fs.writeFileSync(opts.output, out);
+        ok(`Report written to ${c("cyan", opts.output)}`);
+    } else {
+        process.stdout.write(out);
+    }
+}
+
+// ── Fixes ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Apply the report's fixes to the file (--fix), or print them as a patch
+ * (--fix-dry-run). Returns the report of the fixed code, so the score shown
+ * is the one after fixing.
+ */
+async function fixFile(file, report, options, opts) {
+    const issues = [...report.bugs, ...report.lint, ...report.security];
+    if (!issues.some((i) => i.fix)) return report;
+
+    const code = fs.readFileSync(file, "utf-8");
+    const result = await codeCheck.applyFixes(code, issues, { ...options, filePath: file });
+    if (!result.report) return report;
+
+    const rel = path.relative(process.cwd(), path.resolve(file));
+    if (opts.fixDryRun) {
+        const { createTwoFilesPatch } = require("diff");
+        const patch = createTwoFilesPatch(`a/${rel}`, `b/${rel}`, code, result.output);
+        // Keep stdout for the report itself when it is machine-readable
+        (opts.format === "pretty" ? process.stdout : process.stderr).write(patch);
+    } else {
+        fs.writeFileSync(file, result.output);
+    }
+    if (!isQuiet(opts)) {
+        ok(`${opts.fixDryRun ? "Would fix" : "Fixed"} ${result.applied.length} issue(s) in ${c("cyan", rel)}`);
     }
+    return result.report;
 }
 
 // ── One-shot analysis ─────────────────────────────────────────────────────────
 
-async function runOnce(pattern, opts) {
-    info(`Analysing ${c("cyan", pattern)} …`);
+async function runOnce(patterns, opts) {
     try {
-        const report = await codeCheck.analyzeFile(pattern);
-        if (opts.json) {
-            console.log(JSON.stringify(report, null, 2));
+        const files = await expandTargets(patterns, opts);
+        if (files.length === 0) {
+            err("No source files found matching the patterns");
+            process.exit(EXIT.ERROR);
+        }
+
+        const onlyChangedLines = await changedLinesOption(opts);
+        const reports = [];
+        const failures = [];
+        for (const [index, file] of files.entries()) {
+            if (files.length === 1) {
+                if (!isQuiet(opts)) info(`Analysing ${c("cyan", file)} …`);
+            } else {
+                progress(`Analysing ${index + 1}/${files.length} ${file}`);
+            }
+            const options = {
+                configFile: opts.configFile,
+                baseline: opts.baseline,
+                timeoutMs: opts.timeout,
+                onlyChangedLines,
+                signal: interrupt.signal,
+            };
+            try {
+                const report = await codeCheck.analyzeFile(file, options);
+                reports.push(opts.fix || opts.fixDryRun ? await fixFile(file, report, options, opts) : report);
+            } catch (e) {
+                // One unreadable file should not hide the results of the others
+                if (files.length === 1 || interrupt.signal.aborted) throw e;
+                failures.push({ file, error: e });
+            }
+        }
+        progress(null);
+        failures.forEach(({ file, error }) => err(`Could not analyse ${file}: ${error.message}`));
+
+        const gates = codeCheck.evaluateGates(reports, gateOptions(opts));
+        const summary = files.length > 1 ? codeCheck.summarizeReports(reports) : null;
+        if (opts.format === "pretty") {
+            if (summary) printSummary(reports, summary);
+            else printReport(reports[0], files[0]);
+            printGates(gates);
         } else {
-            printReport(report, pattern);
+            let results = summary ? reports : reports[0];
+            if (opts.format === "json") {
+                results = summary ? { reports, summary, qualityGates: gates } : { ...results, qualityGates: gates };
+            }
+            emit(codeCheck.formatReport(results, opts.format, { linkBase: opts.linkBase }), opts);
         }
-        const exitCode = (report.bugs || []).length > 0 || (report.security || []).length > 0 ? 1 : 0;
-        process.exit(exitCode);
+
+        const errored = failures.length > 0 || reports.some((r) => r.timedOut);
+        process.exit(errored ? EXIT.ERROR : gateExitCode(gates));
     } catch (e) {
+        progress(null);
+        if (interrupt.signal.aborted) exitCancelled();
         err(`Analysis failed: ${e.message}`);
-        process.exit(1);
+        process.exit(EXIT.ERROR);
     }
 }
 
-// ── Project analysis ──────────────────────────────────────────────────────────
+// ── Baseline ──────────────────────────────────────────────────────────────────
 
-async function runProject(patterns, opts) {
-    const { glob } = requireOptional("glob");
-    const fs = require("fs").promises;
+async function runWriteBaseline(opts) {
+    const files = opts.project ? await expandPatterns(opts.patterns, opts) : await expandTargets(opts.patterns, opts);
+    if (files.length === 0) {
+        err("No files found matching the patterns");
+        process.exit(EXIT.ERROR);
+    }
 
-    if (!opts.json) {
-        info(`Running project-level analysis…`);
+    info(`Recording current findings for ${c("cyan", files.length)} file(s) …`);
+    try {
+        const result = await codeCheck.writeBaseline(files, opts.writeBaseline, {
+            configFile: opts.configFile,
+            project: opts.project,
+            timeoutMs: opts.timeout,
+            ignore: opts.ignore,
+            signal: interrupt.signal,
+        });
+        ok(`Baseline written to ${c("cyan", path.relative(process.cwd(), result.path))} (${result.issues} issues)`);
+        process.exit(0);
+    } catch (e) {
+        if (interrupt.signal.aborted) exitCancelled();
+        err(`Writing baseline failed: ${e.message}`);
+        process.exit(EXIT.ERROR);
     }
+}
+
+// ── Project analysis ──────────────────────────────────────────────────────────
+
+/**
+ * Expand glob patterns to a de-duplicated list of file paths.
+ */
+/**
+ * The ignore rules of file discovery (see createIgnoreFilter()), off with
+ * --no-ignore. `skipped()` says whether to leave a path out and, with
+ * --debug, why; `globIgnore` lets glob skip ignored directories unread.
+ */
+function discoveryFilter(opts) {
+    const filter = codeCheck.createIgnoreFilter({ ignore: opts.ignore, configFile: opts.configFile });
+    const reported = new Set();
+    const skipped = (filePath, directory = false) => {
+        const found = filter.explain(filePath, { directory });
+        const shown = `${path.relative(process.cwd(), filePath)}${directory ? "/" : ""}`;
+        if (found && opts.debug && !reported.has(shown)) {
+            reported.add(shown);
+            debug(`Ignored ${shown}: ${found.reason}`);
+        }
+        return Boolean(found);
+    };
+    return {
+        skipped,
+        explain: (filePath) => filter.explain(filePath),
+        globIgnore: {
+            ignored: (entry) => skipped(entry.fullpath(), entry.isDirectory()),
+            childrenIgnored: (entry) => skipped(entry.fullpath(), true),
+        },
+    };
+}
+
+/**
+ * Expand glob patterns to a de-duplicated list of file paths, without
+ * ignored files.
+ */
+async function expandPatterns(patterns, opts) {
+    const { glob } = requireOptional("glob");
+    const filter = discoveryFilter(opts);
 
-    // Expand all patterns to file paths
     let allFiles = [];
     for (const pattern of patterns) {
-        const files = await glob(pattern, { nodir: true });
+        const files = await glob(pattern, { nodir: true, ignore: filter.globIgnore });
         allFiles = allFiles.concat(files);
     }
 
-    // Remove duplicates
-    allFiles = [...new Set(allFiles)];
+    return [...new Set(allFiles)];
+}
+
+/**
+ * Whether a path is one expandPatterns() would list for `patterns`, checked
+ * on the path alone rather than by listing the directories again.
+ */
+function patternMatcher(patterns, opts) {
+    const { minimatch } = requireOptional("minimatch");
+    const posix = (file) => path.resolve(file).split(path.sep).join("/");
+    const absolute = patterns.map(posix);
+    const filter = discoveryFilter({ ...opts, debug: false });
+    return (filePath) =>
+        absolute.some((pattern) => minimatch(posix(filePath), pattern)) && !filter.skipped(path.resolve(filePath));
+}
+
+function isSourceFile(file, opts) {
+    const supported = Object.prototype.hasOwnProperty.call(EXTENSION_MAP, path.extname(file).slice(1).toLowerCase());
+    if (!supported && opts.debug) debug(`Skipped ${file}: no analyser for its extension`);
+    return supported;
+}
+
+/**
+ * Files for a one-shot run: files named directly (whatever their extension),
+ * every source file under a directory, and the source files a glob matches.
+ * Unsupported extensions are skipped, using detect/extensions.js, and so
+ * are ignored files.
+ */
+async function expandTargets(patterns, opts) {
+    const { glob, hasMagic } = requireOptional("glob");
+    const filter = discoveryFilter(opts);
+    const sources = (found) => found.filter((file) => isSourceFile(file, opts)).sort();
+
+    const files = [];
+    for (const pattern of patterns) {
+        const stat = fs.statSync(pattern, { throwIfNoEntry: false });
+        if (stat && stat.isFile()) {
+            const found = filter.explain(pattern);
+            if (found) warn(`Skipping ${pattern}: ignored by ${found.reason} (use --no-ignore to include it)`);
+            else files.push(pattern);
+        } else if (stat && stat.isDirectory()) {
+            if (filter.skipped(path.resolve(pattern), true)) continue;
+            const found = await glob("**/*", { cwd: pattern, nodir: true, ignore: filter.globIgnore });
+            files.push(...sources(found).map((file) => path.join(pattern, file)));
+        } else if (hasMagic(pattern)) {
+            files.push(...sources(await glob(pattern, { nodir: true, ignore: filter.globIgnore })));
+        } else {
+            throw new Error(`No such file or directory: ${pattern}`);
+        }
+    }
+
+    return [...new Set(files)];
+}
+
+async function runProject(patterns, opts) {
+    if (!isQuiet(opts)) {
+        info(`Running project-level analysis…`);
+    }
+
+    const allFiles = await expandPatterns(patterns, opts);
 
     if (allFiles.length === 0) {
-        if (!opts.json) {
+        if (opts.format === "pretty") {
             err("No files found matching the patterns");
         }
-        process.exit(1);
+        process.exit(EXIT.ERROR);
     }
 
-    if (!opts.json) {
+    if (!isQuiet(opts)) {
         info(`Found ${c("cyan", allFiles.length)} files to analyze`);
     }
 
+    // Report formats such as SARIF cover per-file issues as well
+    const includeFileReports = opts.format !== "pretty" && opts.format !== "json";
+    const ndjson = opts.format === "ndjson";
+    const outFd = ndjson && opts.output ? fs.openSync(opts.output, "w") : null;
+    const writeLine = (line) => {
+        if (outFd !== null) fs.writeSync(outFd, line + "\n");
+        else process.stdout.write(line + "\n");
+    };
+
     try {
-        const report = await codeCheck.analyzeProject(allFiles, opts);
+        const onlyChangedLines = await changedLinesOption(opts);
+        const gatesNeedFiles = qualityGates.needsFileReports(codeCheck.gatesFor(gateOptions(opts)));
+        const stream = codeCheck.analyzeProjectStream(allFiles, {
+            configFile: opts.configFile,
+            baseline: opts.baseline,
+            cache: opts.cache,
+            cacheLocation: opts.cacheLocation,
+            concurrency: opts.concurrency,
+            timeoutMs: opts.timeout,
+            onlyChangedLines,
+            signal: interrupt.signal,
+            ignore: opts.ignore,
+            includeFileReports: includeFileReports || gatesNeedFiles,
+        });
 
-        if (opts.json) {
-            console.log(JSON.stringify(report, null, 2));
-        } else {
+        const fileReports = [];
+        const gateReports = [];
+        const failures = [];
+        let projectAnalysis = null;
+        let finished = 0;
+
+        for await (const event of stream) {
+            if (event.type === "file:done" || event.type === "file:error") {
+                finished++;
+                progress(`Analysing ${finished}/${event.total} ${path.relative(process.cwd(), event.filePath)}`);
+            }
+            if (event.type === "file:done") {
+                // NDJSON goes out as files finish; other formats need the whole set
+                if (ndjson) writeLine(ndjsonLines.fileLine(event.filePath, event.report));
+                else if (includeFileReports) fileReports[event.index] = event.report;
+                if (gatesNeedFiles) gateReports.push(gateView(event.report));
+            } else if (event.type === "file:error") {
+                failures.push(event);
+                if (ndjson) writeLine(ndjsonLines.errorLine(event.filePath, event.error));
+            } else if (event.type === "summary") {
+                projectAnalysis = event.projectAnalysis;
+            }
+        }
+        progress(null);
+
+        failures.forEach(({ filePath, error }) => {
+            err(`Could not analyse ${path.relative(process.cwd(), filePath)}: ${error.message}`);
+        });
+
+        const report = { projectAnalysis, fileReports: includeFileReports ? fileReports : undefined };
+        const gates = codeCheck.evaluateGates({ projectAnalysis, fileReports: gateReports }, gateOptions(opts));
+        if (ndjson) {
+            writeLine(ndjsonLines.summaryLine(projectAnalysis));
+            if (outFd !== null) {
+                fs.closeSync(outFd);
+                ok(`Report written to ${c("cyan", opts.output)}`);
+            }
+        } else if (opts.format === "pretty") {
             printProjectReport(report);
+            printGates(gates);
+        } else {
+            const results = opts.format === "json" ? { ...report, qualityGates: gates } : report;
+            emit(codeCheck.formatReport(results, opts.format, { linkBase: opts.linkBase }), opts);
         }
 
-        const exitCode = report.projectAnalysis.structural.filter(i => i.severity === "error").length > 0 ? 1 : 0;
-        process.exit(exitCode);
+        const errored = failures.length > 0 || projectAnalysis.filesTimedOut > 0;
+        process.exit(errored ? EXIT.ERROR : gateExitCode(gates));
     } catch (e) {
-        if (opts.json) {
+        progress(null);
+        if (interrupt.signal.aborted) exitCancelled();
+        if (opts.format === "json") {
             console.error(JSON.stringify({ error: e.message }));
         } else {
             err(`Project analysis failed: ${e.message}`);
             console.error(e.stack);
         }
-        process.exit(1);
+        process.exit(EXIT.ERROR);
     }
 }
 
@@ -331,6 +988,11 @@ function printProjectReport(report) {
 
     console.log(`  Files Analyzed: ${c("cyan", projectAnalysis.filesAnalyzed)}`);
     console.log(`  Total Issues: ${c(projectAnalysis.summary.totalIssues ? "yellow" : "green", projectAnalysis.summary.totalIssues)}`);
+    if (projectAnalysis.cache) {
+        console.log(`  ${dim(`Cache: ${projectAnalysis.cache.hits} unchanged, ${projectAnalysis.cache.misses} analysed`)}`);
+    }
+    printBaselineSummary(projectAnalysis.baseline);
+    printChangedLinesSummary(projectAnalysis.changedLines);
     console.log(divider);
 
     // Summary
@@ -385,37 +1047,329 @@ function printProjectReport(report) {
     console.log(`\n${divider}\n`);
 }
 
+// ── Git comparison ────────────────────────────────────────────────────────────
+
+async function runCompare(refs, opts) {
+    const [base, head = "HEAD"] = refs;
+    if (!base || refs.length > 2) {
+        err("Usage: code-maester compare <base> [head]");
+        process.exit(EXIT.ERROR);
+    }
+    if (!["pretty", "json", "markdown"].includes(opts.format)) {
+        err(`compare supports --format pretty, json or markdown, not '${opts.format}'`);
+        process.exit(EXIT.ERROR);
+    }
+
+    if (!isQuiet(opts)) info(`Comparing ${c("cyan", base)} … ${c("cyan", head)}`);
+    try {
+        const result = await codeCheck.diffRefs({
+            base,
+            head,
+            configFile: opts.configFile,
+            baseline: opts.baseline,
+            ignore: opts.ignore,
+            timeoutMs: opts.timeout,
+            signal: interrupt.signal,
+        });
+
+        if (opts.format === "pretty") {
+            printCompareReport(result);
+        } else {
+            emit(codeCheck.formatReport(result, opts.format, { linkBase: opts.linkBase }), opts);
+        }
+
+        // Fail on new bugs, security issues or structural errors
+        const failed =
+            result.issuesIntroduced.some((i) => i.type === "bug" || i.type === "security") ||
+            result.structural.introduced.some((i) => i.severity === "error");
+        if (result.summary.filesTimedOut > 0) process.exit(EXIT.ERROR);
+        process.exit(failed ? EXIT.GATES_FAILED : EXIT.OK);
+    } catch (e) {
+        if (interrupt.signal.aborted) exitCancelled();
+        err(`Comparison failed: ${e.message}`);
+        process.exit(EXIT.ERROR);
+    }
+}
+
+function printCompareReport(result) {
+    const divider = c("dim", "─".repeat(60));
+    const score = (value) => (typeof value === "number" ? String(value) : "–");
+    const rel = (file) => path.relative(process.cwd(), file);
+    const { summary } = result;
+
+    console.log(`\n${divider}`);
+    console.log(`  ${bold("code-maester")} ${dim("—")} ${c("cyan", result.base)} ${dim("…")} ${c("cyan", result.head)}`);
+    console.log(divider);
+
+    let delta = "";
+    if (result.scoreDelta !== null) {
+        const colour = result.improved ? "green" : result.regressed ? "red" : "dim";
+        delta = `  ${c(colour, `${result.scoreDelta > 0 ? "+" : ""}${result.scoreDelta}`)}`;
+    }
+    console.log(`  Average score of changed files: ${score(result.oldScore)} → ${bold(score(result.newScore))}${delta}`);
+    console.log(
+        `  Files: ${summary.filesChanged} changed ` +
+        dim(`(${summary.added} added, ${summary.modified} modified, ${summary.renamed} renamed, ${summary.deleted} deleted)`),
+    );
+    console.log(
+        `  Issues: ${c(summary.issuesIntroduced ? "red" : "green", `${summary.issuesIntroduced} new`)}  ` +
+        `${c("green", `${summary.issuesResolved} resolved`)}`,
+    );
+    console.log(divider);
+
+    const STATUS_MARKS = { added: c("green", "A"), modified: c("yellow", "M"), renamed: c("blue", "R"), deleted: c("red", "D") };
+    result.files.forEach((file) => {
+        const name = file.status === "renamed" ? `${rel(file.oldPath)} → ${rel(file.filePath)}` : rel(file.filePath);
+        const counts = [
+            file.issuesIntroduced.length ? c("red", `+${file.issuesIntroduced.length}`) : "",
+            file.issuesResolved.length ? c("green", `-${file.issuesResolved.length}`) : "",
+            file.timedOut ? c("orange", "timed out") : "",
+        ].filter(Boolean).join(" ");
+        console.log(`  ${STATUS_MARKS[file.status]} ${name} ${dim(`${score(file.oldScore)} → ${score(file.newScore)}`)} ${counts}`);
+    });
+
+    function printIssues(label, issues, color) {
+        if (issues.length === 0) return;
+        console.log(`\n  ${bold(c(color, label + ":"))} (${issues.length})`);
+        issues.slice(0, 20).forEach((issue) => {
+            const loc = issue.line ? `${rel(issue.file)}:${issue.line}` : rel(issue.file);
+            const rule = issue.rule ? ` ${dim("[" + issue.rule + "]")}` : "";
+            console.log(`    ${c(color, "•")} ${dim(loc)} ${issue.message}${rule}`);
+        });
+        if (issues.length > 20) {
+            console.log(`    ${dim(`… and ${issues.length - 20} more`)}`);
+        }
+    }
+
+    printIssues("Diagnostics", result.files.flatMap((f) => f.diagnostics.map((d) => ({ ...d, file: f.filePath }))), "orange");
+    printIssues("New issues", result.issuesIntroduced, "red");
+    printIssues("New cross-file issues", result.structural.introduced, "red");
+    printIssues("Resolved issues", result.issuesResolved, "green");
+    printIssues("Resolved cross-file issues", result.structural.resolved, "green");
+
+    console.log(`\n${divider}\n`);
+}
+
+// ── Formatting ────────────────────────────────────────────────────────────────
+
+async function runFormat(patterns, opts) {
+    if (patterns.length === 0) {
+        err("Usage: code-maester format <file|glob…> [--write [--backup] | --check | --list-different]");
+        process.exit(EXIT.ERROR);
+    }
+    if ([opts.write, opts.check, opts.listDifferent].filter(Boolean).length > 1) {
+        err("Use one of --write, --check or --list-different");
+        process.exit(EXIT.ERROR);
+    }
+    if (opts.backup && !opts.write) {
+        err("--backup only applies with --write");
+        process.exit(EXIT.ERROR);
+    }
+
+    const files = await expandPatterns(patterns, opts);
+    if (files.length === 0) {
+        err("No files found matching the patterns");
+        process.exit(EXIT.ERROR);
+    }
+
+    // --list-different prints bare paths, for piping into other tools
+    const quiet = opts.listDifferent;
+    const different = [];
+    const failed = [];
+    let skipped = 0;
+
+    for (const file of files) {
+        const rel = path.relative(process.cwd(), path.resolve(file));
+        if (!quiet) progress(`Formatting ${rel}`);
+        try {
+            const result = await codeCheck.formatFile(file, { write: opts.write, backup: opts.backup });
+            if (!result.supported) {
+                skipped++;
+            } else if (result.error) {
+                failed.push({ rel, message: result.error });
+            } else if (result.changed) {
+                different.push(rel);
+                if (opts.listDifferent) console.log(rel);
+                else if (opts.write) log(`${c("green", "✎")} ${rel}`);
+                else log(`${c("yellow", "⚠")} ${rel}`);
+            }
+        } catch (e) {
+            failed.push({ rel, message: e.message });
+        }
+    }
+    if (!quiet) progress(null);
+
+    failed.forEach(({ rel, message }) => err(`Could not format ${rel}: ${message.split("\n")[0]}`));
+
+    if (!quiet) {
+        const checked = files.length - skipped;
+        const note = skipped > 0 ? dim(` (${skipped} skipped: no formatter for their language)`) : "";
+        if (opts.write) {
+            const kept = opts.backup && different.length > 0 ? ", originals kept as .orig" : "";
+            ok(`Formatted ${different.length} of ${checked} file(s)${kept}${note}`);
+        } else if (different.length > 0) {
+            err(`${different.length} of ${checked} file(s) are not formatted — run with --write to fix${note}`);
+        } else {
+            ok(`All ${checked} file(s) are formatted${note}`);
+        }
+    }
+
+    if (failed.length > 0) process.exit(EXIT.ERROR);
+    // --write fixed the differences
+    process.exit(!opts.write && different.length > 0 ? EXIT.GATES_FAILED : EXIT.OK);
+}
+
 // ── Watch mode ────────────────────────────────────────────────────────────────
 
-async function runWatch(pattern, opts) {
-    const absPattern = path.resolve(pattern);
-    
+/**
+ * Start the built-in dashboard server for --serve. It takes the backend's
+ * place: runWatch() sends it the same cli:* messages.
+ */
+async function startDashboard(port) {
+    requireOptional("ws");
+    const server = createWatchServer({
+        port,
+        renderReport: (report) => codeCheck.formatReport(report, "html"),
+    });
+    try {
+        const address = await server.listen();
+        return { server, address };
+    } catch (e) {
+        if (e.code === "EADDRINUSE") {
+            err(`Port ${port} is already in use. Pick another with --serve <port>`);
+        } else {
+            err(`Could not start the dashboard: ${e.message}`);
+        }
+        process.exit(EXIT.ERROR);
+    }
+}
+
+/**
+ * --server-header values ("Name: value") as a headers object.
+ */
+function serverHeaders(opts) {
+    const headers = {};
+    for (const header of opts.serverHeaders) {
+        const colon = header.indexOf(":");
+        headers[header.slice(0, colon).trim()] = header.slice(colon + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * Print the watch banner and connect to the backend, or with --serve start
+ * the built-in one. Either way the result takes cli:* messages via send().
+ */
+async function openWatchBackend(label, opts) {
+    const dashboard = opts.serve === null ? null : await startDashboard(opts.serve);
+
     // Frontend URL - can be configured via environment variable
     const frontendUrl = process.env.CODE_MAESTER_FRONTEND_URL || "http://localhost:5173";
-    const watchUrl = `${frontendUrl}/watch`;
+    const watchUrl = dashboard ? dashboard.address.url : `${frontendUrl}/watch`;
 
-    console.log(`\n${bold(c("cyan", "code-maester"))} ${c("green", "—")} ${bold("Watch Mode")}`);
+    console.log(`\n${bold(c("cyan", "code-maester"))} ${c("green", "—")} ${bold(opts.project ? "Project Watch Mode" : "Watch Mode")}`);
     console.log(dim("━".repeat(60)));
-    info(`Watching : ${c("cyan", pattern)}`);
-    info(`Backend  : ${c("cyan", opts.server)}`);
+    info(`Watching : ${c("cyan", label)}`);
+    info(`Backend  : ${c("cyan", dashboard ? `${dashboard.address.wsUrl} (built in)` : opts.server)}`);
     console.log(dim("━".repeat(60)));
     
     // Display the live demo link prominently
-    console.log(`\n  ${c("green", "🌐")} ${bold("Live Demo:")} ${c("cyan", bold(watchUrl))}`);
+    console.log(`\n  ${c("green", "🌐")} ${bold(dashboard ? "Dashboard:" : "Live Demo:")} ${c("cyan", bold(watchUrl))}`);
     console.log(`  ${dim("Open this URL in your browser to see real-time updates")}\n`);
     console.log(dim("━".repeat(60)));
     console.log(dim("Press Ctrl+C to stop\n"));
 
-    // Connect to backend WebSocket
-    const backend = new BackendWS(opts.server);
-    await backend.connect();
+    // Connect to backend WebSocket, unless we are the backend
+    let backend = dashboard && dashboard.server;
+    if (!backend) {
+        backend = new BackendWS(opts.server, { token: opts.serverToken, headers: serverHeaders(opts) });
+        await backend.connect();
+    }
+    return { backend, dashboard };
+}
 
-    // Tell backend we started watching (so browser UI can reflect it)
-    backend.send({ type: "cli:watch:start", pattern: absPattern });
+/**
+ * Analyse one changed file, print a one-line summary and push the report.
+ */
+async function analyzeWatched(filePath, { backend, dashboard }, opts) {
+    const rel = path.relative(process.cwd(), filePath);
+
+    // Notify backend that analysis is starting
+    backend.send({ type: "cli:analyzing", filePath: rel });
+
+    try {
+        const report = await codeCheck.analyzeFile(filePath, {
+            configFile: opts.configFile,
+            baseline: opts.baseline,
+            timeoutMs: opts.timeout,
+            onlyChangedLines: await changedLinesOption(opts),
+        });
+
+        // Print brief summary to CLI stdout
+        const score = typeof report.score === "number" ? report.score.toFixed(1) : "?";
+        const grade = report.grade || "?";
+        const gc = gradeColour(grade);
+        log(
+            `  Score: ${c(gc, bold(score))}  Grade: ${c(gc, bold(grade))}  ` +
+            `Bugs: ${c((report.bugs || []).length ? "red" : "green", (report.bugs || []).length)}  ` +
+            `Security: ${c((report.security || []).length ? "purple" : "green", (report.security || []).length)}  ` +
+            `Lint: ${c((report.lint || []).length ? "yellow" : "green", (report.lint || []).length)}`,
+        );
+
+        // Push full result to backend → browser
+        backend.send({ type: "cli:result", filePath: rel, report });
+        if (dashboard) ok(`Result sent to ${dashboard.server.clients()} dashboard tab(s)`);
+        else if (backend.ready) ok(`Result pushed to backend ${c("green", "✅")}`);
+        else info("Backend offline; the result is sent once it reconnects");
+
+    } catch (e) {
+        err(`Analysis failed for ${rel}: ${e.message}`);
+        backend.send({ type: "cli:error", filePath: rel, message: e.message });
+    }
+}
+
+/**
+ * Whether a watched file is a config file the analysis reads: the --config
+ * file, or any config file discovery would pick up.
+ */
+function isConfigFile(filePath, opts) {
+    if (opts.configFile) return path.resolve(filePath) === path.resolve(opts.configFile);
+    const name = path.basename(filePath);
+    return CONFIG_FILENAMES.includes(name) || name === "package.json";
+}
 
-    // Start chokidar watcher
+/**
+ * Existing config files that apply to `targets` from outside them: those of
+ * their parent directories, or the --config file. Config files inside the
+ * targets are watched with everything else.
+ */
+function outerConfigFiles(targets, opts) {
+    if (opts.configFile) return [path.resolve(opts.configFile)];
+    const files = new Set();
+    for (const target of targets) {
+        let dir = path.dirname(path.resolve(target));
+        for (;;) {
+            for (const name of [...CONFIG_FILENAMES, "package.json"]) {
+                if (fs.existsSync(path.join(dir, name))) files.add(path.join(dir, name));
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+    }
+    return [...files];
+}
+
+/**
+ * Start chokidar on `targets` and the config files that apply to them;
+ * ignored directories are not even watched.
+ */
+function startWatcher(targets, opts) {
     const chokidar = requireOptional("chokidar");
-    const watcher = chokidar.watch(pattern, {
+    const filter = discoveryFilter(opts);
+    const list = [].concat(targets);
+    const watcher = chokidar.watch([...list, ...outerConfigFiles(list, opts)], {
+        ignored: (file, stats) => filter.skipped(path.resolve(file), Boolean(stats && stats.isDirectory())),
         persistent: true,
         ignoreInitial: true,
         awaitWriteFinish: { stabilityThreshold: 150, pollInterval: 50 },
@@ -425,47 +1379,20 @@ async function runWatch(pattern, opts) {
         ok(`Watcher ready — ${c("green", "waiting for file changes…")}`);
     });
 
-    watcher.on("change", async (filePath) => {
-        const rel = path.relative(process.cwd(), filePath);
-        log(`${c("blue", "◎")} File changed: ${c("cyan", rel)}`);
-
-        // Notify backend that analysis is starting
-        backend.send({ type: "cli:analyzing", filePath: rel });
-
-        try {
-            const report = await codeCheck.analyzeFile(filePath);
-
-            // Print brief summary to CLI stdout
-            const score = typeof report.score === "number" ? report.score.toFixed(1) : "?";
-            const grade = report.grade || "?";
-            const gc = gradeColour(grade);
-            log(
-                `  Score: ${c(gc, bold(score))}  Grade: ${c(gc, bold(grade))}  ` +
-                `Bugs: ${c((report.bugs || []).length ? "red" : "green", (report.bugs || []).length)}  ` +
-                `Security: ${c((report.security || []).length ? "purple" : "green", (report.security || []).length)}  ` +
-                `Lint: ${c((report.lint || []).length ? "yellow" : "green", (report.lint || []).length)}`,
-            );
-
-            // Push full result to backend → browser
-            backend.send({ type: "cli:result", filePath: rel, report });
-            ok(`Result pushed to backend ${c("green", "✅")}`);
-
-        } catch (e) {
-            err(`Analysis failed for ${rel}: ${e.message}`);
-            backend.send({ type: "cli:error", filePath: rel, message: e.message });
-        }
-    });
-
     watcher.on("error", (e) => {
         err(`Watcher error: ${e.message}`);
     });
 
+    return watcher;
+}
+
+function stopOnSignal(watcher, backend, pattern) {
     // Graceful shutdown
     function shutdown() {
         info("Shutting down…");
-        backend.send({ type: "cli:watch:stop", pattern: absPattern });
-        watcher.close().then(() => {
-            backend.close();
+        backend.send({ type: "cli:watch:stop", pattern });
+        watcher.close().then(async () => {
+            await backend.close();
             process.exit(0);
         });
     }
@@ -474,6 +1401,172 @@ async function runWatch(pattern, opts) {
     process.on("SIGTERM", shutdown);
 }
 
+async function runWatch(pattern, opts) {
+    const absPattern = path.resolve(pattern);
+    const channel = await openWatchBackend(pattern, opts);
+
+    // Tell backend we started watching (so browser UI can reflect it)
+    channel.backend.send({ type: "cli:watch:start", pattern: absPattern });
+
+    const watcher = startWatcher(pattern, opts);
+    // Files analysed so far, analysed again when a config file changes
+    const analysed = new Set();
+
+    watcher.on("change", async (filePath) => {
+        if (isConfigFile(filePath, opts)) return;
+        const rel = path.relative(process.cwd(), filePath);
+        log(`${c("blue", "◎")} File changed: ${c("cyan", rel)}`);
+        analysed.add(path.resolve(filePath));
+        await analyzeWatched(filePath, channel, opts);
+    });
+    watcher.on("unlink", (filePath) => analysed.delete(path.resolve(filePath)));
+
+    watcher.on("all", async (event, filePath) => {
+        if (!["add", "change", "unlink"].includes(event) || !isConfigFile(filePath, opts)) return;
+        codeCheck.clearConfigCache();
+        const rel = path.relative(process.cwd(), filePath);
+        const again = analysed.size > 0 ? `; analysing ${plural(analysed.size, "file")} again` : "";
+        log(`${c("blue", "◎")} Config changed: ${c("cyan", rel)}${again}`);
+        for (const file of analysed) await analyzeWatched(file, channel, opts);
+    });
+
+    stopOnSignal(watcher, channel.backend, absPattern);
+}
+
+// ── Project watch mode ────────────────────────────────────────────────────────
+
+/**
+ * The directory to watch for a pattern: its part before the first glob
+ * character, e.g. "src" for "src/*.{js,ts}". chokidar does not expand globs.
+ */
+function watchRoot(pattern) {
+    const { hasMagic } = requireOptional("glob");
+    const parts = pattern.split(/[\\/]/);
+    const fixed = [];
+    for (const part of parts) {
+        if (hasMagic(part)) break;
+        fixed.push(part);
+    }
+    return fixed.length === parts.length ? pattern : fixed.join("/") || ".";
+}
+
+/**
+ * A structural issue with paths relative to the working directory, as
+ * watch messages carry them.
+ */
+function relativeIssue(issue) {
+    const rel = (file) => (file ? path.relative(process.cwd(), file) : file);
+    return { ...issue, file: rel(issue.file), ...(issue.cycle ? { cycle: issue.cycle.map(rel) } : {}) };
+}
+
+function printStructuralDelta({ introduced, resolved, projectAnalysis }) {
+    const { summary } = projectAnalysis;
+    const totals = dim(`(unused exports: ${summary.unusedExports}, circular dependencies: ${summary.circularDependencies})`);
+    if (introduced.length === 0 && resolved.length === 0) {
+        log(`  Cross-file: ${dim("no change")} ${totals}`);
+        return;
+    }
+    log(`  Cross-file: ${c(introduced.length ? "red" : "green", `+${introduced.length}`)} ${c("green", `−${resolved.length}`)} ${totals}`);
+    const line = (issue) => `${path.relative(process.cwd(), issue.file)}:${issue.line} ${issue.message}`;
+    introduced.forEach((issue) => log(`    ${c(issue.severity === "error" ? "red" : "yellow", "+")} ${line(issue)}`));
+    resolved.forEach((issue) => log(`    ${c("green", "−")} ${dim(line(issue))}`));
+}
+
+/**
+ * --watch --project: per-file analysis of every change as in watch mode,
+ * plus cross-file findings kept up to date by a project session. Added,
+ * changed and deleted files each update the dependency graph and export
+ * index in place, and the findings that appeared or went away go out as
+ * cli:structural.
+ */
+async function runProjectWatch(patterns, opts) {
+    const allFiles = await expandPatterns(patterns, opts);
+    if (allFiles.length === 0) {
+        err("No files found matching the patterns");
+        process.exit(EXIT.ERROR);
+    }
+
+    const label = patterns.join(" ");
+    const channel = await openWatchBackend(label, opts);
+    const { backend } = channel;
+    backend.send({ type: "cli:watch:start", pattern: label, project: true });
+
+    const openSession = () =>
+        codeCheck.createProjectSession({ configFile: opts.configFile, baseline: opts.baseline, ignore: opts.ignore });
+    let session = openSession();
+
+    async function pushStructural(event, filePath, delta) {
+        // The first load is printed as a full project report instead
+        if (event !== "load") printStructuralDelta(delta);
+        delta.failed.forEach(({ filePath: failed, error }) => {
+            err(`Could not analyse ${path.relative(process.cwd(), failed)}: ${error.message}`);
+        });
+        backend.send({
+            type: "cli:structural",
+            event,
+            filePath: filePath && path.relative(process.cwd(), filePath),
+            introduced: delta.introduced.map(relativeIssue),
+            resolved: delta.resolved.map(relativeIssue),
+            summary: delta.projectAnalysis.summary,
+        });
+    }
+
+    info(`Building the dependency graph of ${c("cyan", allFiles.length)} files…`);
+    const loaded = await session.load(allFiles, { onlyChangedLines: await changedLinesOption(opts) });
+    printProjectReport(loaded);
+    await pushStructural("load", null, loaded);
+
+    // chokidar does not expand globs: watch their directories and keep to
+    // files the patterns match
+    const watcher = startWatcher([...new Set(patterns.map(watchRoot))], opts);
+    const selected = patternMatcher(patterns, opts);
+    const matched = (filePath) => isSourceFile(filePath, opts) && selected(filePath);
+
+    // A config change can touch every file: reload the project as at startup
+    const reload = async (filePath) => {
+        codeCheck.clearConfigCache();
+        log(`${c("blue", "◎")} Config changed: ${c("cyan", path.relative(process.cwd(), filePath))}; reloading the project`);
+        const next = openSession();
+        const files = await expandPatterns(patterns, { ...opts, debug: false });
+        const reloaded = await next.load(files, { onlyChangedLines: await changedLinesOption(opts) });
+        session = next;
+        printProjectReport(reloaded);
+        await pushStructural("load", null, reloaded);
+    };
+
+    // Events are handled one at a time, so each delta follows from the last
+    let queue = Promise.resolve();
+    const handle = (event, run) => (filePath) => {
+        const absolutePath = path.resolve(filePath);
+        queue = queue
+            .then(() => (isConfigFile(absolutePath, opts) ? reload(absolutePath) : run(absolutePath)))
+            .catch((e) => err(`Could not update the project after ${event} of ${filePath}: ${e.message}`));
+    };
+
+    const update = async (event, filePath) => {
+        const rel = path.relative(process.cwd(), filePath);
+        log(`${c("blue", "◎")} File ${event === "add" ? "added" : "changed"}: ${c("cyan", rel)}`);
+        await analyzeWatched(filePath, channel, opts);
+        await pushStructural(event, filePath, await session.change(filePath, { onlyChangedLines: await changedLinesOption(opts) }));
+    };
+
+    watcher.on("add", handle("add", async (filePath) => {
+        if (matched(filePath)) await update("add", filePath);
+    }));
+    watcher.on("change", handle("change", async (filePath) => {
+        if (session.has(filePath)) await update("change", filePath);
+    }));
+    watcher.on("unlink", handle("unlink", async (filePath) => {
+        if (!session.has(filePath)) return;
+        const rel = path.relative(process.cwd(), filePath);
+        log(`${c("blue", "◎")} File deleted: ${c("cyan", rel)}`);
+        backend.send({ type: "cli:removed", filePath: rel });
+        await pushStructural("unlink", filePath, await session.remove(filePath, { onlyChangedLines: await changedLinesOption(opts) }));
+    }));
+
+    stopOnSignal(watcher, backend, label);
+}
+
 // ── Help ──────────────────────────────────────────────────────────────────────
 
 function printHelp() {
@@ -483,33 +1576,126 @@ function printHelp() {
 
   ${bold("Usage:")}
     code-maester <file>                 Analyse a file (one-shot)
+    code-maester <dir|glob…>            Analyse every source file; prints a score
+                                        table, overall score and worst offenders
     code-maester <glob> --watch         Watch files for changes
     code-maester <file> --json          Output report as JSON
     code-maester --project <patterns>   Analyse multiple files for cross-file issues
+    code-maester --project <patterns> --watch
+                                        Keep cross-file issues up to date as files
+                                        are changed, added and deleted
+    code-maester format <globs> --write Format files in place (JS, TS, Java, C/C++)
+    code-maester format <globs> --check List files that are not formatted; exit 1 if any
+    code-maester compare <base> [head]  Compare two git refs (head defaults to HEAD):
+                                        changed files' score deltas, new and
+                                        resolved issues, cross-file changes
 
   ${bold("Options:")}
     --watch,   -w          Enable watch mode
     --project, -p          Enable project-level analysis (unused exports, circular deps)
     --server,  -s <url>    Backend WebSocket URL
-                           (default: ws://localhost:3001/ws)
+                           (default: ws://localhost:3001/ws); dropped
+                           connections are retried with backoff and the latest
+                           result of every file is replayed
+    --server-token <token> Send "Authorization: Bearer <token>" to the backend
+                           (default: $CODE_MAESTER_SERVER_TOKEN)
+    --server-header <h>    Extra handshake header for the backend, as
+                           "Name: value"; repeatable
+    --serve [port]         With --watch: serve the dashboard and its WebSocket
+                           from the CLI itself on 127.0.0.1 (default port: ${DEFAULT_PORT}),
+                           no separate backend or frontend needed
     --json                 Output raw JSON instead of formatted report
+                           (same as --format json)
+    --format,  -f <name>   Report format: pretty (default), json, sarif,
+                           junit, checkstyle, html, markdown, ndjson
+                           (ndjson streams one line per file in project mode)
+    --link-base <url>      Prefix for file links in markdown output, e.g.
+                           https://github.com/org/repo/blob/main/
+    --output,  -o <file>   Write the report to a file instead of stdout
+    --config,  -c <path>   Use this config file instead of discovering
+                           .codemaesterrc.json / .codemaesterrc.js /
+                           code-maester.config.js / package.json "codeMaester"
+    --baseline <file>      Only report issues that are not in this baseline;
+                           score and exit code use new issues only
+    --write-baseline <file>
+                           Record the current findings as a baseline and exit
+    --no-cache             Re-analyse every file in project mode instead of
+                           reusing results for unchanged files
+    --cache-location <dir> Where project mode keeps its cache
+                           (default: .code-maester-cache)
+    --concurrency, -j <n>  Worker threads for per-file analysis in project
+                           mode (default: 1, in-process)
+    --timeout <ms>         Give up on a file after this long and report an
+                           analysis-timeout diagnostic instead (strictly
+                           enforced with --concurrency 2 or more)
+    --diff-file <patch>    Only report issues on lines this unified diff adds
+                           or changes ("-" reads it from stdin)
+    --changed-since <ref>  Only report issues on lines changed since a git ref
+                           (working tree against <ref>)
+    --issues-without-line <include|exclude>
+                           With the two options above, whether issues not tied
+                           to a line (e.g. vulnerable dependencies) are kept
+                           for changed files (default: include)
+    --fix                  Apply machine-applicable fixes (e.g. == → ===) to
+                           the files, then report on the fixed code
+    --fix-dry-run          Print the fixes as a patch without writing them
+    --write                With format: rewrite files in place (atomically)
+    --backup               With format --write: keep the original as <file>.orig
+    --check                With format: report unformatted files (the default)
+    --list-different, -l   With format: print only the paths of unformatted files
+    --min-score <n>        Quality gate: every file scores at least n
+    --min-grade <grade>    Quality gate: every file grades <grade> or better
+    --fail-on <cat[:sev]>  Quality gate: fail on issues of a category, e.g. bug,
+                           security:high, structural:error (repeatable)
+    --max-issues <cat=n>   Quality gate: at most n issues of a category, or
+                           total=n (repeatable, e.g. lint=50,total=200)
+    --max-complexity <n>   Quality gate: no function above complexity n
+    --no-ignore            Analyse every matched file: no default exclusions,
+                           .gitignore, .codemaesterignore or ignorePatterns
+    --debug                Explain why each file was left out of discovery
     --version, -v          Print package version
     --help,    -h          Show this help
 
   ${bold("Examples:")}
     code-maester src/auth.js
+    code-maester src/ "lib/**/*.ts"
     code-maester "src/**/*.js" --watch
     code-maester src/api.ts --watch --server ws://my-server:3001/ws
+    code-maester "src/**/*.js" --watch --serve 8080
+    code-maester --project "src/**/*.js" --watch --serve
     code-maester src/index.js --json
+    code-maester src/a.js src/b.js --format sarif --output results.sarif
+    code-maester --project "src/**/*.js" --format sarif -o results.sarif
+    code-maester src/a.js src/b.js --format junit -o code-maester.xml
+    code-maester src/a.js src/b.js --format html --output report.html
+    code-maester --project "src/**/*.js" --format markdown > comment.md
     code-maester --project "src/**/*.js" "lib/**/*.js"
+    code-maester src/app.js --config ci/.codemaesterrc.json
+    code-maester --project "src/**/*.js" --write-baseline .codemaester-baseline.json
+    code-maester src/app.js --baseline .codemaester-baseline.json
+    code-maester compare main
+    code-maester src/app.js --fix
+    code-maester format "src/**/*.{js,ts}" --write
+    code-maester format "src/**/*.java" --check
+    code-maester --project "src/**/*.js" --changed-since origin/main
+    git diff main | code-maester src/app.js --diff-file -
+    code-maester compare origin/main HEAD --format markdown > comment.md
+    code-maester --project "src/**/*.js" --min-score 80 --fail-on security:high
+
+  ${bold("Exit codes:")}
+    0 gates passed · 1 a quality gate failed · 2 analysis error (unreadable
+    or timed-out file, invalid config or flags) · 130 interrupted
 
   ${bold("Watch mode flow:")}
     file save → local analysis → push to backend WS → browser updates live
     Displays a clickable link to the live demo (default: http://localhost:5173/watch)
     Configure with CODE_MAESTER_FRONTEND_URL environment variable
+    With --serve, the CLI is the backend and serves the dashboard at http://localhost:<port>/
 
   ${bold("Project mode:")}
     Detects unused exports and circular dependencies across all files
+    With --watch, only what a change affects is re-checked, and new and
+    resolved cross-file issues are pushed as cli:structural messages
 `);
 }
 
@@ -525,23 +1711,98 @@ async function main() {
 
     if (opts.help || (!opts.pattern && !opts.project)) {
         printHelp();
-        process.exit(opts.help ? 0 : 1);
+        process.exit(opts.help ? EXIT.OK : EXIT.ERROR);
     }
 
-    if (opts.project) {
-        if (opts.patterns.length === 0) {
-            err("--project requires at least one file pattern");
-            process.exit(1);
-        }
+    if (opts.format !== "pretty" && !codeCheck.reportFormats().includes(opts.format)) {
+        err(`Unknown format '${opts.format}'. Available: pretty, ${codeCheck.reportFormats().join(", ")}`);
+        process.exit(EXIT.ERROR);
+    }
+
+    if (opts.serve !== null && !opts.watch) {
+        err("--serve starts the watch dashboard; use it with --watch");
+        process.exit(EXIT.ERROR);
+    }
+
+    const badHeader = opts.serverHeaders.find((header) => !header || !/^[^:\s]+\s*:/.test(header));
+    if (badHeader !== undefined) {
+        err(`--server-header expects "Name: value", got '${badHeader}'`);
+        process.exit(EXIT.ERROR);
+    }
+
+    if (opts.serve !== null && opts.serve > 65535) {
+        err("--serve expects a port number between 0 and 65535");
+        process.exit(EXIT.ERROR);
+    }
+
+    if (!Number.isInteger(opts.concurrency) || opts.concurrency < 1) {
+        err("--concurrency expects a whole number of worker threads (1 = no workers)");
+        process.exit(EXIT.ERROR);
+    }
+
+    if (opts.timeout !== null && !(opts.timeout > 0)) {
+        err("--timeout expects a number of milliseconds");
+        process.exit(EXIT.ERROR);
+    }
+
+    if ((opts.fix || opts.fixDryRun) && (opts.project || opts.watch || opts.writeBaseline)) {
+        err("--fix and --fix-dry-run work on files given directly, not with --project, --watch or --write-baseline");
+        process.exit(EXIT.ERROR);
+    }
+
+    if (opts.diffFile && opts.changedSince) {
+        err("Use either --diff-file or --changed-since, not both");
+        process.exit(EXIT.ERROR);
+    }
+
+    if (!["include", "exclude"].includes(opts.issuesWithoutLine)) {
+        err("--issues-without-line expects include or exclude");
+        process.exit(EXIT.ERROR);
+    }
+
+    const gateProblems = qualityGates.checkGates(opts.gates);
+    if (gateProblems.length > 0) {
+        gateProblems.forEach((problem) => err(`Invalid quality gate: ${problem}`));
+        process.exit(EXIT.ERROR);
+    }
+
+    if (opts.project && opts.patterns.length === 0) {
+        err("--project requires at least one file pattern");
+        process.exit(EXIT.ERROR);
+    }
+
+    // Analysis checks the signal between stages, and workers are terminated,
+    // so the first Ctrl+C stops cleanly. A long synchronous scan in-process
+    // only sees it once it returns; the second Ctrl+C exits at once.
+    // Watch mode has its own shutdown, and formatting is not cancellable.
+    const formatting = opts.patterns[0] === "format" && !opts.project;
+    if (!opts.watch && !formatting) {
+        process.on("SIGINT", () => {
+            if (interrupt.signal.aborted) process.exit(130); // second Ctrl+C: stop now
+            progress(null);
+            err("Interrupted — stopping analysis (press Ctrl+C again to force)");
+            interrupt.abort();
+        });
+    }
+
+    if (opts.patterns[0] === "compare" && !opts.project) {
+        await runCompare(opts.patterns.slice(1), opts);
+    } else if (opts.patterns[0] === "format" && !opts.project) {
+        await runFormat(opts.patterns.slice(1), opts);
+    } else if (opts.writeBaseline) {
+        await runWriteBaseline(opts);
+    } else if (opts.project && opts.watch) {
+        await runProjectWatch(opts.patterns, opts);
+    } else if (opts.project) {
         await runProject(opts.patterns, opts);
     } else if (opts.watch) {
         await runWatch(opts.pattern, opts);
     } else {
-        await runOnce(opts.pattern, opts);
+        await runOnce(opts.patterns, opts);
     }
 }
 
 main().catch((e) => {
     err(`Fatal: ${e.message}`);
-    process.exit(1);
+    process.exit(EXIT.ERROR);
 });
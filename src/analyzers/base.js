@@ -7,10 +7,11 @@ class BaseAnalyzer {
   }
 
   /**
-   * Analyze code and return results
+   * Analyze code and return results. Security and complexity checks are run
+   * by analyze() in src/index.js for every language, not by analyzers.
    * @param {string} code - The code to analyze
    * @param {Object} options - Analysis options
-   * @returns {Promise<Object>} Analysis results
+   * @returns {Promise<{ bugs: Array<Object>, lint: Array<Object> }>} Analysis results
    */
   async analyze(code, _options = {}) {
     throw new Error('analyze method must be implemented by subclass');
@@ -2,8 +2,6 @@
 
 const BaseAnalyzer = require("./base");
 const bugLint = require("../modules/bug-lint");
-const security = require("../modules/security");
-const complexity = require("../modules/complexity");
 
 class CAnalyzer extends BaseAnalyzer {
   constructor(config) {
@@ -25,19 +23,7 @@ class CAnalyzer extends BaseAnalyzer {
     
     const { bugs, lint } = bugLint.run(code, language, options);
 
-    // Run security checks
-    const securityIssues = await security.run(code, language, options);
-
-    // Run complexity checks
-    const complexityResult = complexity.runComplexityChecks(code, language, options);
-
-    return {
-      bugs,
-      lint,
-      security: securityIssues,
-      complexity: complexityResult.complexity,
-      redundancy: complexityResult.redundancy,
-    };
+    return { bugs, lint };
   }
 }
 
@@ -1,7 +1,5 @@
 const BaseAnalyzer = require("./base");
 const bugLint = require("../modules/bug-lint");
-const security = require("../modules/security");
-const complexity = require("../modules/complexity");
 
 class JavaAnalyzer extends BaseAnalyzer {
   constructor(config) {
@@ -21,19 +19,7 @@ class JavaAnalyzer extends BaseAnalyzer {
     // Run bug + lint module
     const { bugs, lint } = bugLint.run(code, this.language, options);
 
-    // Run security checks
-    const securityIssues = await security.run(code, this.language, options);
-
-    // Run complexity checks
-    const complexityResult = complexity.runComplexityChecks(code, this.language, options);
-
-    return {
-      bugs,
-      lint,
-      security: securityIssues,
-      complexity: complexityResult.complexity,
-      redundancy: complexityResult.redundancy,
-    };
+    return { bugs, lint };
   }
 }
 
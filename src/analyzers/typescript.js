@@ -8,11 +8,12 @@
  *   - Non-null assertions (!.)
  *   - Type casting with `as any`
  *   - Missing return type annotations on public functions
- *   - `@ts-ignore` suppression comments
+ *   - `@ts-ignore` suppression comments (fixed to `@ts-expect-error`)
  *   - Unsafe `as unknown as T` double-cast pattern
  */
 
 const JavaScriptAnalyzer = require("./javascript");
+const { isRuleOff } = require("../config/rules");
 
 // ─── TS-specific lint detectors ───────────────────────────────────────────────
 
@@ -59,11 +60,17 @@ const TS_RULES = [
     },
 ];
 
-function runTSRules(code) {
+/**
+ * @param {string} code
+ * @param {object} rules - `rules` config map; rules set to "off" are skipped
+ */
+function runTSRules(code, rules = {}) {
     const bugs = [];
     const lint = [];
 
     for (const rule of TS_RULES) {
+        if (isRuleOff(rules, rule.rule)) continue;
+
         // Reset regex state
         rule.pattern.lastIndex = 0;
 
@@ -83,6 +90,10 @@ function runTSRules(code) {
                 suggestion: rule.suggestion,
             };
 
+            if (rule.rule === "no-ts-ignore") {
+                issue.fix = { range: [match.index, match.index + match[0].length], text: "@ts-expect-error" };
+            }
+
             if (rule.type === "bug") bugs.push(issue);
             else lint.push(issue);
 
@@ -115,14 +126,11 @@ class TypeScriptAnalyzer extends JavaScriptAnalyzer {
         const base = await super.analyze(code, options);
 
         // Run TypeScript-specific rules on top
-        const tsResults = runTSRules(code);
+        const tsResults = runTSRules(code, options.rules);
 
         return {
             bugs: [...base.bugs, ...tsResults.bugs],
             lint: [...base.lint, ...tsResults.lint],
-            security: base.security,
-            complexity: base.complexity,
-            redundancy: base.redundancy,
         };
     }
 }
@@ -0,0 +1,156 @@
+"use strict";
+
+/**
+ * ast/index.js
+ * ────────────
+ * Shared JavaScript parsing for the analysis pipeline.
+ *
+ * analyze() parses the source once and hands the same tree to every
+ * bug-lint detector, the complexity analyser and every plugin.
+ * The tree carries `loc` + `range` on every node and the file's comments
+ * on `ast.comments`.
+ *
+ * Languages acorn cannot parse (Python, Java, C/C++) or sources that fail
+ * to parse (TypeScript annotations, JSX, syntax errors) produce `null`;
+ * consumers then fall back to their line-based scanners.
+ */
+
+const acorn = require("acorn");
+
+// Languages worth handing to acorn — plain TS files often parse as JS
+const PARSEABLE_LANGUAGES = new Set(["javascript", "typescript"]);
+
+// Node keys that never hold child nodes
+const SKIP_KEYS = new Set(["loc", "range", "comments", "parent"]);
+
+/**
+ * Parse a source string into an ESTree AST.
+ * Tries ES module first, then classic script (for `with`, octal literals, …).
+ *
+ * @param {string} code
+ * @param {string} language - detected language
+ * @returns {object|null} Program node with `comments`, or null
+ */
+function parse(code, language) {
+  if (!PARSEABLE_LANGUAGES.has(language)) return null;
+
+  for (const sourceType of ["module", "script"]) {
+    const comments = [];
+    try {
+      const ast = acorn.parse(code, {
+        ecmaVersion: "latest",
+        sourceType,
+        locations: true,
+        ranges: true,
+        onComment: comments,
+        allowHashBang: true,
+        allowReturnOutsideFunction: sourceType === "script",
+        allowAwaitOutsideFunction: true,
+      });
+      ast.comments = comments;
+      return ast;
+    } catch {
+      // try the next source type
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Depth-first, pre-order walk over every node in the tree.
+ * Returning `false` from the visitor skips that node's children.
+ *
+ * @param {object} node
+ * @param {(node: object, parent: object|null, ancestors: object[]) => (boolean|void)} visitor
+ */
+function walk(node, visitor, parent = null, ancestors = []) {
+  if (!node || typeof node.type !== "string") return;
+  if (visitor(node, parent, ancestors) === false) return;
+
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((c) => walk(c, visitor, node, ancestors));
+    } else if (child && typeof child.type === "string") {
+      walk(child, visitor, node, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
+/**
+ * Blank out everything that is not code — comments, string and template
+ * contents, regex bodies — keeping newlines so line/column positions survive.
+ * Lets the remaining regex scanners run without matching inside literals.
+ *
+ * @param {string} code
+ * @param {object} ast - tree returned by parse()
+ * @returns {string}
+ */
+function maskNonCode(code, ast) {
+  const ranges = [];
+
+  for (const comment of ast.comments || []) {
+    ranges.push([comment.start, comment.end]);
+  }
+
+  walk(ast, (node) => {
+    if (node.type === "Literal" && (typeof node.value === "string" || node.regex)) {
+      // keep the delimiters so the code shape stays recognisable
+      ranges.push([node.start + 1, node.end - 1]);
+    } else if (node.type === "TemplateElement") {
+      ranges.push([node.start, node.end]);
+    }
+  });
+
+  const chars = code.split("");
+  for (const [start, end] of ranges) {
+    for (let i = start; i < end; i++) {
+      if (chars[i] !== "\n" && chars[i] !== "\r") chars[i] = " ";
+    }
+  }
+  return chars.join("");
+}
+
+/**
+ * Offsets of the first `token` between two offsets that is not inside a
+ * comment, e.g. the operator of a BinaryExpression between its operands
+ * (which may be wrapped in parentheses). Used to build fixes.
+ *
+ * @param {string} code
+ * @param {object} ast - tree returned by parse()
+ * @param {number} from
+ * @param {number} to
+ * @param {string} token
+ * @returns {[number, number]|null}
+ */
+function tokenRange(code, ast, from, to, token) {
+  const comments = ast.comments || [];
+  for (let at = code.indexOf(token, from); at !== -1 && at + token.length <= to; at = code.indexOf(token, at + 1)) {
+    if (!comments.some((comment) => at >= comment.start && at < comment.end)) return [at, at + token.length];
+  }
+  return null;
+}
+
+/**
+ * Dotted name of a callee / member chain, e.g. `console.log` or `a.b.c`.
+ * Returns null for computed or non-identifier parts.
+ *
+ * @param {object} node
+ * @returns {string|null}
+ */
+function memberName(node) {
+  if (!node) return null;
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "ThisExpression") return "this";
+  if (node.type === "MemberExpression" && !node.computed) {
+    const object = memberName(node.object);
+    return object ? `${object}.${node.property.name}` : null;
+  }
+  return null;
+}
+
+module.exports = { parse, walk, maskNonCode, memberName, tokenRange };
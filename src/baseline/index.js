@@ -0,0 +1,227 @@
+"use strict";
+
+/**
+ * baseline/index.js
+ * ─────────────────
+ * Baseline files let a legacy codebase adopt code-maester without fixing
+ * every existing finding first. A baseline records the current findings by
+ * fingerprint; later runs hide any finding that is still in the baseline, so
+ * the score and exit code reflect new issues only.
+ *
+ * Findings are keyed as diff() keys them (see src/fingerprint): `fingerprint`
+ * is the issue's own, `core` and `edited` are the fallbacks that survive edits
+ * around and on its line. Within each file (relative to the baseline) they
+ * are matched in that order, and identical findings by count. Line numbers
+ * are left out, so findings survive code moving up or down.
+ *
+ * File format:
+ *   {
+ *     "version": 2,
+ *     "generatedBy": "code-maester@1.0.4",
+ *     "issues": [{ fingerprint, core, edited, file, category, rule, line, message }, …]
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { keysFor, matchKeyed, functionsOf } = require("../fingerprint");
+
+const BASELINE_VERSION = 2;
+const SNIPPET_FILE = "<snippet>";
+
+const loaded = new Map(); // absolute path → baseline
+
+// ─── Fingerprints ─────────────────────────────────────────────────────────────
+
+function relativeFile(filePath, baseDir) {
+  if (!filePath) return SNIPPET_FILE;
+  return path.relative(baseDir, path.resolve(filePath)).split(path.sep).join("/");
+}
+
+/**
+ * Keys and file of every issue of a report. Structural issues carry their own
+ * file and have no source lines here, so their message stands in.
+ */
+function keyedIssues(sections, { file, lines, baseDir }) {
+  const functions = functionsOf(sections);
+  const entries = [];
+  forEachIssue(sections, (issue, category) => {
+    entries.push({
+      issue,
+      category,
+      file: issue.file ? relativeFile(issue.file, baseDir) : file,
+      ...keysFor(issue, issue.file ? null : lines, functions),
+    });
+  });
+  return entries;
+}
+
+function groupByFile(entries) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    if (!groups.has(entry.file)) groups.set(entry.file, []);
+    groups.get(entry.file).push(entry);
+  });
+  return groups;
+}
+
+/**
+ * Visit every issue of a report with its category.
+ * @param {object} sections - { bugs, lint, security, complexity, redundancy, structural }
+ * @param {(issue: object, category: string) => void} visit
+ */
+function forEachIssue(sections, visit) {
+  for (const category of ["bugs", "lint", "security", "redundancy", "structural"]) {
+    (sections[category] || []).forEach((issue) => visit(issue, category));
+  }
+  const functions = (sections.complexity && sections.complexity.functions) || [];
+  functions.forEach((fn) => (fn.issues || []).forEach((issue) => visit(issue, "complexity")));
+}
+
+// ─── Loading / writing ────────────────────────────────────────────────────────
+
+/**
+ * Load a baseline file (cached), or normalise an already-loaded object.
+ *
+ * @param {string|object} source - path to a baseline file, or its parsed content
+ * @returns {{ path: string|null, dir: string, issues: Array, counts: Map<string, number> }}
+ */
+function loadBaseline(source) {
+  if (source && source.byFile instanceof Map) return source;
+
+  let data;
+  let filePath = null;
+  if (typeof source === "string") {
+    filePath = path.resolve(source);
+    if (loaded.has(filePath)) return loaded.get(filePath);
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (err) {
+      throw new Error(`Cannot read baseline file ${filePath}: ${err.message}`);
+    }
+  } else {
+    data = source;
+  }
+
+  if (!data || !Array.isArray(data.issues)) {
+    throw new Error(`Invalid baseline${filePath ? ` ${filePath}` : ""}: expected an "issues" array.`);
+  }
+  if (data.version !== BASELINE_VERSION) {
+    throw new Error(
+      `Unsupported baseline version ${data.version}${filePath ? ` in ${filePath}` : ""}. ` +
+      `Re-create it with --write-baseline.`,
+    );
+  }
+
+  const baseline = {
+    path: filePath,
+    dir: filePath ? path.dirname(filePath) : process.cwd(),
+    issues: data.issues,
+    byFile: groupByFile(data.issues),
+  };
+  if (filePath) loaded.set(filePath, baseline);
+  return baseline;
+}
+
+/**
+ * Build baseline entries for one report.
+ *
+ * @param {object} sections - report (or project report's projectAnalysis)
+ * @param {{ filePath: string|null, code: string, baseDir: string }} source
+ * @returns {Array<object>}
+ */
+function entriesFor(sections, { filePath, code, baseDir }) {
+  const keyed = keyedIssues(sections, {
+    file: relativeFile(filePath, baseDir),
+    lines: (code || "").split(/\r?\n/),
+    baseDir,
+  });
+  return keyed.map(({ issue, category, file, fingerprint, core, edited }) => ({
+    fingerprint,
+    core,
+    edited,
+    file,
+    category,
+    rule: issue.rule || issue.type,
+    line: issue.line || 0,
+    message: issue.message,
+  }));
+}
+
+/**
+ * Write a baseline file.
+ *
+ * @param {string} baselinePath
+ * @param {Array<object>} entries - from entriesFor()
+ * @param {string} version - package version for `generatedBy`
+ */
+function saveBaseline(baselinePath, entries, version) {
+  const sorted = [...entries].sort(
+    (a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.rule.localeCompare(b.rule),
+  );
+  const data = {
+    version: BASELINE_VERSION,
+    generatedBy: `code-maester@${version}`,
+    issues: sorted,
+  };
+  const abs = path.resolve(baselinePath);
+  fs.writeFileSync(abs, JSON.stringify(data, null, 2) + "\n");
+  loaded.delete(abs);
+  return data;
+}
+
+// ─── Applying ─────────────────────────────────────────────────────────────────
+
+/**
+ * Hide findings that are recorded in the baseline.
+ *
+ * @param {object} sections - { bugs, lint, security, complexity, redundancy } or { structural }
+ * @param {object} baseline - from loadBaseline()
+ * @param {{ filePath: string|null, code?: string }} source
+ * @returns {{ sections: object, baselined: Array, fixed: Array }}
+ *   `fixed` lists baseline entries for this file that no longer occur
+ */
+function applyBaseline(sections, baseline, { filePath, code = "" }) {
+  const file = relativeFile(filePath, baseline.dir);
+  const current = keyedIssues(sections, { file, lines: code.split(/\r?\n/), baseDir: baseline.dir });
+
+  // Entries in scope: the file's own findings, or the structural findings
+  // for a project run
+  const inScope = sections.structural
+    ? (entry) => entry.category === "structural"
+    : (entry) => entry.category !== "structural";
+
+  const hidden = new Set();
+  const baselined = [];
+  const fixed = [];
+  groupByFile(current).forEach((entries, entryFile) => {
+    const recorded = (baseline.byFile.get(entryFile) || []).filter(inScope);
+    const { matched, removed } = matchKeyed(recorded, entries);
+    matched.forEach(([, entry]) => {
+      hidden.add(entry.issue);
+      baselined.push({ ...entry.issue, category: entry.category, fingerprint: entry.fingerprint });
+    });
+    fixed.push(...removed);
+  });
+  // Files with entries but no findings left
+  baseline.byFile.forEach((entries, entryFile) => {
+    const covered = sections.structural || entryFile === file;
+    if (covered && !current.some((entry) => entry.file === entryFile)) fixed.push(...entries.filter(inScope));
+  });
+
+  const keep = (issues) => (issues || []).filter((issue) => !hidden.has(issue));
+  const result = { ...sections };
+  for (const category of ["bugs", "lint", "security", "redundancy", "structural"]) {
+    if (sections[category]) result[category] = keep(sections[category]);
+  }
+  if (sections.complexity && sections.complexity.functions) {
+    result.complexity = {
+      ...sections.complexity,
+      functions: sections.complexity.functions.map((fn) => ({ ...fn, issues: keep(fn.issues) })),
+    };
+  }
+
+  return { sections: result, baselined, fixed };
+}
+
+module.exports = { loadBaseline, entriesFor, saveBaseline, applyBaseline };
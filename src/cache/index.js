@@ -0,0 +1,123 @@
+"use strict";
+
+/**
+ * cache/index.js
+ * ──────────────
+ * On-disk result cache for analyzeProject().
+ *
+ * Every analysed file gets one JSON entry in the cache directory (default
+ * `.code-maester-cache/`), named after a hash of its absolute path:
+ *
+ *   { format, factsKey, facts, reportKey, report }
+ *
+ *   facts  — cross-file extraction (exports, imports, dependency edges);
+ *            valid while the file content and package version are unchanged
+ *   report — the per-file analyze() report; its key also covers the resolved
+ *            config, the plugin set and the analysis options
+ *
+ * A stale half is simply recomputed and the entry rewritten, so editing a
+ * file or its config never leaves extra entries behind.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_LOCATION = ".code-maester-cache";
+const CACHE_FORMAT = 3;
+
+// ─── Keys ─────────────────────────────────────────────────────────────────────
+
+function hash(...parts) {
+  return crypto.createHash("sha1").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * Identity of a plugin list: names, versions and the source of each `run`,
+ * so editing a local plugin invalidates the reports it contributed to.
+ */
+function pluginKey(pluginList = []) {
+  return hash(
+    pluginList.map((plugin) => [plugin.name, plugin.version || null, plugin.language || null, String(plugin.run)]),
+  );
+}
+
+/**
+ * Identity of a resolved config (weights, thresholds, rules, plugins, …).
+ */
+function configKey(cfg) {
+  const { plugins: configPlugins = [], ...rest } = cfg;
+  return hash(rest, pluginKey(configPlugins));
+}
+
+// ─── Store ────────────────────────────────────────────────────────────────────
+
+/**
+ * Open a cache directory. Nothing is written until the first store().
+ *
+ * @param {{ location?: string }} options
+ * @returns {{ dir: string, lookup: Function, store: Function }}
+ */
+function createCache({ location } = {}) {
+  const dir = path.resolve(location || DEFAULT_LOCATION);
+  let ready = false;
+
+  const entryPath = (filePath) => path.join(dir, `${hash(path.resolve(filePath))}.json`);
+
+  function read(filePath) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(entryPath(filePath), "utf-8"));
+      return entry && entry.format === CACHE_FORMAT ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Cached facts and report for a file; either is null when missing or stale.
+   *
+   * @param {string} filePath
+   * @param {{ factsKey: string, reportKey?: string }} keys
+   * @returns {{ facts: object|null, report: object|null }}
+   */
+  function lookup(filePath, { factsKey, reportKey }) {
+    const entry = read(filePath);
+    if (!entry) return { facts: null, report: null };
+    return {
+      facts: entry.factsKey === factsKey ? entry.facts : null,
+      report: reportKey && entry.reportKey === reportKey ? entry.report : null,
+    };
+  }
+
+  /**
+   * Write a file's entry. A report left out of `update` is kept from the
+   * existing entry while the content is unchanged. Failures only warn — a
+   * read-only checkout still gets its analysis, just without caching.
+   *
+   * @param {string} filePath
+   * @param {{ factsKey: string, facts: object, reportKey?: string, report?: object }} update
+   */
+  function store(filePath, update) {
+    const previous = read(filePath);
+    const entry = { format: CACHE_FORMAT, reportKey: null, report: null };
+    if (previous && previous.factsKey === update.factsKey) Object.assign(entry, previous);
+    Object.assign(entry, update.report ? update : { factsKey: update.factsKey, facts: update.facts });
+
+    try {
+      if (!ready) {
+        fs.mkdirSync(dir, { recursive: true });
+        // Keep the cache out of version control without touching the project's .gitignore
+        const ignoreFile = path.join(dir, ".gitignore");
+        if (!fs.existsSync(ignoreFile)) fs.writeFileSync(ignoreFile, "*\n");
+        ready = true;
+      }
+      fs.writeFileSync(entryPath(filePath), JSON.stringify(entry));
+    } catch (err) {
+      console.warn(`[code-maester] Could not write cache entry for ${filePath}: ${err.message}`);
+    }
+  }
+
+  return { dir, lookup, store };
+}
+
+module.exports = { createCache, hash, configKey, pluginKey, DEFAULT_LOCATION };
@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * changed-lines/index.js
+ * ──────────────────────
+ * Limit reported issues to the lines a change touched, for code review.
+ *
+ * A unified diff (`git diff`, `diff -u`, a downloaded .patch) is parsed with
+ * the `diff` package into the new-side line numbers of every added or changed
+ * line, per file. Issues on other lines are hidden.
+ *
+ * Issues without a line (line 0, e.g. a vulnerable dependency) follow the
+ * `issuesWithoutLine` policy:
+ *   "include" (default) — kept in files the diff touches
+ *   "exclude"           — always hidden
+ * Files the diff does not touch report nothing.
+ */
+
+const path = require("path");
+const { parsePatch } = require("diff");
+
+const POLICIES = ["include", "exclude"];
+
+// The last parsed patch; project runs pass the same one for every file
+let lastParsed = { key: null, files: null };
+
+/**
+ * Strip git's "a/" and "b/" prefixes, as `patch -p1` would, when both sides
+ * carry them (or are /dev/null).
+ */
+function patchPaths(file) {
+  const isGit =
+    (file.oldFileName === "/dev/null" || /^a\//.test(file.oldFileName)) &&
+    (file.newFileName === "/dev/null" || /^b\//.test(file.newFileName));
+  return isGit ? file.newFileName.replace(/^b\//, "") : file.newFileName;
+}
+
+/**
+ * New-side line ranges of every added or changed line, by file.
+ *
+ * @param {string} patch - unified diff text
+ * @param {string} root - directory the diff's paths are relative to
+ * @returns {Map<string, Array<[number, number]>>} absolute path → sorted,
+ *   inclusive ranges; files with only deletions map to an empty list
+ */
+function parseChangedLines(patch, root = process.cwd()) {
+  const key = `${path.resolve(root)}\0${patch}`;
+  if (lastParsed.key === key) return lastParsed.files;
+
+  const files = new Map();
+  for (const file of parsePatch(patch)) {
+    // Pure renames and mode changes have no file names; deleted files have no new side
+    if (!file.newFileName || file.newFileName === "/dev/null") continue;
+    const ranges = [];
+    for (const hunk of file.hunks) {
+      let line = hunk.newStart;
+      for (const text of hunk.lines) {
+        if (text[0] === "+") {
+          const last = ranges[ranges.length - 1];
+          if (last && last[1] === line - 1) last[1] = line;
+          else ranges.push([line, line]);
+          line++;
+        } else if (text[0] === " ") {
+          line++;
+        }
+      }
+    }
+    files.set(path.resolve(root, patchPaths(file)), ranges);
+  }
+
+  lastParsed = { key, files };
+  return files;
+}
+
+/**
+ * Normalise the `onlyChangedLines` option: a unified diff, or
+ * `{ patch, root?, issuesWithoutLine? }`.
+ *
+ * @returns {{ files: Map<string, Array<[number, number]>>, issuesWithoutLine: string }}
+ */
+function resolveChangedLines(option) {
+  const { patch, root, issuesWithoutLine = "include" } = typeof option === "string" ? { patch: option } : option;
+  if (typeof patch !== "string") {
+    throw new Error("onlyChangedLines expects a unified diff, or { patch, root, issuesWithoutLine }");
+  }
+  if (!POLICIES.includes(issuesWithoutLine)) {
+    throw new Error(`issuesWithoutLine must be one of ${POLICIES.join(", ")}, not '${issuesWithoutLine}'`);
+  }
+  return { files: parseChangedLines(patch, root), issuesWithoutLine };
+}
+
+/**
+ * Hide issues outside the changed lines.
+ *
+ * @param {object} sections - { bugs, lint, security, complexity, redundancy } or { structural }
+ * @param {{ files: Map, issuesWithoutLine: string }} changes - from resolveChangedLines()
+ * @param {{ filePath: string|null }} source - file the sections belong to;
+ *   structural issues carry their own `file`
+ * @returns {{ sections: object, hidden: number }}
+ */
+function applyChangedLines(sections, changes, { filePath }) {
+  let hidden = 0;
+  const keep = (issue) => {
+    const file = issue.file || filePath;
+    const ranges = file ? changes.files.get(path.resolve(file)) : null;
+    let kept;
+    if (!ranges) kept = false;
+    else if (!(issue.line > 0)) kept = changes.issuesWithoutLine === "include";
+    else kept = ranges.some(([start, end]) => issue.line >= start && issue.line <= end);
+    if (!kept) hidden++;
+    return kept;
+  };
+
+  const result = { ...sections };
+  for (const category of ["bugs", "lint", "security", "redundancy", "structural"]) {
+    if (sections[category]) result[category] = sections[category].filter(keep);
+  }
+  if (sections.complexity && sections.complexity.functions) {
+    result.complexity = {
+      ...sections.complexity,
+      functions: sections.complexity.functions.map((fn) => ({ ...fn, issues: (fn.issues || []).filter(keep) })),
+    };
+  }
+  return { sections: result, hidden };
+}
+
+module.exports = { parseChangedLines, resolveChangedLines, applyChangedLines };
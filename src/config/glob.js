@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * config/glob.js
+ * ──────────────
+ * Minimal glob matching for config `ignorePatterns` and `overrides[].files`.
+ *
+ * Supported syntax: `*`, `**`, `?`, `[abc]`, `{a,b}`.
+ * Matching follows .gitignore conventions:
+ *   - a pattern without a slash matches a file or directory name at any depth
+ *   - a pattern with a slash is anchored to the base directory
+ *   - a trailing slash only matches directories
+ *   - matching a directory matches everything inside it
+ */
+
+const path = require("path");
+
+const regexCache = new Map();
+
+/**
+ * Compile a glob into an anchored RegExp source (no ^/$).
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToRegExpSource(glob) {
+  let re = "";
+  let i = 0;
+
+  while (i < glob.length) {
+    const ch = glob[i];
+
+    if (ch === "*") {
+      if (glob[i + 1] === "*") {
+        // `**/` → zero or more directories, `**` at the end → anything
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 3;
+        } else {
+          re += ".*";
+          i += 2;
+        }
+      } else {
+        re += "[^/]*";
+        i++;
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+      i++;
+    } else if (ch === "[") {
+      const close = glob.indexOf("]", i + 1);
+      if (close === -1) {
+        re += "\\[";
+        i++;
+      } else {
+        re += `[${glob.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        i = close + 1;
+      }
+    } else if (ch === "{") {
+      const close = glob.indexOf("}", i + 1);
+      if (close === -1) {
+        re += "\\{";
+        i++;
+      } else {
+        const alternatives = glob.slice(i + 1, close).split(",").map(globToRegExpSource);
+        re += `(?:${alternatives.join("|")})`;
+        i = close + 1;
+      }
+    } else {
+      re += ch.replace(/[.+^$()|\\]/g, "\\$&");
+      i++;
+    }
+  }
+
+  return re;
+}
+
+/**
+ * Compile a glob into a RegExp tested against a forward-slash relative path.
+ *
+ * @param {string} pattern
+ * @param {{ exact?: boolean }} [options] - with `exact`, match the path itself
+ *   only, not paths inside a matching directory; a directory-only pattern
+ *   ("dist/") then matches a directory given with a trailing "/" ("dist/")
+ * @returns {RegExp}
+ */
+function compile(pattern, { exact = false } = {}) {
+  const key = exact ? `exact:${pattern}` : pattern;
+  if (regexCache.has(key)) return regexCache.get(key);
+
+  let glob = pattern.trim();
+  const dirOnly = glob.endsWith("/");
+  if (dirOnly) glob = glob.replace(/\/+$/, "");
+
+  const anchored = glob.includes("/");
+  glob = glob.replace(/^\.?\//, "");
+
+  const body = globToRegExpSource(glob);
+  // dirOnly patterns must be followed by more path; others may also match a parent dir
+  let tail = dirOnly ? "/.*" : "(?:/.*)?";
+  if (exact) tail = dirOnly ? "/" : "";
+  const re = new RegExp(`^${anchored ? "" : "(?:.*/)?"}${body}${tail}$`);
+
+  regexCache.set(key, re);
+  return re;
+}
+
+/**
+ * Convert an absolute or relative path to a forward-slash path relative to baseDir.
+ * @param {string} filePath
+ * @param {string} baseDir
+ * @returns {string|null} null when filePath is outside baseDir
+ */
+function toRelative(filePath, baseDir) {
+  const rel = path.relative(baseDir, path.resolve(filePath));
+  if (rel.startsWith("..") || path.isAbsolute(rel)) return null;
+  return rel.split(path.sep).join("/");
+}
+
+/**
+ * Test a path against a single glob.
+ *
+ * @param {string} filePath - absolute path, or relative to baseDir
+ * @param {string} pattern
+ * @param {string} baseDir  - directory the pattern is relative to
+ * @returns {boolean}
+ */
+function matches(filePath, pattern, baseDir = process.cwd()) {
+  const rel = toRelative(filePath, baseDir);
+  if (rel === null || rel === "") return false;
+  return compile(pattern).test(rel);
+}
+
+/**
+ * @param {string} filePath
+ * @param {string[]} patterns
+ * @param {string} baseDir
+ * @returns {boolean}
+ */
+function matchesAny(filePath, patterns, baseDir = process.cwd()) {
+  return patterns.some((p) => matches(filePath, p, baseDir));
+}
+
+module.exports = { matches, matchesAny, toRelative, compile };
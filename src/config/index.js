@@ -11,6 +11,10 @@ const globalConfig = {
     nestingLimit: 3,
     functionLengthLimit: 50,
   },
+  // Per-rule overrides: { "<rule-id>": "off" | severity | [severity, options] }
+  rules: {},
+  // Quality gates for CLI runs, see src/gates
+  gates: {},
   ai: {
     enabled: false,
     apiKey: null,
@@ -0,0 +1,259 @@
+"use strict";
+
+/**
+ * config/loader.js
+ * ────────────────
+ * Finds and merges project configuration for a file on disk.
+ *
+ * Starting at the file's directory and walking up to the filesystem root,
+ * each directory is checked for (first match wins within a directory):
+ *
+ *   .codemaesterrc.json
+ *   .codemaesterrc.js
+ *   code-maester.config.js
+ *   package.json → "codeMaester" key
+ *
+ * Layers are merged from the outermost directory inwards, so the nearest
+ * config wins. A config with `"root": true` stops the upward search.
+ * Each layer's `overrides` are applied right after the layer itself when
+ * one of their `files` globs (relative to that config's directory) matches.
+ *
+ * Merge order: global config() → config files (far → near) → overrides.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const globalConfig = require("./index");
+const { validateConfig, validateWeightSum } = require("./schema");
+const { matchesAny } = require("./glob");
+const { mergeRules } = require("./rules");
+
+const CONFIG_FILENAMES = [".codemaesterrc.json", ".codemaesterrc.js", "code-maester.config.js"];
+const PACKAGE_JSON_KEY = "codeMaester";
+
+// path → { path, dir, config } | null
+const fileCache = new Map();
+// directory → layers, nearest first
+const dirCache = new Map();
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+function readRawConfig(filePath) {
+  const base = path.basename(filePath);
+
+  try {
+    if (filePath.endsWith(".js") || filePath.endsWith(".cjs")) {
+      return require(filePath);
+    }
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (base === "package.json") return parsed[PACKAGE_JSON_KEY];
+    return parsed;
+  } catch (err) {
+    // A broken package.json elsewhere in the tree is not our concern
+    if (base === "package.json") return undefined;
+    throw new Error(`Failed to load code-maester config ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Load and validate a single config file (cached).
+ * @param {string} filePath - absolute path
+ * @returns {{ path: string, dir: string, config: object }|null}
+ */
+function loadConfigFile(filePath) {
+  if (fileCache.has(filePath)) return fileCache.get(filePath);
+
+  const raw = readRawConfig(filePath);
+  const layer =
+    raw === undefined
+      ? null
+      : {
+        path: filePath,
+        dir: path.dirname(filePath),
+        config: validateConfig(raw, filePath),
+      };
+
+  fileCache.set(filePath, layer);
+  return layer;
+}
+
+function findConfigInDir(dir) {
+  for (const name of CONFIG_FILENAMES) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return loadConfigFile(candidate);
+  }
+  const pkg = path.join(dir, "package.json");
+  if (fs.existsSync(pkg)) return loadConfigFile(pkg);
+  return null;
+}
+
+/**
+ * Config layers that apply to files in `dir`, nearest first.
+ * @param {string} dir
+ * @returns {Array<{ path: string, dir: string, config: object }>}
+ */
+function layersFor(dir) {
+  if (dirCache.has(dir)) return dirCache.get(dir);
+
+  const own = findConfigInDir(dir);
+  const parent = path.dirname(dir);
+  const inherited = parent === dir || (own && own.config.root) ? [] : layersFor(parent);
+  const layers = own ? [own, ...inherited] : inherited;
+
+  dirCache.set(dir, layers);
+  return layers;
+}
+
+// ─── Merging ──────────────────────────────────────────────────────────────────
+
+function loadPlugin(entry, baseDir, source) {
+  if (typeof entry !== "string") return entry;
+
+  let plugin;
+  try {
+    plugin = require(require.resolve(entry, { paths: [baseDir] }));
+  } catch (err) {
+    throw new Error(`Cannot load plugin '${entry}' listed in ${source}: ${err.message}`);
+  }
+  if (!plugin || typeof plugin.name !== "string" || typeof plugin.run !== "function") {
+    throw new Error(
+      `Plugin '${entry}' listed in ${source} must export { name, run(code, ast) }.`,
+    );
+  }
+  return plugin;
+}
+
+function toList(value) {
+  return typeof value === "string" ? [value] : value || [];
+}
+
+function mergeSection(target, section, dir, source) {
+  if (section.weights) target.weights = { ...target.weights, ...section.weights };
+  if (section.thresholds) target.thresholds = { ...target.thresholds, ...section.thresholds };
+  if (section.ai) target.ai = { ...target.ai, ...section.ai };
+  if (section.gates) target.gates = { ...target.gates, ...section.gates };
+  if (section.rules) target.rules = mergeRules(target.rules, section.rules);
+  if (section.plugins) {
+    const loaded = section.plugins.map((p) => loadPlugin(p, dir, source));
+    // Same-named plugins from a nearer config replace the outer one
+    const names = new Set(loaded.map((p) => p.name));
+    target.plugins = [...target.plugins.filter((p) => !names.has(p.name)), ...loaded];
+  }
+}
+
+function applyLayer(target, layer, filePath) {
+  const { config, dir } = layer;
+
+  mergeSection(target, config, dir, layer.path);
+
+  for (const pattern of toList(config.ignorePatterns)) {
+    target.ignorePatterns.push({ pattern, baseDir: dir, source: layer.path });
+  }
+
+  for (const override of config.overrides || []) {
+    if (!filePath) continue;
+    if (!matchesAny(filePath, toList(override.files), dir)) continue;
+    if (matchesAny(filePath, toList(override.excludedFiles), dir)) continue;
+    mergeSection(target, override, dir, layer.path);
+  }
+
+  target.configFiles.push(layer.path);
+}
+
+// ─── Main entry ───────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the effective configuration for a file.
+ *
+ * @param {string|null} filePath - file being analysed (absolute or cwd-relative)
+ * @param {object} options
+ * @param {object} options.baseConfig  - starting point (the global config)
+ * @param {string} [options.configFile] - explicit config file; skips discovery
+ * @returns {{
+ *   weights: object, thresholds: object, ai: object, rules: object, gates: object,
+ *   plugins: object[], ignorePatterns: Array<{pattern, baseDir, source}>,
+ *   configFiles: string[]
+ * }}
+ */
+function resolveConfig(filePath, { baseConfig, configFile } = {}) {
+  const absFile = filePath ? path.resolve(filePath) : null;
+
+  const resolved = {
+    ...baseConfig,
+    weights: { ...baseConfig.weights },
+    thresholds: { ...baseConfig.thresholds },
+    ai: { ...baseConfig.ai },
+    gates: { ...baseConfig.gates },
+    rules: { ...baseConfig.rules },
+    plugins: [],
+    ignorePatterns: [],
+    configFiles: [],
+  };
+
+  let layers;
+  if (configFile) {
+    const explicit = path.resolve(configFile);
+    if (!fs.existsSync(explicit)) {
+      throw new Error(`Config file not found: ${explicit}`);
+    }
+    const layer = loadConfigFile(explicit);
+    if (!layer) {
+      throw new Error(`${explicit} has no "${PACKAGE_JSON_KEY}" section.`);
+    }
+    layers = [layer];
+  } else {
+    layers = absFile ? layersFor(path.dirname(absFile)).slice().reverse() : [];
+  }
+
+  for (const layer of layers) applyLayer(resolved, layer, absFile);
+
+  if (resolved.configFiles.length > 0) {
+    validateWeightSum(resolved.weights, resolved.configFiles.join(", "));
+  }
+
+  return resolved;
+}
+
+/**
+ * Effective config for a file: global config() merged with any discovered
+ * config files, or with `options.configFile` when given.
+ * `options.useConfigFiles: false` skips discovery entirely.
+ *
+ * @param {string|null} filePath
+ * @param {object} [options] - `configFile`, `useConfigFiles`
+ * @returns {object} as resolveConfig()
+ */
+function configFor(filePath, options = {}) {
+  if (options.useConfigFiles === false && !options.configFile) return globalConfig;
+  return resolveConfig(filePath, {
+    baseConfig: globalConfig,
+    configFile: options.configFile,
+  });
+}
+
+/**
+ * Whether a file is excluded by the resolved config's `ignorePatterns`.
+ * @param {string} filePath
+ * @param {object} resolved - result of resolveConfig()
+ * @returns {boolean}
+ */
+function isIgnored(filePath, resolved) {
+  return (resolved.ignorePatterns || []).some(({ pattern, baseDir }) =>
+    matchesAny(filePath, [pattern], baseDir),
+  );
+}
+
+/**
+ * Forget every loaded config file (e.g. after one changes in watch mode).
+ */
+function clearConfigCache() {
+  for (const filePath of fileCache.keys()) {
+    if (filePath.endsWith(".js") || filePath.endsWith(".cjs")) {
+      delete require.cache[filePath];
+    }
+  }
+  fileCache.clear();
+  dirCache.clear();
+}
+
+module.exports = { resolveConfig, configFor, isIgnored, clearConfigCache, CONFIG_FILENAMES };
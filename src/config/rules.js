@@ -0,0 +1,162 @@
+"use strict";
+
+/**
+ * config/rules.js
+ * ───────────────
+ * Per-rule settings from the `rules` config map:
+ *
+ *   rules: {
+ *     "loose-equality":       "off",
+ *     "hardcoded-password":   "error",
+ *     "no-single-letter-var": ["info", { allow: ["i", "j", "_"] }],
+ *     "high_complexity":      ["warning", { max: 15 }],
+ *   }
+ *
+ * A setting is a severity or a `[severity, options]` pair. Rule ids are the
+ * issue's `rule`, or its `type` for complexity / redundancy findings.
+ *
+ * Bug and lint issues use error / warning / info; security issues use
+ * critical / high / medium / low. Either vocabulary is accepted and mapped
+ * onto the issue's own scale so the scoring weights keep working.
+ */
+
+const SEVERITIES = ["off", "info", "warning", "error", "low", "medium", "high", "critical"];
+const SEVERITY_ALIASES = { warn: "warning" };
+
+// error/warning/info ↔ critical/high/medium/low
+const TO_SECURITY_SCALE = { error: "high", warning: "medium", info: "low" };
+const TO_GENERAL_SCALE = { critical: "error", high: "error", medium: "warning", low: "info" };
+
+/**
+ * Split a rule setting into severity + options.
+ * @param {string|Array} value
+ * @returns {{ severity: string|null, options: object }}
+ */
+function parseRuleSetting(value) {
+  const [rawSeverity, options] = Array.isArray(value) ? value : [value, undefined];
+  const severity = SEVERITY_ALIASES[rawSeverity] || rawSeverity || null;
+  return { severity, options: options || {} };
+}
+
+/**
+ * Describe what is wrong with a setting, or return null when it is valid.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function checkRuleSetting(value) {
+  const allowed = [...SEVERITIES, ...Object.keys(SEVERITY_ALIASES)];
+  const severity = Array.isArray(value) ? value[0] : value;
+  if (Array.isArray(value)) {
+    if (value.length === 0 || value.length > 2) {
+      return "must be a severity or a [severity, options] pair";
+    }
+    if (value.length === 2 && (value[1] === null || typeof value[1] !== "object" || Array.isArray(value[1]))) {
+      return "options (second element) must be an object";
+    }
+  }
+  if (!allowed.includes(severity)) {
+    return `severity must be one of ${SEVERITIES.map((s) => `"${s}"`).join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Merge two rules maps. A bare severity keeps options set by an earlier layer.
+ * @param {object} base
+ * @param {object} layer
+ * @returns {object}
+ */
+function mergeRules(base = {}, layer = {}) {
+  const merged = { ...base };
+  for (const [id, value] of Object.entries(layer)) {
+    if (!Array.isArray(value) && Array.isArray(merged[id]) && merged[id][1]) {
+      merged[id] = [value, merged[id][1]];
+    } else {
+      merged[id] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Options configured for a rule (empty object when none).
+ * @param {object} rules
+ * @param {string} id
+ * @returns {object}
+ */
+function getRuleOptions(rules, id) {
+  if (!rules || !(id in rules)) return {};
+  return parseRuleSetting(rules[id]).options;
+}
+
+function isRuleOff(rules, id) {
+  if (!rules || !(id in rules)) return false;
+  return parseRuleSetting(rules[id]).severity === "off";
+}
+
+function ruleOf(issue) {
+  return issue.rule || issue.type;
+}
+
+function overrideSeverity(issue, severity) {
+  const securityScale = issue.type === "security";
+  const mapped = securityScale
+    ? TO_SECURITY_SCALE[severity] || severity
+    : TO_GENERAL_SCALE[severity] || severity;
+  return mapped === issue.severity ? issue : { ...issue, severity: mapped };
+}
+
+function applyToList(issues, rules) {
+  const kept = [];
+  for (const issue of issues || []) {
+    const id = ruleOf(issue);
+    if (!(id in rules)) {
+      kept.push(issue);
+      continue;
+    }
+    const { severity } = parseRuleSetting(rules[id]);
+    if (severity === "off") continue;
+    kept.push(severity ? overrideSeverity(issue, severity) : issue);
+  }
+  return kept;
+}
+
+/**
+ * Drop issues whose rule is "off" and apply severity overrides.
+ *
+ * @param {{ bugs, lint, security, complexity, redundancy }} sections
+ * @param {object} rules - `rules` config map
+ * @returns {{ bugs, lint, security, complexity, redundancy }}
+ */
+function applyRuleSettings(sections, rules) {
+  if (!rules || Object.keys(rules).length === 0) return sections;
+
+  let complexity = sections.complexity;
+  if (complexity && complexity.functions) {
+    complexity = {
+      ...complexity,
+      functions: complexity.functions.map((fn) => ({
+        ...fn,
+        issues: applyToList(fn.issues, rules),
+      })),
+    };
+  }
+
+  return {
+    bugs: applyToList(sections.bugs, rules),
+    lint: applyToList(sections.lint, rules),
+    security: applyToList(sections.security, rules),
+    complexity,
+    redundancy: applyToList(sections.redundancy, rules),
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  parseRuleSetting,
+  checkRuleSetting,
+  mergeRules,
+  getRuleOptions,
+  isRuleOff,
+  applyRuleSettings,
+};
@@ -0,0 +1,199 @@
+"use strict";
+
+/**
+ * config/schema.js
+ * ────────────────
+ * Validates configuration objects coming from config files, package.json
+ * and config(). Every problem is collected so the user sees them all at once:
+ *
+ *   Invalid code-maester config in /repo/.codemaesterrc.json:
+ *     - "weights.bug" must be a number between 0 and 1 (got "high")
+ *     - Unknown key "treshold". Allowed keys: root, weights, thresholds, …
+ */
+
+const { checkRuleSetting } = require("./rules");
+const { checkGates } = require("../gates");
+
+const WEIGHT_KEYS = ["bug", "security", "complexity", "redundancy", "lint"];
+const THRESHOLD_KEYS = ["complexityLimit", "nestingLimit", "functionLengthLimit"];
+
+const TOP_LEVEL_KEYS = [
+  "root",
+  "weights",
+  "thresholds",
+  "plugins",
+  "rules",
+  "ignorePatterns",
+  "overrides",
+  "gates",
+  "ai",
+];
+
+const OVERRIDE_KEYS = ["files", "excludedFiles", "weights", "thresholds", "plugins", "rules"];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function describe(value) {
+  if (Array.isArray(value)) return "an array";
+  if (value === null) return "null";
+  if (typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "object") return "an object";
+  return String(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkKeys(obj, allowed, prefix, errors) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) {
+      errors.push(`Unknown key "${prefix}${key}". Allowed keys: ${allowed.join(", ")}`);
+    }
+  }
+}
+
+function checkStringList(value, name, errors) {
+  const list = typeof value === "string" ? [value] : value;
+  if (!Array.isArray(list) || list.some((p) => typeof p !== "string" || p.trim() === "")) {
+    errors.push(`"${name}" must be a glob string or an array of glob strings (got ${describe(value)})`);
+  }
+}
+
+// ─── Section validators ───────────────────────────────────────────────────────
+
+function checkWeights(weights, prefix, errors) {
+  if (!isPlainObject(weights)) {
+    errors.push(`"${prefix}weights" must be an object (got ${describe(weights)})`);
+    return;
+  }
+  checkKeys(weights, WEIGHT_KEYS, `${prefix}weights.`, errors);
+  for (const key of WEIGHT_KEYS) {
+    if (!(key in weights)) continue;
+    const v = weights[key];
+    if (typeof v !== "number" || Number.isNaN(v) || v < 0 || v > 1) {
+      errors.push(`"${prefix}weights.${key}" must be a number between 0 and 1 (got ${describe(v)})`);
+    }
+  }
+}
+
+function checkThresholds(thresholds, prefix, errors) {
+  if (!isPlainObject(thresholds)) {
+    errors.push(`"${prefix}thresholds" must be an object (got ${describe(thresholds)})`);
+    return;
+  }
+  checkKeys(thresholds, THRESHOLD_KEYS, `${prefix}thresholds.`, errors);
+  for (const key of THRESHOLD_KEYS) {
+    if (!(key in thresholds)) continue;
+    const v = thresholds[key];
+    if (!Number.isInteger(v) || v < 1) {
+      errors.push(`"${prefix}thresholds.${key}" must be a positive integer (got ${describe(v)})`);
+    }
+  }
+}
+
+function checkPlugins(plugins, prefix, errors) {
+  if (!Array.isArray(plugins)) {
+    errors.push(`"${prefix}plugins" must be an array (got ${describe(plugins)})`);
+    return;
+  }
+  plugins.forEach((p, i) => {
+    if (typeof p === "string" && p.trim() !== "") return;
+    if (isPlainObject(p) && typeof p.name === "string" && typeof p.run === "function") return;
+    errors.push(
+      `"${prefix}plugins[${i}]" must be a module path or a plugin object with \`name\` and \`run()\` (got ${describe(p)})`,
+    );
+  });
+}
+
+function checkRules(rules, prefix, errors) {
+  if (!isPlainObject(rules)) {
+    errors.push(`"${prefix}rules" must be an object (got ${describe(rules)})`);
+    return;
+  }
+  for (const [id, value] of Object.entries(rules)) {
+    const problem = checkRuleSetting(value);
+    if (problem) {
+      errors.push(`"${prefix}rules.${id}" ${problem} (got ${describe(value)})`);
+    }
+  }
+}
+
+function checkOverrides(overrides, errors) {
+  if (!Array.isArray(overrides)) {
+    errors.push(`"overrides" must be an array (got ${describe(overrides)})`);
+    return;
+  }
+  overrides.forEach((o, i) => {
+    const prefix = `overrides[${i}].`;
+    if (!isPlainObject(o)) {
+      errors.push(`"overrides[${i}]" must be an object (got ${describe(o)})`);
+      return;
+    }
+    checkKeys(o, OVERRIDE_KEYS, prefix, errors);
+    if (!("files" in o)) errors.push(`"${prefix}files" is required`);
+    else checkStringList(o.files, `${prefix}files`, errors);
+    if ("excludedFiles" in o) checkStringList(o.excludedFiles, `${prefix}excludedFiles`, errors);
+    if ("weights" in o) checkWeights(o.weights, prefix, errors);
+    if ("thresholds" in o) checkThresholds(o.thresholds, prefix, errors);
+    if ("plugins" in o) checkPlugins(o.plugins, prefix, errors);
+    if ("rules" in o) checkRules(o.rules, prefix, errors);
+  });
+}
+
+// ─── Main entry ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate a raw config object. Throws one Error listing every problem.
+ *
+ * @param {object} config
+ * @param {string} source - where the config came from (file path or "config()")
+ * @returns {object} the same config, for chaining
+ */
+function validateConfig(config, source) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    errors.push(`config must be an object (got ${describe(config)})`);
+  } else {
+    checkKeys(config, TOP_LEVEL_KEYS, "", errors);
+    if ("root" in config && typeof config.root !== "boolean") {
+      errors.push(`"root" must be true or false (got ${describe(config.root)})`);
+    }
+    if ("weights" in config) checkWeights(config.weights, "", errors);
+    if ("thresholds" in config) checkThresholds(config.thresholds, "", errors);
+    if ("plugins" in config) checkPlugins(config.plugins, "", errors);
+    if ("rules" in config) checkRules(config.rules, "", errors);
+    if ("ignorePatterns" in config) checkStringList(config.ignorePatterns, "ignorePatterns", errors);
+    if ("overrides" in config) checkOverrides(config.overrides, errors);
+    if ("gates" in config) errors.push(...checkGates(config.gates));
+    if ("ai" in config && !isPlainObject(config.ai)) {
+      errors.push(`"ai" must be an object (got ${describe(config.ai)})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid code-maester config in ${source}:\n  - ${errors.join("\n  - ")}`,
+    );
+  }
+
+  return config;
+}
+
+/**
+ * Weights must sum to 1 once every layer has been merged.
+ * @param {object} weights
+ * @param {string} source
+ */
+function validateWeightSum(weights, source) {
+  const sum = Object.values(weights).reduce((a, b) => a + b, 0);
+  if (Math.abs(sum - 1) > 0.0001) {
+    throw new Error(
+      `Invalid code-maester config in ${source}: weights must sum to 1. ` +
+      `Got ${sum.toFixed(4)} from ${JSON.stringify(weights)}`,
+    );
+  }
+}
+
+module.exports = { validateConfig, validateWeightSum, WEIGHT_KEYS, THRESHOLD_KEYS };
@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * fingerprint/index.js
+ * ────────────────────
+ * Location-aware issue fingerprints, used by diff() to tell which issues
+ * were introduced, resolved or left unchanged between two versions.
+ *
+ * A fingerprint hashes:
+ *   - the rule
+ *   - the offending line, trimmed with runs of whitespace collapsed
+ *   - the nearest non-blank line above and below it, normalised the same way
+ *   - the name of the innermost enclosing function
+ *
+ * Line numbers are left out, so code that moves keeps its fingerprints.
+ * Issues without a line (file-level findings) hash their message instead.
+ * Identical issues share a fingerprint and are matched by count.
+ *
+ * Matching falls back to looser keys for what is left over: the same without
+ * the neighbouring lines, then the message in place of the line, with the
+ * neighbours kept. The last one keeps an issue's identity when another edit
+ * touches its line in place, e.g. fixing `x == 1` next to an untouched
+ * `parseInt(s)`. It needs the neighbours to be unchanged: an issue with the
+ * same message elsewhere is a different issue, not the same one edited.
+ */
+
+const crypto = require("crypto");
+
+function normaliseLine(text) {
+  return (text || "").trim().replace(/\s+/g, " ");
+}
+
+// Numbers in messages are counts or sizes that drift with unrelated edits
+function normaliseMessage(message) {
+  return String(message || "").replace(/\d+/g, "#");
+}
+
+function hash(parts) {
+  return crypto.createHash("sha1").update(parts.join("\u0000")).digest("hex").slice(0, 16);
+}
+
+/**
+ * Nearest non-blank line in `direction` (-1 above, +1 below) of a 0-based index.
+ */
+function neighbour(lines, index, direction) {
+  for (let i = index + direction; i >= 0 && i < lines.length; i += direction) {
+    const text = normaliseLine(lines[i]);
+    if (text) return text;
+  }
+  return "";
+}
+
+/**
+ * Innermost function whose line range contains `line`.
+ * @param {Array<{ name: string, startLine: number, endLine: number }>} functions
+ */
+function enclosingFunction(functions, line) {
+  let best = null;
+  for (const fn of functions) {
+    if (line < fn.startLine || line > fn.endLine) continue;
+    if (!best || fn.startLine >= best.startLine) best = fn;
+  }
+  return best ? best.name : "";
+}
+
+/**
+ * The parts of an issue's identity, strictest first. `core` leaves out the
+ * neighbouring lines so a match can still be found after edits right next to
+ * the issue; `edited` puts the message in place of the line itself, for
+ * edits on it that leave the lines around it alone.
+ *
+ * @param {object} issue
+ * @param {Array<string>|null} lines - source lines; without them (e.g. for
+ *   cross-file findings) the message stands in for the line
+ * @param {Array<object>} functions - `complexity.functions` of the report
+ * @returns {{ fingerprint: string, core: string, edited: string }}
+ */
+function keysFor(issue, lines, functions = []) {
+  const rule = issue.rule || issue.type || "";
+  const message = normaliseMessage(issue.message);
+  if (!(issue.line > 0) || !lines) {
+    const key = hash([rule, "", message]);
+    return { fingerprint: key, core: key, edited: key };
+  }
+
+  const index = issue.line - 1;
+  const snippet = normaliseLine(lines[index]);
+  const fn = enclosingFunction(functions, issue.line);
+  const above = neighbour(lines, index, -1);
+  const below = neighbour(lines, index, 1);
+  return {
+    fingerprint: hash([rule, snippet, above, below, fn]),
+    core: hash([rule, snippet, fn]),
+    edited: hash([rule, message, above, below, fn]),
+  };
+}
+
+const MATCH_ORDER = ["fingerprint", "core", "edited"];
+
+/**
+ * Pair up two lists of entries carrying the keys of keysFor(), one key at a
+ * time in MATCH_ORDER, counting duplicates.
+ *
+ * @param {Array<object>} before
+ * @param {Array<object>} after
+ * @returns {{ matched: Array<[object, object]>, added: Array, removed: Array }}
+ *   `matched` pairs an entry of `before` with one of `after`, in the order of `before`
+ */
+function matchKeyed(before, after) {
+  let oldLeft = before.map((entry, order) => ({ entry, order }));
+  let newLeft = after.slice();
+  const matched = [];
+
+  for (const field of MATCH_ORDER) {
+    const available = new Map();
+    newLeft.forEach((entry) => {
+      if (!available.has(entry[field])) available.set(entry[field], []);
+      available.get(entry[field]).push(entry);
+    });
+
+    const taken = new Set();
+    oldLeft = oldLeft.filter((item) => {
+      const candidates = available.get(item.entry[field]);
+      if (!candidates || candidates.length === 0) return true;
+      const partner = candidates.shift();
+      taken.add(partner);
+      matched.push({ ...item, partner });
+      return false;
+    });
+    newLeft = newLeft.filter((entry) => !taken.has(entry));
+  }
+
+  return {
+    matched: matched.sort((a, b) => a.order - b.order).map((item) => [item.entry, item.partner]),
+    added: newLeft,
+    removed: oldLeft.map((item) => item.entry),
+  };
+}
+
+function functionsOf(sections) {
+  return (sections.complexity && sections.complexity.functions) || [];
+}
+
+/**
+ * Copies of `issues` with a `fingerprint` each.
+ *
+ * @param {Array<object>} issues
+ * @param {string} code - the analysed source
+ * @param {Array<object>} functions - `complexity.functions` of the report
+ * @returns {Array<object>}
+ */
+function fingerprintIssues(issues, code, functions = []) {
+  const lines = code.split(/\r?\n/);
+  return (issues || []).map((issue) => ({ ...issue, fingerprint: keysFor(issue, lines, functions).fingerprint }));
+}
+
+/**
+ * Copy of `sections` in which every issue carries a `fingerprint`.
+ *
+ * @param {{ bugs, lint, security, complexity, redundancy }} sections
+ * @param {string} code - the analysed source
+ * @returns {object} sections of the same shape
+ */
+function fingerprintSections(sections, code) {
+  const functions = functionsOf(sections);
+  const stamp = (list) => fingerprintIssues(list, code, functions);
+
+  let complexity = sections.complexity;
+  if (complexity && complexity.functions) {
+    complexity = {
+      ...complexity,
+      functions: complexity.functions.map((fn) => ({ ...fn, issues: stamp(fn.issues) })),
+    };
+  }
+
+  return {
+    bugs: stamp(sections.bugs),
+    lint: stamp(sections.lint),
+    security: stamp(sections.security),
+    complexity,
+    redundancy: stamp(sections.redundancy),
+  };
+}
+
+/**
+ * Match two issue lists by fingerprint, counting duplicates. Issues left over
+ * get a second chance on the core key (rule, line text, function), which
+ * survives edits to the lines around them, and a last one on the rule,
+ * function and message, which survives edits to their own line.
+ *
+ * @param {{ issues: Array, code: string, functions: Array }} before
+ * @param {{ issues: Array, code: string, functions: Array }} after
+ * @returns {{ introduced: Array, resolved: Array, unchanged: Array }} unchanged
+ *   lists the issues of `before`
+ */
+function matchIssues(before, after) {
+  const keyed = ({ issues, code, functions }) => {
+    const lines = code.split(/\r?\n/);
+    return issues.map((issue) => ({ issue, ...keysFor(issue, lines, functions || []) }));
+  };
+  const { matched, added, removed } = matchKeyed(keyed(before), keyed(after));
+
+  return {
+    introduced: added.map((entry) => entry.issue),
+    resolved: removed.map((entry) => entry.issue),
+    unchanged: matched.map(([entry]) => entry.issue),
+  };
+}
+
+module.exports = { fingerprintIssues, fingerprintSections, matchIssues, matchKeyed, keysFor, functionsOf };
@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * fix/index.js
+ * ────────────
+ * Machine-applicable fixes. An issue may carry
+ *
+ *   fix: { range: [start, end], text }
+ *
+ * meaning: replace the characters of the analysed code from offset `start`
+ * up to (not including) `end` with `text`; an empty range inserts.
+ *
+ * One pass applies fixes from the start of the file on and skips any fix
+ * overlapping (or touching) one already taken. applyFixes() in src/index.js
+ * re-analyses the result and runs further passes, so skipped fixes get their
+ * turn.
+ */
+
+const ISSUE_SECTIONS = ["bugs", "lint", "security", "redundancy"];
+
+function isValidFix(fix, length) {
+  if (!fix || typeof fix.text !== "string" || !Array.isArray(fix.range)) return false;
+  const [start, end] = fix.range;
+  return Number.isInteger(start) && Number.isInteger(end) && start >= 0 && start <= end && end <= length;
+}
+
+/**
+ * Every issue of a report that carries a fix, in report order.
+ *
+ * @param {object} sections - a report, or { bugs, lint, security, complexity, redundancy }
+ * @returns {Array<object>}
+ */
+function fixableIssues(sections) {
+  const issues = [];
+  for (const category of ISSUE_SECTIONS) issues.push(...(sections[category] || []));
+  const functions = (sections.complexity && sections.complexity.functions) || [];
+  functions.forEach((fn) => issues.push(...(fn.issues || [])));
+  return issues.filter((issue) => issue.fix);
+}
+
+/**
+ * Apply the fixes of `issues` to `code` in one pass.
+ *
+ * @param {string} code
+ * @param {Array<object>} issues - issues found in `code`; those without a fix are ignored
+ * @returns {{ output: string, applied: Array<object>, skipped: Array<object> }}
+ *   `skipped` are fixes that overlapped an applied one or had an invalid range
+ */
+function applyFixPass(code, issues) {
+  const withFix = issues.filter((issue) => issue.fix);
+  const skipped = withFix.filter((issue) => !isValidFix(issue.fix, code.length));
+  const candidates = withFix
+    .filter((issue) => isValidFix(issue.fix, code.length))
+    .sort((a, b) => a.fix.range[0] - b.fix.range[0] || a.fix.range[1] - b.fix.range[1]);
+
+  const applied = [];
+  const parts = [];
+  let at = 0;
+  let last = null;
+
+  for (const issue of candidates) {
+    const { range, text } = issue.fix;
+    if (last && range[0] === last.range[0] && range[1] === last.range[1] && text === last.text) {
+      applied.push(issue); // the same edit reported by two rules
+    } else if (last && range[0] <= at) {
+      skipped.push(issue); // overlapping, or touching and so ambiguous in order
+    } else {
+      parts.push(code.slice(at, range[0]), text);
+      at = range[1];
+      last = issue.fix;
+      applied.push(issue);
+    }
+  }
+  parts.push(code.slice(at));
+
+  return { output: parts.join(""), applied, skipped };
+}
+
+module.exports = { fixableIssues, applyFixPass };
@@ -0,0 +1,237 @@
+"use strict";
+
+/**
+ * gates/index.js
+ * ──────────────
+ * Quality gates: pass/fail conditions for a whole run, from the `gates`
+ * config key or CLI flags.
+ *
+ *   gates: {
+ *     minScore: 80,                        // every file scores at least 80
+ *     minGrade: "B",                       // every file grades B or better
+ *     failOn: ["bug", "security:high"],    // no issue of the category at or above the severity
+ *     maxIssues: { lint: 50, total: 200 }, // issue counts over all files
+ *     maxComplexity: 15,                   // no function above this cyclomatic complexity
+ *   }
+ *
+ * Categories are bug, lint, security, complexity, redundancy and structural
+ * (cross-file findings); `maxIssues` also takes `total`. Severities of both
+ * scales are ranked together: info = low < warning = medium < error = high
+ * < critical. Every gate is evaluated, so a report shows all that failed.
+ */
+
+const path = require("path");
+const { getGrade, GRADE_THRESHOLDS } = require("../scoring/grades");
+
+const CATEGORIES = ["bug", "lint", "security", "complexity", "redundancy", "structural"];
+const SECTIONS = { bug: "bugs", lint: "lint", security: "security", redundancy: "redundancy" };
+const SEVERITY_RANK = { info: 1, low: 1, warning: 2, medium: 2, error: 3, high: 3, critical: 4 };
+// Best first, so a lower index is a better grade
+const GRADES = GRADE_THRESHOLDS.map((t) => t.grade);
+const GATE_KEYS = ["minScore", "minGrade", "failOn", "maxIssues", "maxComplexity"];
+
+// Without configured gates, runs keep failing on what they always failed on
+const DEFAULT_GATES = { failOn: ["bug", "security"] };
+const DEFAULT_PROJECT_GATES = { failOn: ["structural:error"] };
+
+/**
+ * Split a failOn entry such as "security:high" into its parts.
+ *
+ * @param {string} spec
+ * @returns {{ category: string, severity: string|null }}
+ * @throws {Error} for unknown categories or severities
+ */
+function parseFailOn(spec) {
+  const [category, severity = null, extra] = String(spec).trim().split(":");
+  if (!CATEGORIES.includes(category) || extra !== undefined) {
+    throw new Error(`'${spec}' must be <category>[:<severity>] with a category of ${CATEGORIES.join(", ")}`);
+  }
+  if (severity !== null && !SEVERITY_RANK[severity]) {
+    throw new Error(`'${spec}' has an unknown severity; use one of ${Object.keys(SEVERITY_RANK).join(", ")}`);
+  }
+  return { category, severity };
+}
+
+/**
+ * Describe every problem with a gates object, for config validation.
+ *
+ * @param {*} gates
+ * @returns {Array<string>} messages, empty when valid
+ */
+function checkGates(gates) {
+  if (gates === null || typeof gates !== "object" || Array.isArray(gates)) {
+    return ['"gates" must be an object'];
+  }
+  const problems = [];
+  for (const key of Object.keys(gates)) {
+    if (!GATE_KEYS.includes(key)) problems.push(`Unknown key "gates.${key}". Allowed keys: ${GATE_KEYS.join(", ")}`);
+  }
+  const { minScore, minGrade, failOn, maxIssues, maxComplexity } = gates;
+  if (minScore !== undefined && !(typeof minScore === "number" && minScore >= 0 && minScore <= 100)) {
+    problems.push('"gates.minScore" must be a number between 0 and 100');
+  }
+  if (minGrade !== undefined && !GRADES.includes(minGrade)) {
+    problems.push(`"gates.minGrade" must be one of ${GRADES.join(", ")}`);
+  }
+  if (failOn !== undefined) {
+    if (!Array.isArray(failOn)) problems.push('"gates.failOn" must be an array such as ["bug", "security:high"]');
+    else {
+      failOn.forEach((spec) => {
+        try {
+          parseFailOn(spec);
+        } catch (err) {
+          problems.push(`"gates.failOn": ${err.message}`);
+        }
+      });
+    }
+  }
+  if (maxIssues !== undefined) {
+    if (maxIssues === null || typeof maxIssues !== "object" || Array.isArray(maxIssues)) {
+      problems.push('"gates.maxIssues" must be an object such as { "lint": 50 }');
+    } else {
+      for (const [category, max] of Object.entries(maxIssues)) {
+        if (category !== "total" && !CATEGORIES.includes(category)) {
+          problems.push(`"gates.maxIssues.${category}" is not a category; use ${CATEGORIES.join(", ")} or total`);
+        } else if (!Number.isInteger(max) || max < 0) {
+          problems.push(`"gates.maxIssues.${category}" must be a whole number`);
+        }
+      }
+    }
+  }
+  if (maxComplexity !== undefined && !(Number.isInteger(maxComplexity) && maxComplexity >= 1)) {
+    problems.push('"gates.maxComplexity" must be a positive whole number');
+  }
+  return problems;
+}
+
+// ─── Collecting ───────────────────────────────────────────────────────────────
+
+function severityRank(severity) {
+  return SEVERITY_RANK[severity] || SEVERITY_RANK.warning;
+}
+
+/**
+ * Every issue of the run as { category, severity, file }, plus the scored
+ * files and the most complex function.
+ */
+function collect(reports, structural) {
+  const issues = [];
+  const scored = [];
+  let complexest = null;
+
+  for (const report of reports) {
+    if (!report || report.timedOut) continue;
+    const file = report.filePath || null;
+    if (typeof report.score === "number") scored.push({ file, score: report.score });
+
+    for (const [category, section] of Object.entries(SECTIONS)) {
+      (report[section] || []).forEach((issue) => issues.push({ category, severity: issue.severity, file }));
+    }
+    const functions = (report.complexity && report.complexity.functions) || [];
+    for (const fn of functions) {
+      (fn.issues || []).forEach((issue) => issues.push({ category: "complexity", severity: issue.severity, file }));
+      if (typeof fn.cyclomaticComplexity === "number" && (!complexest || fn.cyclomaticComplexity > complexest.value)) {
+        complexest = { value: fn.cyclomaticComplexity, name: fn.name, line: fn.startLine, file };
+      }
+    }
+  }
+  (structural || []).forEach((issue) =>
+    issues.push({ category: "structural", severity: issue.severity, file: issue.file || null }),
+  );
+
+  return { issues, scored, complexest };
+}
+
+function where(file) {
+  return file ? ` (${path.relative(process.cwd(), file) || file})` : "";
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate gates over a run.
+ *
+ * @param {Array<object>} reports - per-file reports; timed-out ones are skipped
+ * @param {Array<object>} structural - cross-file findings, if any
+ * @param {object} gates - see the module comment
+ * @returns {{ passed: boolean, gates: Array<{ gate: string, threshold: *, actual: *, passed: boolean, message: string }> }}
+ */
+function evaluate(reports, structural, gates) {
+  const { issues, scored, complexest } = collect(reports, structural);
+  const results = [];
+  const add = (gate, threshold, actual, passed, message) => results.push({ gate, threshold, actual, passed, message });
+
+  const lowest = scored.reduce((low, entry) => (!low || entry.score < low.score ? entry : low), null);
+  if (gates.minScore !== undefined) {
+    const actual = lowest ? lowest.score : null;
+    const passed = actual === null || actual >= gates.minScore;
+    add("min-score", gates.minScore, actual, passed,
+      actual === null ? "No file was scored" : `Lowest score ${actual}${where(lowest.file)}`);
+  }
+  if (gates.minGrade !== undefined) {
+    const actual = lowest ? getGrade(lowest.score) : null;
+    const passed = actual === null || GRADES.indexOf(actual) <= GRADES.indexOf(gates.minGrade);
+    add("min-grade", gates.minGrade, actual, passed,
+      actual === null ? "No file was graded" : `Lowest grade ${actual}${where(lowest.file)}`);
+  }
+
+  for (const spec of gates.failOn || []) {
+    const { category, severity } = parseFailOn(spec);
+    const matching = issues.filter(
+      (issue) => issue.category === category && (!severity || severityRank(issue.severity) >= severityRank(severity)),
+    );
+    const scope = severity ? `${category} issue(s) of severity ${severity} or above` : `${category} issue(s)`;
+    add("fail-on", spec, matching.length, matching.length === 0, `${matching.length} ${scope}`);
+  }
+
+  for (const [category, max] of Object.entries(gates.maxIssues || {})) {
+    const count = category === "total" ? issues.length : issues.filter((issue) => issue.category === category).length;
+    const label = category === "total" ? "issue(s) in total" : `${category} issue(s)`;
+    add("max-issues", `${category}=${max}`, count, count <= max, `${count} ${label}, at most ${max} allowed`);
+  }
+
+  if (gates.maxComplexity !== undefined) {
+    const actual = complexest ? complexest.value : 0;
+    add("max-complexity", gates.maxComplexity, actual, actual <= gates.maxComplexity,
+      complexest
+        ? `Most complex: ${complexest.name}, complexity ${complexest.value}${where(complexest.file && `${complexest.file}:${complexest.line}`)}`
+        : "No functions measured");
+  }
+
+  return { passed: results.every((result) => result.passed), gates: results };
+}
+
+/**
+ * Whether a gates object sets any gate.
+ */
+function hasGates(gates) {
+  return Boolean(gates) && GATE_KEYS.some((key) => gates[key] !== undefined);
+}
+
+/**
+ * Whether evaluating `gates` over a project needs per-file reports, rather
+ * than the cross-file findings alone.
+ */
+function needsFileReports(gates) {
+  if (!gates) return false;
+  const perFile = (category) => category !== "structural";
+  return (
+    gates.minScore !== undefined ||
+    gates.minGrade !== undefined ||
+    gates.maxComplexity !== undefined ||
+    (gates.failOn || []).some((spec) => perFile(parseFailOn(spec).category)) ||
+    Object.keys(gates.maxIssues || {}).some(perFile)
+  );
+}
+
+module.exports = {
+  evaluate,
+  checkGates,
+  parseFailOn,
+  hasGates,
+  needsFileReports,
+  DEFAULT_GATES,
+  DEFAULT_PROJECT_GATES,
+  CATEGORIES,
+  GRADES,
+};
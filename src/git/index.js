@@ -0,0 +1,164 @@
+"use strict";
+
+/**
+ * git/index.js
+ * ────────────
+ * Read-only access to a local git repository, for comparing two refs.
+ * Everything runs the `git` executable in the repository; nothing touches
+ * the working tree or the network.
+ *
+ * Failures reject with an Error whose `code` is "GIT_FAILED" and whose
+ * message is git's own, e.g. "fatal: bad revision 'mian'".
+ */
+
+const { spawn } = require("child_process");
+
+const STATUS = { A: "added", C: "added", M: "modified", T: "modified", D: "deleted", R: "renamed" };
+
+/**
+ * Run git and collect its stdout.
+ *
+ * @param {Array<string>} args
+ * @param {{ cwd: string, input?: string }} options - `input` is written to stdin
+ * @returns {Promise<Buffer>}
+ */
+function git(args, { cwd, input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", args, { cwd, stdio: ["pipe", "pipe", "pipe"] });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    child.on("error", (err) => {
+      const failure = new Error(`Could not run git: ${err.message}`);
+      failure.code = "GIT_FAILED";
+      reject(failure);
+    });
+    child.on("close", (status) => {
+      if (status === 0) return resolve(Buffer.concat(stdout));
+      const message = Buffer.concat(stderr).toString("utf-8").trim();
+      const failure = new Error(message || `git ${args[0]} exited with status ${status}`);
+      failure.code = "GIT_FAILED";
+      reject(failure);
+    });
+    child.stdin.on("error", () => {}); // git may exit before reading all input
+    child.stdin.end(input || "");
+  });
+}
+
+/**
+ * Absolute path of the repository containing `cwd`.
+ */
+async function repoRoot(cwd) {
+  return (await git(["rev-parse", "--show-toplevel"], { cwd })).toString("utf-8").trim();
+}
+
+/**
+ * Full commit id of a ref, e.g. "main", "HEAD~2" or a tag.
+ */
+async function resolveCommit(cwd, ref) {
+  try {
+    return (await git(["rev-parse", "--verify", "--quiet", "--end-of-options", `${ref}^{commit}`], { cwd }))
+      .toString("utf-8")
+      .trim();
+  } catch (err) {
+    // --quiet leaves stderr empty for unknown refs; keep git's message otherwise
+    if (err.message.startsWith("git rev-parse exited")) err.message = `Unknown git ref '${ref}'`;
+    throw err;
+  }
+}
+
+/**
+ * The commit `head` branched off `base` — what `git diff base...head` compares against.
+ */
+async function mergeBase(cwd, base, head) {
+  return (await git(["merge-base", base, head], { cwd })).toString("utf-8").trim();
+}
+
+/**
+ * Files that differ between two commits, with renames detected.
+ *
+ * @returns {Promise<Array<{ status: "added"|"modified"|"deleted"|"renamed", path: string, oldPath: string|null }>>}
+ *   paths relative to the repository root, with forward slashes; `oldPath`
+ *   is the path in `from`, null for added (and copied) files
+ */
+async function changedFiles(cwd, from, to) {
+  const fields = (await git(["diff", "--name-status", "-z", "-M", from, to, "--"], { cwd }))
+    .toString("utf-8")
+    .split("\0");
+
+  const changes = [];
+  for (let i = 0; i < fields.length - 1; ) {
+    const code = fields[i++];
+    const status = STATUS[code[0]];
+    const source = code[0] === "R" || code[0] === "C" ? fields[i++] : null;
+    const filePath = fields[i++];
+    // Unmerged and unknown entries have no two sides to compare
+    if (!status) continue;
+    const oldPath = status === "added" ? null : source || filePath;
+    changes.push({ status, path: filePath, oldPath });
+  }
+  return changes;
+}
+
+/**
+ * Unified diff of the working tree against a ref, without context lines.
+ * Untracked files are not included until they are added (`git add -N`).
+ *
+ * @returns {Promise<string>} paths relative to the repository root
+ */
+async function diffSince(cwd, ref) {
+  const commit = await resolveCommit(cwd, ref);
+  return (await git(["diff", "--no-color", "--no-ext-diff", "--unified=0", commit, "--"], { cwd })).toString("utf-8");
+}
+
+/**
+ * Every file in a commit's tree.
+ *
+ * @returns {Promise<Array<{ path: string, blob: string }>>}
+ */
+async function listFiles(cwd, commit) {
+  const entries = (await git(["ls-tree", "-r", "-z", "--full-tree", commit], { cwd }))
+    .toString("utf-8")
+    .split("\0")
+    .filter(Boolean);
+
+  const files = [];
+  for (const entry of entries) {
+    const tab = entry.indexOf("\t");
+    const [, type, blob] = entry.slice(0, tab).split(" ");
+    if (type === "blob") files.push({ path: entry.slice(tab + 1), blob });
+  }
+  return files;
+}
+
+/**
+ * Contents of many objects in one `git cat-file --batch` call.
+ *
+ * @param {string} cwd
+ * @param {Array<string>} specs - blob ids or "<commit>:<path>"
+ * @returns {Promise<Map<string, string|null>>} spec → UTF-8 text, or null
+ *   when it does not exist
+ */
+async function readObjects(cwd, specs) {
+  const contents = new Map();
+  if (specs.length === 0) return contents;
+
+  const out = await git(["cat-file", "--batch"], { cwd, input: specs.join("\n") + "\n" });
+  let offset = 0;
+  for (const spec of specs) {
+    const eol = out.indexOf(0x0a, offset);
+    const header = out.toString("utf-8", offset, eol);
+    offset = eol + 1;
+    if (header.endsWith(" missing") || header.endsWith(" ambiguous")) {
+      contents.set(spec, null);
+      continue;
+    }
+    const size = Number(header.split(" ")[2]);
+    contents.set(spec, out.toString("utf-8", offset, offset + size));
+    offset += size + 1; // content is followed by a newline
+  }
+  return contents;
+}
+
+module.exports = { git, repoRoot, resolveCommit, mergeBase, changedFiles, diffSince, listFiles, readObjects };
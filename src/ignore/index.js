@@ -0,0 +1,184 @@
+"use strict";
+
+/**
+ * ignore/index.js
+ * ───────────────
+ * Which files file discovery leaves out, and why.
+ *
+ * Rules come from, in increasing precedence:
+ *   1. default exclusions (dependencies, build output, minified bundles),
+ *      relative to the working directory
+ *   2. `.gitignore` files
+ *   3. `.codemaesterignore` files (same syntax; can re-include with `!`)
+ *
+ * Ignore files are read in every directory from the file's up to the
+ * repository root (the nearest directory with a `.git`), and rules in deeper
+ * directories win, as in git. Within one file the last matching line wins,
+ * and `!pattern` re-includes. As in git, nothing inside an ignored directory
+ * can be re-included.
+ *
+ * Config `ignorePatterns` are checked by the caller, see src/index.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { compile, toRelative } = require("../config/glob");
+
+const IGNORE_FILES = [".gitignore", ".codemaesterignore"];
+
+const DEFAULT_IGNORES = [
+  "node_modules/",
+  "bower_components/",
+  "jspm_packages/",
+  // Build output and vendored code only at the top; src/build/ may be source
+  "/vendor/",
+  "/third_party/",
+  "/dist/",
+  "/build/",
+  "/out/",
+  "/coverage/",
+  ".next/",
+  ".nuxt/",
+  ".git/",
+  ".code-maester-cache/",
+  "*.min.js",
+  "*.min.mjs",
+  "*-min.js",
+  "*.bundle.js",
+];
+
+/**
+ * Rules of one ignore file: blank lines and `#` comments are skipped, `\#`
+ * and `\!` escape a leading character, trailing spaces are dropped.
+ *
+ * @returns {Array<{ pattern: string, negated: boolean, line: number }>}
+ */
+function parseIgnoreFile(text) {
+  const rules = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.replace(/(?<!\\)\s+$/, "");
+    if (line === "" || line.startsWith("#")) return;
+    const negated = line.startsWith("!");
+    const pattern = (negated ? line.slice(1) : line).replace(/^\\([#!])/, "$1");
+    if (pattern) rules.push({ pattern, negated, line: index + 1 });
+  });
+  return rules;
+}
+
+/**
+ * Create a matcher for one discovery run. Ignore files are read once per
+ * directory and kept for the matcher's lifetime.
+ *
+ * @param {object} options
+ * @param {string} [options.cwd] - base of the default exclusions
+ * @param {boolean} [options.defaults=true] - apply DEFAULT_IGNORES
+ * @param {boolean} [options.ignoreFiles=true] - read .gitignore / .codemaesterignore
+ * @returns {{
+ *   explain: (filePath: string, opts?: { directory?: boolean }) => null | { kind: string, pattern: string, source: string, line: number|null },
+ * }} `explain` returns the rule that excludes a path, or null; `kind` is
+ *   "default" or "ignore-file", and `source` the ignore file's absolute path
+ */
+function createIgnore({ cwd = process.cwd(), defaults = true, ignoreFiles = true } = {}) {
+  const base = path.resolve(cwd);
+  const defaultRules = defaults ? DEFAULT_IGNORES.map((pattern) => ({ pattern, negated: false, line: null })) : [];
+  // directory → [{ dir, source, rules }] for it and its ancestors, outermost first
+  const layersByDir = new Map();
+  // directory → the repository root above it, or null
+  const roots = new Map();
+  // path (with a trailing "/" for directories) → explanation or null
+  const verdicts = new Map();
+
+  function ownLayers(dir) {
+    const layers = [];
+    for (const name of IGNORE_FILES) {
+      const source = path.join(dir, name);
+      let text;
+      try {
+        text = fs.readFileSync(source, "utf-8");
+      } catch {
+        continue;
+      }
+      layers.push({ dir, source, rules: parseIgnoreFile(text) });
+    }
+    return layers;
+  }
+
+  function repoRoot(dir) {
+    if (roots.has(dir)) return roots.get(dir);
+    const parent = path.dirname(dir);
+    let root = null;
+    if (fs.existsSync(path.join(dir, ".git"))) root = dir;
+    else if (parent !== dir) root = repoRoot(parent);
+    roots.set(dir, root);
+    return root;
+  }
+
+  /**
+   * Outermost directory whose rules apply below it: the repository root, or
+   * outside a repository the working directory (or the file's own directory).
+   */
+  function topFor(dir) {
+    const root = repoRoot(dir);
+    if (root) return root;
+    return toRelative(dir, base) !== null ? base : dir;
+  }
+
+  function layersFor(dir) {
+    if (layersByDir.has(dir)) return layersByDir.get(dir);
+    const layers = [...(dir === topFor(dir) ? [] : layersFor(path.dirname(dir))), ...ownLayers(dir)];
+    layersByDir.set(dir, layers);
+    return layers;
+  }
+
+  /**
+   * The last rule matching `absolutePath` itself, ignoring its ancestors.
+   */
+  function ownVerdict(absolutePath, directory) {
+    const candidates = [{ dir: base, source: "default", rules: defaultRules }];
+    if (ignoreFiles) candidates.push(...layersFor(path.dirname(absolutePath)));
+
+    let verdict = null;
+    for (const layer of candidates) {
+      const rel = toRelative(absolutePath, layer.dir);
+      if (!rel) continue;
+      for (const rule of layer.rules) {
+        // Only directories match directory-only patterns such as "dist/"
+        const subject = directory && rule.pattern.endsWith("/") ? `${rel}/` : rel;
+        if (!compile(rule.pattern, { exact: true }).test(subject)) continue;
+        verdict = rule.negated
+          ? null
+          : { kind: layer.source === "default" ? "default" : "ignore-file", pattern: rule.pattern, source: layer.source, line: rule.line };
+      }
+    }
+    return verdict;
+  }
+
+  function explain(filePath, { directory = false } = {}) {
+    const absolutePath = path.resolve(filePath);
+    const key = directory ? `${absolutePath}/` : absolutePath;
+    if (verdicts.has(key)) return verdicts.get(key);
+
+    // A file in an ignored directory is ignored, whatever its own rules say
+    const parent = path.dirname(absolutePath);
+    const inside = Boolean(toRelative(parent, topFor(parent)));
+    const verdict = (inside && explain(parent, { directory: true })) || ownVerdict(absolutePath, directory);
+    verdicts.set(key, verdict);
+    return verdict;
+  }
+
+  return { explain };
+}
+
+/**
+ * One line saying why a path is ignored, e.g. "'dist/' in .gitignore:3",
+ * "'node_modules/' (default exclusion)" or "'*.gen.js' in ignorePatterns of
+ * .codemaesterrc.json" (for `kind: "config"` reasons).
+ */
+function describeIgnore(reason, cwd = process.cwd()) {
+  if (reason.kind === "default") return `'${reason.pattern}' (default exclusion)`;
+  const where = path.relative(cwd, reason.source) || reason.source;
+  if (reason.kind === "config") return `'${reason.pattern}' in ignorePatterns of ${where}`;
+  return `'${reason.pattern}' in ${where}${reason.line ? `:${reason.line}` : ""}`;
+}
+
+module.exports = { createIgnore, describeIgnore, parseIgnoreFile, DEFAULT_IGNORES, IGNORE_FILES };
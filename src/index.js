@@ -7,8 +7,11 @@
 
 const fs = require("fs").promises;
 const path = require("path");
+const { performance } = require("perf_hooks");
+const { EventEmitter } = require("events");
 const globalConfig = require("./config");
 const { detect } = require("./detect");
+const { parse } = require("./ast");
 const JavaScriptAnalyzer = require("./analyzers/javascript");
 const TypeScriptAnalyzer = require("./analyzers/typescript");
 const PythonAnalyzer = require("./analyzers/python");
@@ -19,10 +22,29 @@ const securityModule = require("./modules/security");
 const formatterModule = require("./modules/formatter");
 const crossFileModule = require("./modules/cross-file");
 const { calculateScore, calculateDelta } = require("./scoring");
+const { applySuppressions } = require("./suppress");
+const { configFor, clearConfigCache } = require("./config/loader");
+const { matchesAny } = require("./config/glob");
+const { createIgnore, describeIgnore } = require("./ignore");
+const { validateConfig } = require("./config/schema");
+const { applyRuleSettings, getRuleOptions, mergeRules } = require("./config/rules");
+const { loadBaseline, entriesFor, saveBaseline, applyBaseline } = require("./baseline");
+const { getReporter, reporterNames } = require("./reporters");
+const { createCache, hash: hashKey, configKey, pluginKey } = require("./cache");
+const { createPool } = require("./workers/pool");
+const { fingerprintIssues, fingerprintSections, matchIssues, functionsOf } = require("./fingerprint");
+const gitRepo = require("./git");
+const { resolveChangedLines, applyChangedLines } = require("./changed-lines");
+const { fixableIssues, applyFixPass } = require("./fix");
+const gatesModule = require("./gates");
+const { summarizeReports } = require("./summary");
+const EXTENSION_MAP = require("./detect/extensions");
 
 // ─── Plugin Registry ──────────────────────────────────────────────────────────
 
 const plugins = [];
+// Module each registered plugin was loaded from, so worker threads can load it too
+const pluginModules = new Map();
 
 // Analyzer router — maps language name to its analyzer class
 const ANALYZERS = {
@@ -37,11 +59,59 @@ const ANALYZERS = {
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 /**
- * Build a canonical key for an issue so two issues with the same
- * rule + message are considered "the same" across diff versions.
+ * Number of lines in `code`; a trailing newline does not start another one.
  */
-function issueKey(issue) {
-  return `${issue.rule || issue.type}::${issue.message}`;
+function countLines(code) {
+  if (code === "") return 0;
+  return code.split(/\r?\n/).length - (/\n$/.test(code) ? 1 : 0);
+}
+
+/**
+ * Run `fn` and record how long it took (ms) under `timings[stage]`.
+ */
+async function timed(timings, stage, fn) {
+  const start = performance.now();
+  try {
+    return await fn();
+  } finally {
+    timings[stage] = Math.round((performance.now() - start) * 100) / 100;
+  }
+}
+
+/**
+ * Error for a file whose analysis ran past `timeoutMs`. analyze() turns it
+ * into an `analysis-timeout` diagnostic instead of letting it escape.
+ */
+function analysisTimeout(timeoutMs, stage = null) {
+  const err = new Error(`Analysis exceeded ${timeoutMs} ms${stage ? ` (in ${stage})` : ""}`);
+  err.code = "ANALYSIS_TIMEOUT";
+  err.timeoutMs = timeoutMs;
+  err.stage = stage;
+  return err;
+}
+
+/**
+ * Stage runner for one analyze() call. Before each stage it checks
+ * `options.signal` and the `options.timeoutMs` budget. Stages are synchronous
+ * scans, so a slow one is only stopped once it returns; worker threads (see
+ * `concurrency`) enforce the budget strictly. With a signal, each stage first
+ * yields to the event loop so an abort (e.g. from SIGINT) gets a chance to fire.
+ */
+function stageClock({ signal, timeoutMs } = {}) {
+  const clock = { timings: {}, startedAt: performance.now(), stage: null, language: null };
+  clock.check = () => {
+    if (signal) signal.throwIfAborted();
+    if (timeoutMs > 0 && performance.now() - clock.startedAt > timeoutMs) {
+      throw analysisTimeout(timeoutMs, clock.stage);
+    }
+  };
+  clock.step = async (stage, fn) => {
+    if (signal) await new Promise((resolve) => setImmediate(resolve));
+    clock.check();
+    clock.stage = stage;
+    return timed(clock.timings, stage, fn);
+  };
+  return clock;
 }
 
 /**
@@ -72,14 +142,24 @@ function buildSuggestions(bugs, lint, security) {
 
 /**
  * Run all registered plugins and collect extra issues.
+ * `ast` is the shared acorn tree (with `loc`, `range` and `comments`)
+ * for JavaScript that parsed, otherwise null.
+ * `configPlugins` are the plugins listed in the file's config.
+ * Each plugin also receives a context with its `rules` entry options.
  */
-function runPlugins(code, language, ast = null) {
+function runPlugins(code, language, ast = null, configPlugins = [], { rules = {}, filePath = null } = {}) {
   const extra = { bugs: [], lint: [] };
-  for (const plugin of plugins) {
+  for (const plugin of [...plugins, ...configPlugins]) {
     try {
       // Plugins may target specific languages; skip if they don't match
       if (plugin.language && plugin.language !== language && plugin.language !== "*") continue;
-      const results = plugin.run(code, ast) || [];
+      const context = {
+        language,
+        filePath,
+        options: getRuleOptions(rules, plugin.name),
+        getRuleOptions: (id) => getRuleOptions(rules, id),
+      };
+      const results = plugin.run(code, ast, context) || [];
       for (const issue of results) {
         if (issue.type === "bug") extra.bugs.push(issue);
         else extra.lint.push(issue);
@@ -91,69 +171,201 @@ function runPlugins(code, language, ast = null) {
   return extra;
 }
 
+/**
+ * Decides which files file discovery leaves out: default exclusions
+ * (node_modules/, dist/, *.min.js, …), `.gitignore` and `.codemaesterignore`
+ * files, and the config's `ignorePatterns`. `options.ignore: false` turns
+ * all of them off. Ignore files are read once per filter, so make one per run.
+ *
+ * @param {object} options - `ignore`, `cwd` (base of the default exclusions),
+ *                           and the config options of analyzeFile()
+ * @returns {{ explain: (filePath: string, opts?: { directory?: boolean }) => null | { kind: string, pattern: string, source: string, line: number|null, reason: string } }}
+ *   `explain` returns why a path is excluded, or null when it is not;
+ *   `kind` is "default", "ignore-file" or "config"
+ */
+function createIgnoreFilter(options = {}) {
+  if (options.ignore === false) return { explain: () => null };
+  const ignore = createIgnore({ cwd: options.cwd });
+
+  const explain = (filePath, { directory = false } = {}) => {
+    let found = ignore.explain(filePath, { directory });
+    // Config is resolved per file, so directories are left to their files
+    if (!found && !directory) {
+      const absolutePath = path.resolve(filePath);
+      const entry = (configFor(absolutePath, options).ignorePatterns || []).find(({ pattern, baseDir }) =>
+        matchesAny(absolutePath, [pattern], baseDir),
+      );
+      if (entry) found = { kind: "config", pattern: entry.pattern, source: entry.source, line: null };
+    }
+    return found && { ...found, reason: describeIgnore(found, options.cwd) };
+  };
+  return { explain };
+}
+
+/**
+ * Complexity thresholds from config, with `rules` options taking precedence,
+ * e.g. rules: { high_complexity: ["error", { max: 15 }] }.
+ */
+function complexityThresholds(cfg) {
+  const rules = cfg.rules || {};
+  return {
+    maxCyclomatic: getRuleOptions(rules, "high_complexity").max || cfg.thresholds.complexityLimit || 10,
+    maxNestingDepth: getRuleOptions(rules, "deep_nesting").max || cfg.thresholds.nestingLimit || 3,
+    maxFunctionLines: getRuleOptions(rules, "long_function").max || cfg.thresholds.functionLengthLimit || 50,
+    minDuplicateLines: getRuleOptions(rules, "duplicate_block").minLines || 6,
+  };
+}
+
 // ─── Core API ─────────────────────────────────────────────────────────────────
 
 /**
  * Analyse a raw code string
  * @param {string} code - the source code to analyse
- * @param {object} options - optional overrides (language, weights, etc.)
+ * @param {object} options - optional overrides (language, filePath, …);
+ *                           `options.config` is a resolved config from
+ *                           resolveConfig() and defaults to the global config;
+ *                           `options.baseline` is a baseline file path (or a
+ *                           loaded baseline) whose findings are hidden;
+ *                           `options.signal` (AbortSignal) cancels the run, and
+ *                           past `options.timeoutMs` the report carries an
+ *                           `analysis-timeout` diagnostic instead of findings;
+ *                           `options.onlyChangedLines` (a unified diff, or
+ *                           `{ patch, root, issuesWithoutLine }`) keeps only
+ *                           issues on lines the diff added or changed in
+ *                           `options.filePath`
  * @returns {Promise<object>} structured report
  */
 async function analyze(code, options = {}) {
+  const clock = stageClock(options);
+  try {
+    return await runAnalysis(code, options, clock);
+  } catch (err) {
+    if (err.code !== "ANALYSIS_TIMEOUT") throw err;
+    return timeoutReport(code, options, clock, err);
+  }
+}
+
+async function runAnalysis(code, options, clock) {
+  const cfg = options.config || globalConfig;
+  const { timings, startedAt } = clock;
+
   // 1. Detect language
-  const detection = detect(code, options);
+  const detection = await clock.step("detect", () => detect(code, options));
+  clock.language = detection.language;
 
-  // 2. Run language-specific bug + lint checks
+  // Parse once — every detector, the complexity analyser and plugins share this tree
+  const ast = await clock.step("parse", () => parse(code, detection.language));
+
+  // 2. Run the language analyzer for bugs and lint; security and complexity
+  //    run below for every language, so each stage runs once.
+  const sections = { bugs: [], lint: [], security: [], complexity: null, redundancy: [] };
   const AnalyzerClass = ANALYZERS[detection.language];
-  let bugs = [], lint = [], security = [];
 
   if (AnalyzerClass) {
-    const analyzer = new AnalyzerClass(globalConfig);
-    // Pass the detected language in options
-    const analyzerOptions = { ...options, language: detection.language };
-    const result = await analyzer.analyze(code, analyzerOptions);
-    bugs = result.bugs;
-    lint = result.lint;
+    // Pass the detected language and shared AST in options
+    const analyzerOptions = { ...options, language: detection.language, ast, rules: cfg.rules || {} };
+    const result = await clock.step("analyzer", () => new AnalyzerClass(cfg).analyze(code, analyzerOptions));
+    sections.bugs = result.bugs;
+    sections.lint = result.lint;
   }
 
   // 3. Run registered plugins and merge their results
-  const pluginResults = runPlugins(code, detection.language);
-  bugs = [...bugs, ...pluginResults.bugs];
-  lint = [...lint, ...pluginResults.lint];
+  const pluginResults = await clock.step("plugins", () =>
+    runPlugins(code, detection.language, ast, cfg.plugins, {
+      rules: cfg.rules,
+      filePath: options.filePath,
+    }),
+  );
+  sections.bugs = [...sections.bugs, ...pluginResults.bugs];
+  sections.lint = [...sections.lint, ...pluginResults.lint];
 
   // 4. Run security checks
-  security = await securityModule.run(code, detection.language, options);
+  sections.security = await clock.step("security", () =>
+    securityModule.run(code, detection.language, options),
+  );
 
   // 5. Run complexity + redundancy checks
-  const { complexity, redundancy } = runComplexityChecks(
-    code,
-    detection.language,
-    {
-      maxCyclomatic: globalConfig.thresholds.complexityLimit || 10,
-      maxNestingDepth: globalConfig.thresholds.nestingLimit || 3,
-      maxFunctionLines: globalConfig.thresholds.functionLengthLimit || 50,
-      minDuplicateLines: 6,
-    },
+  const complexityResult = await clock.step("complexity", () =>
+    runComplexityChecks(code, detection.language, complexityThresholds(cfg), ast),
+  );
+  sections.complexity = complexityResult.complexity;
+  sections.redundancy = complexityResult.redundancy;
+
+  // Give every issue a location-aware fingerprint (used by diff())
+  const fingerprinted = await clock.step("fingerprint", () => fingerprintSections(sections, code));
+
+  // 6. Apply `rules` settings — drop rules turned "off", override severities
+  const configured = await clock.step("rules", () => applyRuleSettings(fingerprinted, cfg.rules));
+
+  // 7. Drop issues silenced by inline code-maester-disable directives
+  const filtered = await clock.step("suppressions", () =>
+    applySuppressions(configured, {
+      code,
+      language: detection.language,
+      ast,
+      reportUnused: options.reportUnusedDirectives !== false,
+    }),
   );
+  // Unused directives only exist from step 7 on; the rules map applies to them too
+  const unusedDirectives = applyRuleSettings(
+    { lint: fingerprintIssues(filtered.unusedDirectives, code, functionsOf(fingerprinted)) },
+    cfg.rules,
+  ).lint;
+  let remaining = {
+    bugs: filtered.bugs,
+    lint: [...filtered.lint, ...unusedDirectives],
+    security: filtered.security,
+    complexity: filtered.complexity,
+    redundancy: filtered.redundancy,
+  };
 
-  // 6. Run formatter + generate diff
-  const formatResult = await formatterModule.run(code, detection.language, options);
+  // 8. Hide findings recorded in the baseline — only new issues count
+  let baseline = null;
+  if (options.baseline) {
+    const loaded = loadBaseline(options.baseline);
+    const result = await clock.step("baseline", () =>
+      applyBaseline(remaining, loaded, { filePath: options.filePath, code }),
+    );
+    remaining = result.sections;
+    baseline = { path: loaded.path, baselined: result.baselined, fixed: result.fixed };
+  }
 
-  // 7. Calculate score + grade
+  // 9. With `onlyChangedLines`, keep only issues on lines the diff added or changed
+  let changedLines = null;
+  if (options.onlyChangedLines) {
+    const changes = resolveChangedLines(options.onlyChangedLines);
+    const result = await clock.step("changedLines", () =>
+      applyChangedLines(remaining, changes, { filePath: options.filePath }),
+    );
+    remaining = result.sections;
+    changedLines = { hidden: result.hidden };
+  }
+  const { bugs, lint, security } = remaining;
+
+  // 10. Run formatter + generate diff
+  const formatResult = await clock.step("format", () =>
+    formatterModule.run(code, detection.language, options),
+  );
+  clock.check();
+
+  // 11. Calculate score + grade (suppressed, baselined and unchanged-line issues do not count)
   const scoreResult = calculateScore(
-    { bugs, lint, security, complexity, redundancy },
-    globalConfig.weights,
+    { bugs, lint, security, complexity: remaining.complexity, redundancy: remaining.redundancy },
+    cfg.weights,
   );
+  timings.total = Math.round((performance.now() - startedAt) * 100) / 100;
 
-  // 8. Build suggestions from all issue hints
+  // 12. Build suggestions from all issue hints
   const suggestions = buildSuggestions(bugs, lint, security);
 
   return {
+    filePath: options.filePath || null,
     language: detection.language,
     confidence: detection.confidence,
     method: detection.method,
     supported: detection.supported,
     allScores: detection.allScores,
+    lines: countLines(code),
     score: scoreResult.score,
     grade: scoreResult.grade,
     gradeLabel: scoreResult.gradeLabel,
@@ -163,80 +375,533 @@ async function analyze(code, options = {}) {
     bugs,
     lint,
     security,
-    complexity,
-    redundancy,
+    complexity: remaining.complexity,
+    redundancy: remaining.redundancy,
+    suppressed: filtered.suppressed,
+    baseline,
+    changedLines,
     suggestions,
     formatted: formatResult.formatted,
     diff: formatResult.diff,
+    lineDiff: formatResult.lineDiff,
     formatStats: formatResult.stats,
     formatTool: formatResult.tool,
+    configFiles: cfg.configFiles || [],
+    diagnostics: [],
+    timings,
+  };
+}
+
+/**
+ * The report for a file whose analysis ran out of time: no findings and no
+ * score, just an `analysis-timeout` diagnostic saying the file was not checked.
+ */
+function timeoutReport(code, options, clock, err) {
+  const cfg = options.config || globalConfig;
+  clock.timings.total = Math.round((performance.now() - clock.startedAt) * 100) / 100;
+  return {
+    filePath: options.filePath || null,
+    language: clock.language,
+    lines: countLines(code),
+    score: null,
+    grade: "?",
+    gradeLabel: "Analysis timed out",
+    gradeColour: "#64748b",
+    penalties: {},
+    weights: cfg.weights,
+    bugs: [],
+    lint: [],
+    security: [],
+    complexity: null,
+    redundancy: [],
+    suppressed: [],
+    baseline: null,
+    changedLines: null,
+    suggestions: [],
+    formatted: null,
+    diff: "",
+    lineDiff: [],
+    formatStats: null,
+    formatTool: null,
+    configFiles: cfg.configFiles || [],
+    diagnostics: [
+      {
+        type: "diagnostic",
+        rule: "analysis-timeout",
+        severity: "error",
+        line: 0,
+        message: `${err.message}; this file was not checked.`,
+        suggestion: "Raise the timeout, or exclude the file (e.g. a minified bundle) with ignorePatterns.",
+        stage: err.stage,
+        timeoutMs: err.timeoutMs,
+      },
+    ],
+    timedOut: true,
+    timings: clock.timings,
   };
 }
 
 /**
- * Analyse a file on disk
+ * Analyse a file on disk.
+ * Config files are discovered by walking up from the file's directory.
+ *
  * @param {string} filePath - path to the file
  * @param {object} options - optional overrides
+ *   (`configFile` to bypass discovery, `useConfigFiles: false` to disable it)
  * @returns {Promise<object>} structured report
  */
 async function analyzeFile(filePath, options = {}) {
   const absolutePath = path.resolve(filePath);
-  const code = await fs.readFile(absolutePath, "utf-8");
-  return analyze(code, { ...options, filePath: absolutePath });
+  const cfg = options.config || configFor(absolutePath, options);
+  const code = await fs.readFile(absolutePath, { encoding: "utf-8", signal: options.signal });
+  return analyze(code, { ...options, filePath: absolutePath, config: cfg });
 }
 
+// Options that do not change a file's report (or enter its cache key separately)
+const UNCACHED_OPTIONS = new Set([
+  "config", "configFile", "useConfigFiles", "baseline", "cache", "cacheLocation", "includeFileReports", "concurrency",
+  "signal", "timeoutMs",
+]);
+
 /**
- * Analyse multiple files for cross-file issues
- * @param {Array<string>} filePaths - array of file paths
- * @param {object} options - optional overrides
- * @returns {Promise<object>} project-level report with structural issues
+ * Cache keys for one file of a project run. Facts depend on the path and
+ * content only; the report additionally on config, plugins and options.
  */
-async function analyzeProject(filePaths, options = {}) {
-  // Read all files
-  const files = await Promise.all(
-    filePaths.map(async (filePath) => {
-      const absolutePath = path.resolve(filePath);
-      const code = await fs.readFile(absolutePath, "utf-8");
-      const detection = detect(code, { filePath: absolutePath });
-      return {
-        path: absolutePath,
-        code,
-        language: detection.language,
-      };
-    })
+function cacheKeys(file, cfg, options) {
+  const analysisOptions = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !UNCACHED_OPTIONS.has(key)),
   );
+  const factsKey = hashKey(version(), file.path, file.code);
+  let baselineKey = null;
+  if (options.baseline) {
+    const loaded = loadBaseline(options.baseline);
+    baselineKey = hashKey(loaded.dir, loaded.issues.map((entry) => [entry.file, entry.fingerprint, entry.edited]));
+  }
+  const reportKey = hashKey(factsKey, configKey(cfg), pluginKey(plugins), analysisOptions, baselineKey);
+  return { factsKey, reportKey };
+}
 
-  // Run cross-file analysis
-  const { structural } = await crossFileModule.analyzeProject(files, options);
+// Options only the main thread uses (`config` holds plugin functions and
+// `signal` is an AbortSignal; neither can be cloned)
+const MAIN_THREAD_OPTIONS = new Set(["config", "cache", "cacheLocation", "includeFileReports", "concurrency", "signal"]);
+
+/**
+ * Per-file analysis for a project run. With `options.concurrency` above 1
+ * files are spread over a worker pool; otherwise, or when a registered plugin
+ * has no module to load it from, they are analysed in-process.
+ *
+ * @returns {{ size: number, run: (file, cfg) => Promise<object>, close: () => Promise<void> }}
+ */
+function fileAnalyzer(options, fileCount) {
+  let size = Math.min(options.concurrency || 1, fileCount);
+  const pluginPaths = plugins.map((plugin) => pluginModules.get(plugin));
+  if (size > 1 && pluginPaths.includes(undefined)) {
+    console.warn("[code-maester] A registered plugin was not loaded from a module; analysing in-process.");
+    size = 1;
+  }
 
-  // Optionally run individual file analysis for each file
-  const fileReports = options.includeFileReports
-    ? await Promise.all(
-        filePaths.map((filePath) => analyzeFile(filePath, options))
-      )
-    : [];
+  if (size <= 1) {
+    return {
+      size: 1,
+      run: (file, cfg) => analyze(file.code, { ...options, filePath: file.path, config: cfg }),
+      close: async () => {},
+    };
+  }
 
+  // Workers resolve each file's config themselves; only plain data crosses threads
+  const workerOptions = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !MAIN_THREAD_OPTIONS.has(key)),
+  );
+  const { weights, thresholds, rules, ai } = globalConfig;
+  const pool = createPool(size, { globalConfig: { weights, thresholds, rules, ai }, pluginPaths });
   return {
+    size,
+    run: async (file, cfg) => {
+      const startedAt = performance.now();
+      try {
+        return await pool.run({
+          code: file.code,
+          options: { ...workerOptions, filePath: file.path },
+          timeoutMs: options.timeoutMs,
+        });
+      } catch (err) {
+        if (err.code !== "ANALYSIS_TIMEOUT") throw err;
+        const clock = { timings: {}, startedAt, language: file.facts.language };
+        return timeoutReport(file.code, { ...options, filePath: file.path, config: cfg }, clock, err);
+      }
+    },
+    close: (reason) => pool.close(reason),
+  };
+}
+
+/**
+ * The project pipeline behind analyzeProject() and analyzeProjectStream().
+ *
+ * Files are read, extracted and (with `includeFileReports`) analysed a few at
+ * a time — as many as there are workers — and only their cross-file facts are
+ * kept afterwards. Yields, in completion order:
+ *
+ *   { type: "file:start", filePath, index, total }
+ *   { type: "file:done",  filePath, index, total, report, cached }
+ *   { type: "file:error", filePath, index, total, error }
+ *
+ * and finally `{ type: "summary", projectAnalysis }`. `index` is the file's
+ * position among the analysed (not ignored) files.
+ *
+ * A file that runs past `options.timeoutMs` is still `file:done`, with an
+ * `analysis-timeout` diagnostic report. Aborting `options.signal` stops
+ * launching files, terminates workers and rejects with the abort reason.
+ */
+async function* projectEvents(filePaths, options) {
+  // Resolve config per file and drop ignored files (see createIgnoreFilter())
+  const filter = createIgnoreFilter(options);
+  const candidates = filePaths.map((filePath) => {
+    const absolutePath = path.resolve(filePath);
+    return { path: absolutePath, config: configFor(absolutePath, options) };
+  });
+  const included = candidates.filter((c) => !filter.explain(c.path));
+  const total = included.length;
+  const { signal } = options;
+  if (signal) signal.throwIfAborted();
+  const cache = options.cache ? createCache({ location: options.cacheLocation }) : null;
+  const analyzer = options.includeFileReports ? fileAnalyzer(options, total) : null;
+  const extracted = new Array(total);
+  const cacheStats = { hits: 0, misses: 0 };
+  let timedOut = 0;
+
+  // Cached facts spare the language detection and extraction, a cached report the analysis
+  async function processFile(index) {
+    const { path: filePath, config: cfg } = included[index];
+    try {
+      const code = await fs.readFile(filePath, { encoding: "utf-8", signal });
+      const file = { path: filePath, code, facts: null, report: null };
+      let keys = null;
+      if (cache) {
+        keys = cacheKeys(file, cfg, options);
+        Object.assign(file, cache.lookup(filePath, keys));
+      }
+      const cached = Boolean(file.facts) && (!analyzer || Boolean(file.report));
+
+      if (!file.facts) {
+        file.language = detect(code, { filePath }).language;
+        file.facts = crossFileModule.extractFacts(file);
+      }
+      if (analyzer && !file.report) file.report = await analyzer.run(file, cfg);
+      // A timed-out report says nothing about the file; only its facts are kept
+      const complete = file.report && !file.report.timedOut ? file.report : null;
+      if (file.report && file.report.timedOut) timedOut++;
+      if (cache && !cached) cache.store(filePath, { ...keys, facts: file.facts, report: complete });
+
+      cacheStats[cached ? "hits" : "misses"]++;
+      extracted[index] = { path: filePath, language: file.facts.language, facts: file.facts };
+      return { type: "file:done", filePath, index, total, report: file.report, cached };
+    } catch (error) {
+      return { type: "file:error", filePath, index, total, error };
+    }
+  }
+
+  // Events from in-flight files queue up here until the consumer pulls them
+  const ready = [];
+  let wake = null;
+  const push = (event) => {
+    ready.push(event);
+    if (wake) wake();
+  };
+  const onAbort = () => wake && wake();
+  if (signal) signal.addEventListener("abort", onAbort);
+
+  let next = 0;
+  let settled = 0;
+  const launch = () => {
+    const index = next++;
+    push({ type: "file:start", filePath: included[index].path, index, total });
+    processFile(index).then((event) => {
+      settled++;
+      push(event);
+      if (next < total && !(signal && signal.aborted)) launch();
+    });
+  };
+
+  try {
+    const window = analyzer ? analyzer.size : 1;
+    while (next < Math.min(window, total)) launch();
+    while (settled < total || ready.length > 0) {
+      if (ready.length === 0) await new Promise((resolve) => (wake = resolve));
+      wake = null;
+      if (signal) signal.throwIfAborted();
+      while (ready.length > 0) yield ready.shift();
+    }
+  } finally {
+    if (signal) signal.removeEventListener("abort", onAbort);
+    if (analyzer) await analyzer.close(signal && signal.aborted ? signal.reason : undefined);
+  }
+
+  // Run cross-file analysis
+  const files = extracted.filter(Boolean);
+  const { structural } = await crossFileModule.analyzeProject(files, options);
+
+  yield {
+    type: "summary",
     projectAnalysis: {
       filesAnalyzed: files.length,
-      structural,
-      summary: {
-        unusedExports: structural.filter((i) => i.rule === "unused-export").length,
-        circularDependencies: structural.filter((i) => i.rule === "circular-dependency").length,
-        totalIssues: structural.length,
-      },
+      filesIgnored: candidates.length - total,
+      filesFailed: total - files.length,
+      filesTimedOut: timedOut,
+      ...reportStructural(structural, options),
+      cache: cache ? { location: cache.dir, ...cacheStats } : null,
     },
+  };
+}
+
+/**
+ * Structural findings as reported: without those recorded in the baseline,
+ * and with `onlyChangedLines`, only those on changed lines of the files they
+ * point at.
+ *
+ * @returns {{ structural: Array<object>, summary: object, baseline: object|null, changedLines: object|null }}
+ */
+function reportStructural(structural, options) {
+  let baseline = null;
+  if (options.baseline) {
+    const loaded = loadBaseline(options.baseline);
+    const result = applyBaseline({ structural }, loaded, { filePath: null });
+    structural = result.sections.structural;
+    baseline = { path: loaded.path, baselined: result.baselined, fixed: result.fixed };
+  }
+
+  let changedLines = null;
+  if (options.onlyChangedLines) {
+    const result = applyChangedLines({ structural }, resolveChangedLines(options.onlyChangedLines), { filePath: null });
+    structural = result.sections.structural;
+    changedLines = { hidden: result.hidden };
+  }
+
+  return {
+    structural,
+    summary: {
+      unusedExports: structural.filter((i) => i.rule === "unused-export").length,
+      circularDependencies: structural.filter((i) => i.rule === "circular-dependency").length,
+      totalIssues: structural.length,
+    },
+    baseline,
+    changedLines,
+  };
+}
+
+/**
+ * Analyse multiple files for cross-file issues
+ * @param {Array<string>} filePaths - array of file paths
+ * @param {object} options - optional overrides; `cache: true` reuses results
+ *                           for unchanged files from `cacheLocation`
+ *                           (default `.code-maester-cache/`); `concurrency`
+ *                           sets the number of worker threads for file reports
+ * @returns {Promise<object>} project-level report with structural issues
+ */
+async function analyzeProject(filePaths, options = {}) {
+  const fileReports = [];
+  let projectAnalysis = null;
+
+  for await (const event of projectEvents(filePaths, options)) {
+    if (event.type === "file:error") throw event.error;
+    if (event.type === "file:done") fileReports[event.index] = event.report;
+    if (event.type === "summary") projectAnalysis = event.projectAnalysis;
+  }
+
+  return {
+    projectAnalysis,
     fileReports: options.includeFileReports ? fileReports : undefined,
   };
 }
 
+/**
+ * Streaming analyzeProject() for large projects: per-file reports are handed
+ * out as they finish instead of being collected in memory.
+ *
+ * The result is an async iterable of the events described at projectEvents()
+ * and an EventEmitter that emits each of them under its `type` as it is
+ * produced. Iterate it, or call `run()` to drive it for the events alone;
+ * `run()` resolves with the final `projectAnalysis`. A failing file is
+ * reported as `file:error` and the run carries on.
+ *
+ *   const stream = codeCheck.analyzeProjectStream(files, { concurrency: 4 });
+ *   for await (const event of stream) {
+ *     if (event.type === "file:done") console.log(event.filePath, event.report.score);
+ *   }
+ *
+ * @param {Array<string>} filePaths
+ * @param {object} options - as for analyzeProject(); file reports are on
+ *                           unless `includeFileReports: false`
+ * @returns {EventEmitter & AsyncIterable<object> & { run: () => Promise<object> }}
+ */
+function analyzeProjectStream(filePaths, options = {}) {
+  const stream = new EventEmitter();
+  const events = projectEvents(filePaths, { includeFileReports: true, ...options });
+
+  stream[Symbol.asyncIterator] = async function* iterate() {
+    for await (const event of events) {
+      stream.emit(event.type, event);
+      yield event;
+    }
+  };
+
+  stream.run = async () => {
+    let projectAnalysis = null;
+    for await (const event of stream) {
+      if (event.type === "summary") projectAnalysis = event.projectAnalysis;
+    }
+    return projectAnalysis;
+  };
+
+  return stream;
+}
+
+/**
+ * Cross-file analysis that keeps up with a changing project, for watch mode.
+ * The dependency graph and the export / import index stay in memory, and
+ * each change re-checks only the files it can affect (see
+ * modules/cross-file/incremental.js).
+ *
+ *   const session = createProjectSession({ configFile });
+ *   await session.load(files);             // every current finding is `introduced`
+ *   await session.change("src/a.js");      // after an edit, or for a new file
+ *   await session.remove("src/b.js");      // after a delete
+ *
+ * Each call resolves to
+ *
+ *   { introduced, resolved, projectAnalysis, failed }
+ *
+ * `introduced` / `resolved` are the structural findings that appeared or went
+ * away since the previous call, and `projectAnalysis` has the shape of
+ * analyzeProject()'s, without per-file reports. `failed` lists files that
+ * could not be read, as `{ filePath, error }`. Ignored files (see
+ * createIgnoreFilter()) are left out; a file that disappears before it is
+ * read counts as removed.
+ *
+ * @param {object} options - as for analyzeProject(); `baseline` and
+ *   `onlyChangedLines` apply to the findings, and each call may pass its own
+ *   `onlyChangedLines`, e.g. for a working tree that keeps changing
+ * @returns {{
+ *   load: (filePaths: Array<string>, overrides?: object) => Promise<object>,
+ *   change: (filePath: string, overrides?: object) => Promise<object>,
+ *   remove: (filePath: string, overrides?: object) => Promise<object>,
+ *   has: (filePath: string) => boolean,
+ * }}
+ */
+function createProjectSession(options = {}) {
+  const graph = crossFileModule.createProjectGraph();
+  const filter = createIgnoreFilter(options);
+  let ignored = 0;
+  let previous = [];
+
+  async function read(filePath) {
+    const code = await fs.readFile(filePath, "utf-8");
+    const language = detect(code, { filePath }).language;
+    return { path: filePath, facts: crossFileModule.extractFacts({ path: filePath, code, language }) };
+  }
+
+  // Read the files that exist; missing ones are returned for removal
+  async function readAll(filePaths) {
+    const entries = [];
+    const missing = [];
+    const failed = [];
+    for (const filePath of filePaths) {
+      try {
+        entries.push(await read(filePath));
+      } catch (error) {
+        if (error.code === "ENOENT") missing.push(filePath);
+        else failed.push({ filePath, error });
+      }
+    }
+    return { entries, missing, failed };
+  }
+
+  function settle(overrides, failed = []) {
+    const reported = reportStructural(crossFileModule.sortStructural(graph.findings()), { ...options, ...overrides });
+    const { introduced, resolved } = compareStructural(previous, reported.structural, new Map());
+    previous = reported.structural;
+    return {
+      introduced,
+      resolved,
+      failed,
+      projectAnalysis: {
+        filesAnalyzed: graph.size(),
+        filesIgnored: ignored,
+        filesFailed: failed.length,
+        filesTimedOut: 0,
+        ...reported,
+        cache: null,
+      },
+    };
+  }
+
+  async function apply(filePaths, overrides) {
+    const absolutePaths = filePaths.map((filePath) => path.resolve(filePath));
+    const included = absolutePaths.filter((filePath) => !filter.explain(filePath));
+    ignored += absolutePaths.length - included.length;
+
+    const { entries, missing, failed } = await readAll(included);
+    if (entries.length > 0) graph.update(entries);
+    if (missing.length > 0) graph.remove(missing);
+    return settle(overrides, failed);
+  }
+
+  return {
+    load: (filePaths, overrides = {}) => apply(filePaths, overrides),
+    change: (filePath, overrides = {}) => apply([filePath], overrides),
+    async remove(filePath, overrides = {}) {
+      graph.remove([path.resolve(filePath)]);
+      return settle(overrides);
+    },
+    has: (filePath) => graph.has(path.resolve(filePath)),
+  };
+}
+
+/**
+ * Record the current findings of the given files in a baseline file.
+ * Later runs with `{ baseline: baselinePath }` only report new issues.
+ *
+ * @param {Array<string>} filePaths - files to analyse
+ * @param {string} baselinePath - where to write the baseline (JSON)
+ * @param {object} options - analysis options; `project: true` also records
+ *                           cross-file (structural) findings
+ * @returns {Promise<{ path: string, issues: number }>}
+ */
+async function writeBaseline(filePaths, baselinePath, options = {}) {
+  const absoluteBaseline = path.resolve(baselinePath);
+  const baseDir = path.dirname(absoluteBaseline);
+  const runOptions = { ...options, baseline: null, includeFileReports: false };
+  const entries = [];
+  const filter = createIgnoreFilter(runOptions);
+
+  for (const filePath of filePaths) {
+    const absolutePath = path.resolve(filePath);
+    if (filter.explain(absolutePath)) continue;
+    const cfg = configFor(absolutePath, runOptions);
+    const code = await fs.readFile(absolutePath, "utf-8");
+    const report = await analyze(code, { ...runOptions, filePath: absolutePath, config: cfg });
+    entries.push(...entriesFor(report, { filePath: absolutePath, code, baseDir }));
+  }
+
+  if (options.project) {
+    const { projectAnalysis } = await analyzeProject(filePaths, runOptions);
+    entries.push(...entriesFor({ structural: projectAnalysis.structural }, { filePath: null, code: "", baseDir }));
+  }
+
+  const data = saveBaseline(absoluteBaseline, entries, version());
+  return { path: absoluteBaseline, issues: data.issues.length };
+}
+
 /**
  * Diff two versions of code and return a quality delta.
- * Classifies every issue as introduced / resolved / unchanged.
+ * Classifies every issue as introduced / resolved / unchanged by its
+ * fingerprint, so moved code stays unchanged and duplicates count one by one.
  *
  * @param {string} oldCode
  * @param {string} newCode
- * @param {object} options
+ * @param {object} options - as for analyze(), including `signal` and
+ *                           `timeoutMs`; if either side times out the result
+ *                           has `timedOut: true`, its `diagnostics` and no
+ *                           issue classification
  * @returns {Promise<object>} delta report
  */
 async function diff(oldCode, newCode, options = {}) {
@@ -245,16 +910,39 @@ async function diff(oldCode, newCode, options = {}) {
     analyze(newCode, options),
   ]);
 
-  // Build key sets for comparison
-  const allOldIssues = [...oldReport.bugs, ...oldReport.lint, ...oldReport.security];
-  const allNewIssues = [...newReport.bugs, ...newReport.lint, ...newReport.security];
-
-  const oldKeys = new Map(allOldIssues.map((i) => [issueKey(i), i]));
-  const newKeys = new Map(allNewIssues.map((i) => [issueKey(i), i]));
+  // A timed-out side has no findings to compare against
+  if (oldReport.timedOut || newReport.timedOut) {
+    return {
+      scoreDelta: null,
+      gradeDelta: null,
+      improved: false,
+      regressed: false,
+      penaltyDeltas: {},
+      oldScore: oldReport.score,
+      newScore: newReport.score,
+      issuesIntroduced: [],
+      issuesResolved: [],
+      issuesUnchanged: [],
+      timedOut: true,
+      diagnostics: [...oldReport.diagnostics, ...newReport.diagnostics],
+      oldReport,
+      newReport,
+    };
+  }
 
-  const issuesIntroduced = allNewIssues.filter((i) => !oldKeys.has(issueKey(i)));
-  const issuesResolved = allOldIssues.filter((i) => !newKeys.has(issueKey(i)));
-  const issuesUnchanged = allOldIssues.filter((i) => newKeys.has(issueKey(i)));
+  // Match issues by fingerprint: moved code stays unchanged, duplicates count separately
+  const { introduced, resolved, unchanged } = matchIssues(
+    {
+      issues: [...oldReport.bugs, ...oldReport.lint, ...oldReport.security],
+      code: oldCode,
+      functions: functionsOf(oldReport),
+    },
+    {
+      issues: [...newReport.bugs, ...newReport.lint, ...newReport.security],
+      code: newCode,
+      functions: functionsOf(newReport),
+    },
+  );
 
   const delta = calculateDelta(
     { score: oldReport.score, grade: oldReport.grade, penalties: oldReport.penalties },
@@ -269,21 +957,429 @@ async function diff(oldCode, newCode, options = {}) {
     penaltyDeltas: delta.penaltyDeltas,
     oldScore: oldReport.score,
     newScore: newReport.score,
-    issuesIntroduced,
-    issuesResolved,
-    issuesUnchanged,
+    issuesIntroduced: introduced,
+    issuesResolved: resolved,
+    issuesUnchanged: unchanged,
     oldReport,
     newReport,
   };
 }
 
+// ─── Formatting ───────────────────────────────────────────────────────────────
+
+/**
+ * Replace a file's content atomically: write a temporary file next to it
+ * with the same mode, then rename it over the original.
+ */
+async function writeFileAtomic(filePath, content) {
+  const { mode } = await fs.stat(filePath);
+  const temp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  try {
+    await fs.writeFile(temp, content, { mode });
+    await fs.rename(temp, filePath);
+  } catch (err) {
+    await fs.rm(temp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Format a file on disk with the formatter for its language: Prettier for
+ * JavaScript and TypeScript, prettier-plugin-java for Java, clang-format
+ * for C and C++.
+ *
+ * @param {string} filePath
+ * @param {object} options - `write: true` rewrites the file when it changes
+ *                           (atomically; `backup: true` first copies the
+ *                           original to `<file>.orig`); `formatOptions` go to
+ *                           the formatter
+ * @returns {Promise<{ filePath: string, language: string, tool: string, supported: boolean, changed: boolean, written: boolean, formatted: string, diff: string, error: string|null }>}
+ *   `supported` is false for languages without a formatter; `error` is set
+ *   when the formatter failed, e.g. on a syntax error
+ */
+async function formatFile(filePath, options = {}) {
+  const absolutePath = path.resolve(filePath);
+  const code = await fs.readFile(absolutePath, "utf-8");
+  const { language } = detect(code, { filePath: absolutePath });
+  const result = await formatterModule.run(code, language, {
+    filePath: absolutePath,
+    formatOptions: options.formatOptions,
+  });
+
+  const supported = result.tool !== "none";
+  const changed = supported && !result.error && result.formatted !== code;
+  let written = false;
+  if (changed && options.write) {
+    if (options.backup) await fs.writeFile(`${absolutePath}.orig`, code);
+    await writeFileAtomic(absolutePath, result.formatted);
+    written = true;
+  }
+
+  return {
+    filePath: absolutePath,
+    language,
+    tool: result.tool,
+    supported,
+    changed,
+    written,
+    formatted: result.formatted,
+    diff: changed ? result.diff : "",
+    error: supported ? result.error : null,
+  };
+}
+
+// ─── Fixes ────────────────────────────────────────────────────────────────────
+
+// Passes before applyFixes() gives up on fixes that keep producing new ones
+const MAX_FIX_PASSES = 10;
+
+/**
+ * Apply the machine-applicable fixes (`issue.fix`) of issues found in `code`.
+ * Overlapping fixes are applied one at a time: after each pass the output is
+ * analysed again and the fixes still offered for the same rules are applied,
+ * until none are left (at most 10 passes).
+ *
+ * @param {string} code - the code the issues were found in
+ * @param {Array<object>} issues - e.g. a report's bugs, lint and security
+ *                                 issues; only those with a `fix` are used
+ * @param {object} options - analyze() options for the re-analysis, usually
+ *                           the ones that produced `issues`; with a
+ *                           `filePath` and no `config`, the file's config is
+ *                           resolved as analyzeFile() does
+ * @returns {Promise<{ output: string, applied: Array<object>, remaining: Array<object>, passes: number, report: object|null }>}
+ *   `report` analyses `output`, or is null when nothing was fixed;
+ *   `remaining` are fixable issues still in `output`
+ */
+async function applyFixes(code, issues, options = {}) {
+  if (options.filePath && !options.config) {
+    const filePath = path.resolve(options.filePath);
+    options = { ...options, filePath, config: configFor(filePath, options) };
+  }
+  const rules = new Set(issues.filter((issue) => issue.fix).map((issue) => issue.rule || issue.type));
+  let output = code;
+  let pending = issues;
+  let report = null;
+  let passes = 0;
+  const applied = [];
+
+  while (passes < MAX_FIX_PASSES) {
+    const pass = applyFixPass(output, pending);
+    if (pass.applied.length === 0) break;
+    output = pass.output;
+    applied.push(...pass.applied);
+    passes++;
+
+    report = await analyze(output, options);
+    pending = fixableIssues(report).filter((issue) => rules.has(issue.rule || issue.type));
+  }
+
+  return { output, applied, remaining: pending.filter((issue) => issue.fix), passes, report };
+}
+
+// ─── Git comparison ───────────────────────────────────────────────────────────
+
+// Blobs read per `git cat-file` call when collecting cross-file facts
+const FACTS_BATCH = 200;
+
+function isSourcePath(filePath) {
+  return Object.prototype.hasOwnProperty.call(EXTENSION_MAP, path.extname(filePath).slice(1).toLowerCase());
+}
+
+function issuesIn(report) {
+  return [...report.bugs, ...report.lint, ...report.security];
+}
+
+function averageScore(scores) {
+  const scored = scores.filter((score) => typeof score === "number");
+  if (scored.length === 0) return null;
+  return Math.round((scored.reduce((sum, score) => sum + score, 0) / scored.length) * 10) / 10;
+}
+
+/**
+ * Cross-file findings for the source files of one commit. Facts are kept in
+ * `factsCache` by path and blob, so files both commits share are read once.
+ * `filter` comes from createIgnoreFilter().
+ */
+async function structuralAt(root, commit, filter, options, factsCache) {
+  const files = (await gitRepo.listFiles(root, commit))
+    .filter((file) => isSourcePath(file.path))
+    .map((file) => ({ ...file, absolutePath: path.join(root, file.path), key: `${file.path}\0${file.blob}` }))
+    .filter((file) => !filter.explain(file.absolutePath));
+
+  const missing = files.filter((file) => !factsCache.has(file.key));
+  for (let i = 0; i < missing.length; i += FACTS_BATCH) {
+    const batch = missing.slice(i, i + FACTS_BATCH);
+    const contents = await gitRepo.readObjects(root, batch.map((file) => file.blob));
+    for (const file of batch) {
+      const code = contents.get(file.blob) || "";
+      const language = detect(code, { filePath: file.absolutePath }).language;
+      factsCache.set(file.key, crossFileModule.extractFacts({ path: file.absolutePath, code, language }));
+    }
+  }
+
+  const project = files.map((file) => {
+    const facts = factsCache.get(file.key);
+    return { path: file.absolutePath, language: facts.language, facts };
+  });
+  return (await crossFileModule.analyzeProject(project, options)).structural;
+}
+
+/**
+ * Split two lists of cross-file findings into introduced and resolved.
+ * Findings on renamed files, and cycles through them, are compared under
+ * their new paths.
+ */
+function compareStructural(before, after, renamed) {
+  const rename = (file) => renamed.get(file) || file;
+  const remaining = new Map();
+  for (const issue of before) {
+    const key = crossFileModule.findingKey(issue, rename);
+    remaining.set(key, [...(remaining.get(key) || []), issue]);
+  }
+
+  const introduced = after.filter((issue) => {
+    const matches = remaining.get(crossFileModule.findingKey(issue));
+    return !(matches && matches.length > 0 && matches.shift());
+  });
+  const resolved = [...remaining.values()].flat();
+  return { introduced, resolved };
+}
+
+/**
+ * Compare one changed file. Added files introduce all their issues and
+ * deleted files resolve all of theirs.
+ */
+async function compareFile(change, oldCode, newCode, options) {
+  const { status, filePath, oldPath } = change;
+  const optionsFor = (file) => ({ ...options, filePath: file, config: configFor(file, options) });
+  const tag = (file) => (issue) => ({ ...issue, file });
+  const entry = { status, filePath, oldPath };
+
+  if (status === "added" || status === "deleted") {
+    const file = status === "added" ? filePath : oldPath;
+    const report = await analyze(status === "added" ? newCode : oldCode, optionsFor(file));
+    const issues = issuesIn(report).map(tag(file));
+    const [oldSide, newSide] = status === "added" ? [null, report] : [report, null];
+    return {
+      ...entry,
+      oldScore: oldSide ? oldSide.score : null,
+      newScore: newSide ? newSide.score : null,
+      scoreDelta: null,
+      oldGrade: oldSide ? oldSide.grade : null,
+      newGrade: newSide ? newSide.grade : null,
+      issuesIntroduced: status === "added" ? issues : [],
+      issuesResolved: status === "deleted" ? issues : [],
+      issuesUnchanged: [],
+      timedOut: Boolean(report.timedOut),
+      diagnostics: report.diagnostics,
+    };
+  }
+
+  const result = await diff(oldCode, newCode, optionsFor(filePath));
+  return {
+    ...entry,
+    oldScore: result.oldScore,
+    newScore: result.newScore,
+    scoreDelta: result.scoreDelta,
+    oldGrade: result.oldReport.grade,
+    newGrade: result.newReport.grade,
+    issuesIntroduced: result.issuesIntroduced.map(tag(filePath)),
+    issuesResolved: result.issuesResolved.map(tag(oldPath)),
+    issuesUnchanged: result.issuesUnchanged.map(tag(filePath)),
+    timedOut: Boolean(result.timedOut),
+    diagnostics: result.timedOut ? result.diagnostics : [],
+  };
+}
+
+/**
+ * Compare two git refs of a local repository: every changed source file is
+ * read from both commits with git and compared with diff(), and cross-file
+ * analysis runs on both trees. `head` is compared against its merge base with
+ * `base`, as in `git diff base...head`, so commits that landed on `base` in
+ * the meantime do not show up. The working tree is not read or changed.
+ *
+ * Configs and ignore files are read from disk. Files are left out as by
+ * analyzeProject() (see createIgnoreFilter()), on both sides.
+ *
+ * @param {object} options - `base` (required) and `head` (default "HEAD")
+ *                           refs, `cwd` inside the repository (default
+ *                           process.cwd()), plus any analyze() options
+ * @returns {Promise<object>} `files` with per-file deltas, `issuesIntroduced`
+ *                            and `issuesResolved` (each issue with its `file`),
+ *                            `structural` introduced / resolved, and the
+ *                            average score of the changed files on each side
+ */
+async function diffRefs({ base, head = "HEAD", cwd = process.cwd(), ...options } = {}) {
+  if (!base) throw new Error("diffRefs() needs a `base` ref to compare against");
+  const { signal } = options;
+
+  const root = await gitRepo.repoRoot(cwd);
+  const headCommit = await gitRepo.resolveCommit(root, head);
+  const baseCommit = await gitRepo.resolveCommit(root, base);
+  let mergeBase;
+  try {
+    mergeBase = await gitRepo.mergeBase(root, baseCommit, headCommit);
+  } catch (err) {
+    const failure = new Error(`'${base}' and '${head}' have no common history to compare`);
+    failure.code = err.code;
+    throw failure;
+  }
+
+  // Changed source files, with absolute paths, minus ignored ones
+  const filter = createIgnoreFilter({ ...options, cwd });
+  const absolute = (file) => (file ? path.join(root, file) : null);
+  const changes = (await gitRepo.changedFiles(root, mergeBase, headCommit))
+    .filter((change) => isSourcePath(change.path) || (change.oldPath && isSourcePath(change.oldPath)))
+    .map((change) => ({
+      status: change.status,
+      filePath: absolute(change.path),
+      oldPath: absolute(change.oldPath),
+      // Object names for `git cat-file`, one per side that exists
+      oldSpec: change.status === "added" ? null : `${mergeBase}:${change.oldPath}`,
+      newSpec: change.status === "deleted" ? null : `${headCommit}:${change.path}`,
+    }))
+    .filter((change) => {
+      const file = change.status === "deleted" ? change.oldPath : change.filePath;
+      return !filter.explain(file);
+    });
+
+  // Both sides of every change in one git call
+  const objects = await gitRepo.readObjects(
+    root,
+    changes.flatMap((change) => [change.oldSpec, change.newSpec]).filter(Boolean),
+  );
+
+  const files = [];
+  for (const { oldSpec, newSpec, ...change } of changes) {
+    if (signal) signal.throwIfAborted();
+    const oldCode = oldSpec ? objects.get(oldSpec) || "" : null;
+    const newCode = newSpec ? objects.get(newSpec) || "" : null;
+    files.push(await compareFile(change, oldCode, newCode, options));
+  }
+
+  // Cross-file findings of both trees
+  if (signal) signal.throwIfAborted();
+  const factsCache = new Map();
+  const before = await structuralAt(root, mergeBase, filter, options, factsCache);
+  const after = await structuralAt(root, headCommit, filter, options, factsCache);
+  const renamed = new Map(files.filter((f) => f.status === "renamed").map((f) => [f.oldPath, f.filePath]));
+  const structural = compareStructural(before, after, renamed);
+
+  const oldScore = averageScore(files.map((f) => f.oldScore));
+  const newScore = averageScore(files.map((f) => f.newScore));
+  const scoreDelta = oldScore === null || newScore === null ? null : Math.round((newScore - oldScore) * 10) / 10;
+  const issuesIntroduced = files.flatMap((f) => f.issuesIntroduced);
+  const issuesResolved = files.flatMap((f) => f.issuesResolved);
+  const count = (status) => files.filter((f) => f.status === status).length;
+
+  return {
+    base,
+    head,
+    baseCommit: mergeBase,
+    headCommit,
+    root,
+    oldScore,
+    newScore,
+    scoreDelta,
+    improved: scoreDelta > 0,
+    regressed: scoreDelta < 0,
+    files,
+    issuesIntroduced,
+    issuesResolved,
+    structural,
+    summary: {
+      filesChanged: files.length,
+      added: count("added"),
+      modified: count("modified"),
+      renamed: count("renamed"),
+      deleted: count("deleted"),
+      filesTimedOut: files.filter((f) => f.timedOut).length,
+      issuesIntroduced: issuesIntroduced.length + structural.introduced.length,
+      issuesResolved: issuesResolved.length + structural.resolved.length,
+    },
+  };
+}
+
+// ─── Reporters ────────────────────────────────────────────────────────────────
+
+/**
+ * Render results in a machine-readable format.
+ *
+ * @param {object|Array<object>} results - report(s) from analyze()/analyzeFile(),
+ *                                         an analyzeProject() or a diff() result
+ * @param {string} format - "json" | "sarif" | "junit" | "checkstyle" | "html" | "markdown" | "ndjson"
+ * @param {object} options - reporter options, e.g. `linkBase` for markdown
+ * @returns {string}
+ */
+function formatReport(results, format = "json", options = {}) {
+  return getReporter(format).render(results, { ...options, version: version() });
+}
+
+// ─── Quality Gates ────────────────────────────────────────────────────────────
+
+/**
+ * The quality gates in effect: the `gates` key of the config that applies to
+ * `cwd` (or of `options.configFile`), with `options.gates` on top, key by key.
+ *
+ * @param {object} options - `gates` (see src/gates), `configFile`, `cwd`
+ * @returns {object|null} null when no gate is set anywhere
+ */
+function gatesFor(options = {}) {
+  const { cwd = process.cwd(), gates: overrides = {} } = options;
+  const problems = gatesModule.checkGates(overrides);
+  if (problems.length > 0) throw new Error(`Invalid quality gates:\n  - ${problems.join("\n  - ")}`);
+
+  // Gates are run-wide: take them from the config for files directly in cwd
+  const configured = configFor(path.join(path.resolve(cwd), "gates"), options).gates || {};
+  const gates = { ...configured, ...overrides };
+  return gatesModule.hasGates(gates) ? gates : null;
+}
+
+/**
+ * Evaluate quality gates over the results of a run. Every gate is checked.
+ * Without any gates set (see gatesFor()), a run fails on bugs and security
+ * issues, and a project run on structural errors, as the CLI always has.
+ *
+ * @param {object|Array<object>} results - a report, an array of reports, or an
+ *                                         analyzeProject() result; project gates
+ *                                         on scores, grades, complexity and
+ *                                         per-file issues need its `fileReports`
+ * @param {object} options - as for gatesFor()
+ * @returns {{ passed: boolean, gates: Array<{ gate: string, threshold: *, actual: *, passed: boolean, message: string }> }}
+ */
+function evaluateGates(results, options = {}) {
+  const project = Boolean(results && !Array.isArray(results) && results.projectAnalysis);
+  const gates = gatesFor(options) || (project ? gatesModule.DEFAULT_PROJECT_GATES : gatesModule.DEFAULT_GATES);
+
+  let reports;
+  if (Array.isArray(results)) reports = results;
+  else if (project) reports = results.fileReports || [];
+  else reports = [results];
+  const structural = project ? results.projectAnalysis.structural : [];
+  return gatesModule.evaluate(reports, structural, gates);
+}
+
 // ─── Config ───────────────────────────────────────────────────────────────────
 
+// Config file keys that only make sense for a file on disk; config() rejects them
+const FILE_ONLY_KEYS = ["root", "plugins", "ignorePatterns", "overrides"];
+
 /**
  * Set global defaults — weights must sum to 1
- * @param {object} options
+ * @param {object} options - weights, thresholds, rules, gates, ai
  */
 function config(options = {}) {
+  validateConfig(options, "config()");
+  const fileOnly = FILE_ONLY_KEYS.filter((key) => key in options);
+  if (fileOnly.length > 0) {
+    const reasons = fileOnly.map((key) =>
+      key === "plugins"
+        ? `"plugins" is only read from config files; register plugins with use()`
+        : `"${key}" is only read from config files`,
+    );
+    throw new Error(`Invalid code-maester config in config():\n  - ${reasons.join("\n  - ")}`);
+  }
+
   if (options.weights) {
     const sum = Object.values(options.weights).reduce((a, b) => a + b, 0);
     if (Math.abs(sum - 1) > 0.0001) {
@@ -299,23 +1395,42 @@ function config(options = {}) {
     globalConfig.thresholds = { ...globalConfig.thresholds, ...options.thresholds };
   }
 
+  if (options.rules) {
+    globalConfig.rules = mergeRules(globalConfig.rules, options.rules);
+  }
+
   if (options.ai) {
     globalConfig.ai = { ...globalConfig.ai, ...options.ai };
   }
+
+  if (options.gates) {
+    globalConfig.gates = { ...globalConfig.gates, ...options.gates };
+  }
 }
 
 // ─── Plugin System ────────────────────────────────────────────────────────────
 
 /**
  * Register a custom rule plugin.
- * @param {object} plugin — must have { name, run(code, ast?): issue[] }
- *                          and optionally { language: "javascript" | "*" }
+ * @param {object|string} plugin — must have { name, run(code, ast?): issue[] }
+ *                          and optionally { language: "javascript" | "*" };
+ *                          or a module path / package name exporting one
  */
 function use(plugin) {
-  if (!plugin.name || typeof plugin.run !== "function") {
+  let modulePath = null;
+  if (typeof plugin === "string") {
+    modulePath = require.resolve(plugin, { paths: [process.cwd()] });
+    plugin = require(modulePath);
+  } else {
+    // Worker threads re-load plugins from their module; find the one that exported it
+    const owner = Object.values(require.cache).find((mod) => mod && mod.exports === plugin);
+    modulePath = owner ? owner.filename : null;
+  }
+  if (!plugin || !plugin.name || typeof plugin.run !== "function") {
     throw new Error("Plugin must have a `name` (string) and a `run(code, ast)` function.");
   }
   plugins.push(plugin);
+  if (modulePath) pluginModules.set(plugin, modulePath);
   console.log(`[code-maester] Plugin registered: ${plugin.name}`);
 }
 
@@ -334,11 +1449,34 @@ function help() {
     analyze(code, options?)         Analyse a raw code string
     analyzeFile(filePath, options?) Analyse a file on disk
     analyzeProject(filePaths, opts) Analyse multiple files for cross-file issues
+    analyzeProjectStream(paths, o)  Same, yielding per-file reports and progress
+                                    events as files finish
+    createProjectSession(options)   Keep cross-file findings up to date as files
+                                    change: load(), change(), remove() return
+                                    the findings introduced and resolved
+    writeBaseline(files, path)      Record current findings; pass { baseline: path }
+                                    to later runs to report only new issues
     diff(oldCode, newCode)          Compare two versions of code
+    diffRefs({ base, head, cwd })   Compare two git refs: per-file deltas plus
+                                    cross-file changes, read with local git
+    formatFile(filePath, options)   Format a file; { write: true } rewrites it
+    applyFixes(code, issues, opts)  Apply the issues' machine-applicable fixes,
+                                    re-analysing until none are left
+    createIgnoreFilter(options)     Why file discovery skips a path: defaults,
+                                    .gitignore, .codemaesterignore, ignorePatterns
+    summarizeReports(reports)       Line-weighted score, issue totals and worst
+                                    offenders over several reports
+    evaluateGates(results, opts)    Check quality gates (min score / grade,
+                                    fail-on, max issues, max complexity)
+    formatReport(results, format)   Render reports as json / sarif / junit /
+                                    checkstyle / html / markdown / ndjson
     config(options)                 Set global config + scoring weights
+                                    (merged under .codemaesterrc / package.json "codeMaester")
+    clearConfigCache()              Read config files again on the next analysis
     use(plugin)                     Register a custom rule plugin
     version()                       Return package version
     supportedLanguages()            List supported languages
+    reportFormats()                 List formats accepted by formatReport()
 
   Default Weights (must sum to 1):
     bug:        0.30
@@ -358,16 +1496,33 @@ function supportedLanguages() {
   return ["javascript", "typescript", "python", "java", "c", "cpp"];
 }
 
+function reportFormats() {
+  return reporterNames();
+}
+
 // ─── Exports ──────────────────────────────────────────────────────────────────
 
 module.exports = {
   analyze,
   analyzeFile,
   analyzeProject,
+  analyzeProjectStream,
+  createProjectSession,
+  writeBaseline,
   diff,
+  diffRefs,
+  applyFixes,
+  formatFile,
+  summarizeReports,
+  createIgnoreFilter,
+  gatesFor,
+  evaluateGates,
+  formatReport,
   config,
+  clearConfigCache,
   use,
   version,
   help,
   supportedLanguages,
+  reportFormats,
 };
@@ -14,22 +14,25 @@ const namingConvention = require("./naming-convention");
  *
  * @param {string} code     - raw source code
  * @param {string} language - detected language
- * @param {object} _options  - config options
+ * @param {object} options  - config options; `options.ast` is the shared
+ *                            tree from ast.parse() (null → line-based scans),
+ *                            `options.rules` the per-rule settings map
  * @returns {{ bugs: Array, lint: Array }}
  */
-function run(code, language, _options = {}) {
+function run(code, language, options = {}) {
   let allIssues = [];
+  const ast = options.ast || null;
 
   // JavaScript/TypeScript detectors
   if (language === "javascript" || language === "typescript") {
     allIssues = [
-      ...nullDeref.detect(code),
-      ...offByOne.detect(code),
-      ...unreachable.detect(code),
-      ...unusedVars.detect(code),
-      ...shadowedDecl.detect(code),
-      ...typeCoercion.detect(code),
-      ...namingConvention.detect(code),
+      ...nullDeref.detect(code, ast),
+      ...offByOne.detect(code, ast),
+      ...unreachable.detect(code, ast),
+      ...unusedVars.detect(code, ast),
+      ...shadowedDecl.detect(code, ast),
+      ...typeCoercion.detect(code, ast),
+      ...namingConvention.detect(code, ast, options.rules),
     ];
   }
   // C/C++ detectors
@@ -8,10 +8,24 @@
  *   - Classes should be PascalCase
  *   - Constants (const + all caps) should be UPPER_SNAKE_CASE
  *   - No single-letter variables outside of loop counters
+ *
+ * With an AST the names come straight from declarations, so code inside
+ * strings and comments is never matched and every declarator is checked.
+ * `camel-case-variable` issues then carry a `fix` renaming every reference,
+ * when the rename is unambiguous (see renameFix()).
+ *
+ * Rule options (via the `rules` config map):
+ *   "no-single-letter-var": ["info", { allow: ["i", "j", "_"] }]
  */
 
+const { walk } = require("../../ast");
+const { getRuleOptions } = require("../../config/rules");
+
+const DEFAULT_SINGLE_LETTER_ALLOW = ["i", "j", "k", "x", "y", "z", "e", "n"];
+
 const RULES = [
   {
+    id: "variable",
     // Variables and let/const that aren't UPPER_SNAKE should be camelCase
     pattern: /(?:let|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=/,
     rule: "camel-case-variable",
@@ -22,6 +36,7 @@ const RULES = [
     severity: "warning",
   },
   {
+    id: "function",
     // Functions should be camelCase (PascalCase is for classes only)
     pattern: /function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/,
     rule: "camel-case-function",
@@ -32,6 +47,7 @@ const RULES = [
     severity: "warning",
   },
   {
+    id: "class",
     // Classes should be PascalCase
     pattern: /class\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/,
     rule: "pascal-case-class",
@@ -42,10 +58,11 @@ const RULES = [
     severity: "warning",
   },
   {
+    id: "single-letter",
     // Single letter variables outside loops
     pattern: /(?:const|let|var)\s+([a-zA-Z])\s*=/,
     rule: "no-single-letter-var",
-    check: (name) => !["i", "j", "k", "x", "y", "z", "e", "n"].includes(name),
+    check: (name, opts = {}) => !(opts.allow || DEFAULT_SINGLE_LETTER_ALLOW).includes(name),
     message: (name) => `Single-letter variable '${name}' is not descriptive.`,
     suggestion: (name) => `Use a descriptive name instead of '${name}'.`,
     severity: "info",
@@ -77,13 +94,127 @@ function toPascalCase(name) {
   return camel.charAt(0).toUpperCase() + camel.slice(1);
 }
 
+// Names a rename must not produce
+const RESERVED = new Set([
+  "arguments", "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default",
+  "delete", "do", "else", "enum", "eval", "export", "extends", "false", "finally", "for", "function",
+  "if", "implements", "import", "in", "instanceof", "interface", "let", "new", "null", "package",
+  "private", "protected", "public", "return", "static", "super", "switch", "this", "throw", "true",
+  "try", "typeof", "undefined", "var", "void", "while", "with", "yield",
+]);
+
+function isDeclaration(node, parent) {
+  if (parent.type === "VariableDeclarator") return parent.id === node;
+  if (parent.type === "CatchClause") return parent.param === node;
+  if (/^(Function|Class)(Declaration|Expression)$|^ArrowFunctionExpression$/.test(parent.type)) {
+    return parent.id === node || (parent.params || []).includes(node);
+  }
+  return false;
+}
+
+/**
+ * Rename `name` everywhere it is referenced, as one fix spanning its first to
+ * its last occurrence. Property names and labels are left alone.
+ * Returns null unless the rename is unambiguous: `name` is declared exactly
+ * once, `newName` is not a reserved word and not used anywhere, and no
+ * shorthand property, import/export or exported declaration would change a
+ * name seen from outside.
+ */
+function renameFix(code, ast, name, newName) {
+  if (newName === name || RESERVED.has(newName)) return null;
+
+  const occurrences = new Map(); // start offset → node
+  let declarations = 0;
+  let safe = true;
+
+  walk(ast, (node, parent, ancestors) => {
+    if (!safe) return false;
+    if (node.type !== "Identifier") return;
+    if (node.name === newName) safe = false;
+    if (node.name !== name || !parent) return;
+
+    if (parent.type === "MemberExpression" && parent.property === node && !parent.computed) return;
+    if (/^(Labeled|Break|Continue)Statement$/.test(parent.type)) return;
+    if (/^(Property|MethodDefinition|PropertyDefinition)$/.test(parent.type) && parent.key === node && !parent.computed) {
+      if (parent.shorthand) safe = false;
+      return;
+    }
+    if (/^(Import|Export)\w*Specifier$/.test(parent.type)) safe = false;
+    if (isDeclaration(node, parent)) {
+      declarations++;
+      if (ancestors.some((a) => a.type === "ExportNamedDeclaration")) safe = false;
+    }
+    occurrences.set(node.start, node);
+  });
+
+  if (!safe || declarations !== 1) return null;
+
+  const nodes = [...occurrences.values()].sort((a, b) => a.start - b.start);
+  const start = nodes[0].start;
+  let text = "";
+  let at = start;
+  for (const node of nodes) {
+    text += code.slice(at, node.start) + newName;
+    at = node.end;
+  }
+  return { range: [start, at], text };
+}
+
 // ─── Detector ─────────────────────────────────────────────────────────────────
 
+const RULES_BY_ID = Object.fromEntries(RULES.map((r) => [r.id, r]));
+
+function checkName(issues, ruleId, id, rules, fixFor = null) {
+  const { rule, check, message, suggestion, severity } = RULES_BY_ID[ruleId];
+  if (!check(id.name, getRuleOptions(rules, rule))) return;
+  const issue = {
+    type: "lint",
+    severity,
+    rule,
+    line: id.loc.start.line,
+    column: id.loc.start.column + 1,
+    message: message(id.name),
+    suggestion: suggestion(id.name),
+  };
+  const fix = fixFor && fixFor(id.name);
+  if (fix) issue.fix = fix;
+  issues.push(issue);
+}
+
+function detectFromAst(ast, code, rules) {
+  const issues = [];
+  const camelCaseFix = (name) => renameFix(code, ast, name, toCamelCase(name));
+
+  walk(ast, (node, parent) => {
+    if (node.type === "VariableDeclarator" && node.id.type === "Identifier" && node.init) {
+      const kind = parent.kind;
+      if (kind === "let" || kind === "var") checkName(issues, "variable", node.id, rules, camelCaseFix);
+      if (node.id.name.length === 1) checkName(issues, "single-letter", node.id, rules);
+    } else if (
+      (node.type === "FunctionDeclaration" || node.type === "FunctionExpression") &&
+      node.id
+    ) {
+      checkName(issues, "function", node.id, rules);
+    } else if (
+      (node.type === "ClassDeclaration" || node.type === "ClassExpression") &&
+      node.id
+    ) {
+      checkName(issues, "class", node.id, rules);
+    }
+  });
+
+  return issues;
+}
+
 /**
  * @param {string} code
+ * @param {object|null} ast - shared tree from ast.parse(), null to scan lines
+ * @param {object} rules    - `rules` config map (for rule options)
  * @returns {Array} issues
  */
-function detect(code) {
+function detect(code, ast = null, rules = {}) {
+  if (ast) return detectFromAst(ast, code, rules);
+
   const issues = [];
   const lines = code.split("\n");
 
@@ -103,7 +234,7 @@ function detect(code) {
       if (!match) continue;
 
       const name = match[1];
-      if (check(name)) {
+      if (check(name, getRuleOptions(rules, rule))) {
         issues.push({
           type: "lint",
           severity,
@@ -1,5 +1,7 @@
 "use strict";
 
+const { maskNonCode } = require("../../ast");
+
 const RISKY_SOURCES = [
   /\b(\w+)\s*=\s*.+\.(find|findIndex|pop|shift)\(/,
   /\b(\w+)\s*=\s*document\.(getElementById|querySelector|getElementsBy\w+)\(/,
@@ -7,9 +9,15 @@ const RISKY_SOURCES = [
   /\b(\w+)\s*=\s*\w+\.\w+\(/,
 ];
 
-function detect(code) {
+/**
+ * @param {string} code
+ * @param {object|null} ast - shared tree from ast.parse(); when present,
+ *                            comments and literals are masked before scanning
+ * @returns {Array} issues
+ */
+function detect(code, ast = null) {
   const issues = [];
-  const lines = code.split("\n");
+  const lines = (ast ? maskNonCode(code, ast) : code).split("\n");
   const riskyVars = new Set();
 
   // Pass 1 — collect risky variable names
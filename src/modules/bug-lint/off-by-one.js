@@ -8,8 +8,14 @@
  *   - for (i = 1; i < arr.length; i++)    ← starts at 1, skips index 0
  *   - arr[arr.length]                     ← always undefined
  *   - while (i <= arr.length)             ← should be
+ *
+ * With an AST the loop headers and member accesses are inspected directly,
+ * so loops spread over several lines are caught too, and `<= arr.length` in a
+ * for loop carries a `fix` to `< arr.length`.
  */
 
+const { walk, memberName, tokenRange } = require("../../ast");
+
 const PATTERNS = [
   {
     pattern: /for\s*\(.*;\s*\w+\s*<=\s*(\w+)\.length\s*;/,
@@ -46,11 +52,97 @@ const PATTERNS = [
   },
 ];
 
+const RULES = Object.fromEntries(PATTERNS.map((p) => [p.rule, p]));
+
+function issueAt(node, rule, match, fix = null) {
+  const { severity, message, suggestion } = RULES[rule];
+  const issue = {
+    type: "bug",
+    severity,
+    rule,
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    message: message(match),
+    suggestion: suggestion(match),
+  };
+  if (fix) issue.fix = fix;
+  return issue;
+}
+
+/** `<expr>.length` → name of <expr>, or null */
+function lengthOf(node) {
+  if (
+    node &&
+    node.type === "MemberExpression" &&
+    !node.computed &&
+    node.property.name === "length"
+  ) {
+    return memberName(node.object);
+  }
+  return null;
+}
+
+/** Name of the array in a `x <= arr.length` test, or null */
+function lteLength(test) {
+  if (test && test.type === "BinaryExpression" && test.operator === "<=") {
+    return lengthOf(test.right);
+  }
+  return null;
+}
+
+function startsAtOne(init) {
+  if (!init) return false;
+  if (init.type === "VariableDeclaration") {
+    return init.declarations.some((d) => d.init && d.init.type === "Literal" && d.init.value === 1);
+  }
+  return init.type === "AssignmentExpression" && init.right.type === "Literal" && init.right.value === 1;
+}
+
+function mentionsLength(node) {
+  let found = false;
+  walk(node, (n) => {
+    if (found) return false;
+    if (lengthOf(n)) found = true;
+  });
+  return found;
+}
+
+function detectFromAst(ast, code) {
+  const issues = [];
+
+  walk(ast, (node) => {
+    if (node.type === "ForStatement") {
+      const arr = lteLength(node.test);
+      if (arr) {
+        const range = tokenRange(code, ast, node.test.left.end, node.test.right.start, "<=");
+        issues.push(issueAt(node, "off-by-one-lte-length", [null, arr], range ? { range, text: "<" } : null));
+      }
+      if (startsAtOne(node.init) && node.test && mentionsLength(node.test)) {
+        issues.push(issueAt(node, "off-by-one-starts-at-1", []));
+      }
+    } else if (node.type === "WhileStatement") {
+      const arr = lteLength(node.test);
+      if (arr) issues.push(issueAt(node, "off-by-one-while-lte-length", [null, arr]));
+    } else if (node.type === "MemberExpression" && node.computed) {
+      const arr = lengthOf(node.property);
+      const obj = memberName(node.object);
+      if (arr && obj) {
+        issues.push(issueAt(node, "off-by-one-direct-length-access", [null, obj, arr]));
+      }
+    }
+  });
+
+  return issues;
+}
+
 /**
  * @param {string} code
+ * @param {object|null} ast - shared tree from ast.parse(), null to scan lines
  * @returns {Array} issues
  */
-function detect(code) {
+function detect(code, ast = null) {
+  if (ast) return detectFromAst(ast, code);
+
   const issues = [];
   const lines = code.split("\n");
 
@@ -9,15 +9,96 @@
  *   function foo() {
  *     const x = 2;  ← shadows outer x
  *   }
+ *
+ * With an AST, scopes come from the tree (blocks, loop heads, functions and
+ * their parameters) instead of counting braces, so braces in strings,
+ * template literals and object literals no longer confuse it.
  */
 
+const { walk } = require("../../ast");
+
+const SCOPE_TYPES = new Set([
+  "Program",
+  "BlockStatement",
+  "StaticBlock",
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "CatchClause",
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
 const DECLARATION_PATTERN = /(?:const|let|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g;
 
+function detectFromAst(ast) {
+  const declarations = []; // { name, line, column, start, scope, chain }
+
+  const record = (id, chain) => {
+    declarations.push({
+      name: id.name,
+      line: id.loc.start.line,
+      column: id.loc.start.column + 1,
+      start: id.start,
+      scope: chain[chain.length - 1],
+      chain,
+    });
+  };
+
+  walk(ast, (node, _parent, ancestors) => {
+    if (node.type === "VariableDeclarator" && node.id.type === "Identifier") {
+      record(node.id, ancestors.filter((a) => SCOPE_TYPES.has(a.type)));
+    } else if (FUNCTION_TYPES.has(node.type)) {
+      const chain = [...ancestors.filter((a) => SCOPE_TYPES.has(a.type)), node];
+      node.params
+        .filter((p) => p.type === "Identifier")
+        .forEach((p) => record(p, chain));
+    }
+  });
+
+  declarations.sort((a, b) => a.start - b.start);
+
+  const issues = [];
+  declarations.forEach((decl) => {
+    const outer = declarations.find(
+      (other) =>
+        other !== decl &&
+        other.name === decl.name &&
+        other.start < decl.start &&
+        other.scope !== decl.scope &&
+        decl.chain.includes(other.scope),
+    );
+    if (!outer) return;
+
+    issues.push({
+      type: "bug",
+      severity: "warning",
+      rule: "shadowed-declaration",
+      line: decl.line,
+      column: decl.column,
+      message: `'${decl.name}' shadows a variable declared in an outer scope (line ${outer.line}).`,
+      suggestion: `Rename '${decl.name}' to avoid shadowing the outer variable, or remove the outer declaration if it's unused.`,
+    });
+  });
+
+  return issues;
+}
+
 /**
  * @param {string} code
+ * @param {object|null} ast - shared tree from ast.parse(), null to scan lines
  * @returns {Array} issues
  */
-function detect(code) {
+function detect(code, ast = null) {
+  if (ast) return detectFromAst(ast);
+
   const issues = [];
   const lines = code.split("\n");
 
@@ -8,8 +8,14 @@
  *   - + operator used with mixed types (e.g. "3" + 4)
  *   - parseInt without radix
  *   - implicit boolean coercion on non-boolean (e.g. if (x == true))
+ *
+ * When an AST is available the checks run on BinaryExpression / CallExpression
+ * nodes, so operators inside strings, comments and regexes are never matched.
+ * Those issues also carry a `fix` (`==` → `===`, `!=` → `!==`, a radix of 10).
  */
 
+const { walk, tokenRange } = require("../../ast");
+
 const PATTERNS = [
   {
     pattern: /(?<![=!<>])={2}(?!=)/, // ← uses lookbehind — much more reliable
@@ -55,11 +61,94 @@ const PATTERNS = [
   },
 ];
 
+const RULES = Object.fromEntries(PATTERNS.map((p) => [p.rule, p]));
+
+function issueAt(node, rule, match = [], fix = null) {
+  const { severity, message, suggestion } = RULES[rule];
+  const issue = {
+    type: "lint",
+    severity,
+    rule,
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    message: message(match),
+    suggestion: suggestion(match),
+  };
+  if (fix) issue.fix = fix;
+  return issue;
+}
+
+/** `==` → `===` / `!=` → `!==` */
+function strictOperatorFix(code, ast, node) {
+  const range = tokenRange(code, ast, node.left.end, node.right.start, node.operator);
+  return range ? { range, text: `${node.operator}=` } : null;
+}
+
+/** Add `, 10` before the closing parenthesis (after a trailing comma, just `10`) */
+function radixFix(code, node) {
+  const close = node.end - 1;
+  if (code[close] !== ")") return null;
+  let before = close - 1;
+  while (before > 0 && /\s/.test(code[before])) before--;
+  return { range: [close, close], text: code[before] === "," ? " 10" : ", 10" };
+}
+
+function isLiteralValue(node, values) {
+  if (node.type === "Literal" && node.regex === undefined) {
+    return values.includes(String(node.value));
+  }
+  return node.type === "Identifier" && node.name === "undefined" && values.includes("undefined");
+}
+
+function detectFromAst(ast, code) {
+  const issues = [];
+
+  walk(ast, (node) => {
+    if (node.type === "BinaryExpression" && (node.operator === "==" || node.operator === "!=")) {
+      const loose = node.operator === "==";
+      issues.push(issueAt(node, loose ? "loose-equality" : "loose-inequality", [], strictOperatorFix(code, ast, node)));
+
+      if (!loose) return;
+
+      const other = [node.left, node.right].find((side) =>
+        isLiteralValue(side, ["true", "false", "null", "undefined"]),
+      );
+      if (other) {
+        const value = other.type === "Identifier" ? other.name : String(other.value);
+        issues.push(issueAt(node, "explicit-boolean-compare", [null, value]));
+      }
+
+      const isTypeof = (side) => side.type === "UnaryExpression" && side.operator === "typeof";
+      const isString = (side) => side.type === "Literal" && typeof side.value === "string";
+      if ((isTypeof(node.left) && isString(node.right)) || (isString(node.left) && isTypeof(node.right))) {
+        issues.push(issueAt(node, "typeof-loose-equality"));
+      }
+    }
+
+    if (
+      node.type === "CallExpression" &&
+      node.arguments.length === 1 &&
+      ((node.callee.type === "Identifier" && node.callee.name === "parseInt") ||
+        (node.callee.type === "MemberExpression" &&
+          !node.callee.computed &&
+          node.callee.object.name === "Number" &&
+          node.callee.property.name === "parseInt"))
+    ) {
+      issues.push(issueAt(node, "parseint-no-radix", [], radixFix(code, node)));
+    }
+  });
+
+  return issues;
+}
+
 /**
  * @param {string} code
+ * @param {object|null} ast - shared tree from ast.parse(), null to scan lines
  * @returns {Array} issues
  */
-function detect(code) {
+function detect(code, ast = null) {
+  if (ast) return detectFromAst(ast, code);
+
   const issues = [];
   const lines = code.split("\n");
 
@@ -3,16 +3,64 @@
 /**
  * Detects unreachable code — statements that appear after
  * a return, throw, break, or continue in the same block.
+ *
+ * With an AST, statement lists are inspected directly; hoisted function
+ * declarations after a terminator are not flagged.
  */
 
+const { walk } = require("../../ast");
+
 const TERMINATORS = /^\s*(return|throw|break|continue)\b/;
 const BLANK_OR_COMMENT = /^\s*(\/\/.*|\/\*.*|#.*)?$/;
 
+const TERMINATOR_TYPES = new Set([
+  "ReturnStatement",
+  "ThrowStatement",
+  "BreakStatement",
+  "ContinueStatement",
+]);
+
+function detectFromAst(code, ast) {
+  const issues = [];
+  const lines = code.split("\n");
+
+  const checkList = (statements) => {
+    const idx = statements.findIndex((s) => TERMINATOR_TYPES.has(s.type));
+    if (idx === -1) return;
+
+    const next = statements
+      .slice(idx + 1)
+      .find((s) => s.type !== "FunctionDeclaration" && s.type !== "EmptyStatement");
+    if (!next) return;
+
+    const terminatorLine = statements[idx].loc.start.line;
+    issues.push({
+      type: "bug",
+      severity: "warning",
+      rule: "unreachable-code",
+      line: next.loc.start.line,
+      column: next.loc.start.column + 1,
+      message: `Unreachable code after '${lines[terminatorLine - 1].trim()}' on line ${terminatorLine}`,
+      suggestion: `Remove this statement or move it before the return on line ${terminatorLine}`,
+    });
+  };
+
+  walk(ast, (node) => {
+    if (node.type === "BlockStatement" || node.type === "Program") checkList(node.body);
+    else if (node.type === "SwitchCase") checkList(node.consequent);
+  });
+
+  return issues;
+}
+
 /**
  * @param {string} code
+ * @param {object|null} ast - shared tree from ast.parse(), null to scan lines
  * @returns {Array} issues
  */
-function detect(code) {
+function detect(code, ast = null) {
+  if (ast) return detectFromAst(code, ast);
+
   const issues = [];
   const lines = code.split("\n");
 
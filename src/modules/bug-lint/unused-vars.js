@@ -4,17 +4,79 @@
  * Detects variables that are declared but never used.
  * Works by scanning for declarations then checking if
  * the variable name appears anywhere else in the code.
+ *
+ * With an AST, only real identifier references count as usage — a name
+ * that appears only in a string, comment or property key is still unused.
  */
 
+const { walk } = require("../../ast");
+
 // Matches: const x, let x, var x
 const DECLARATION_PATTERN =
   /^\s*(?:const|let|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=/;
 
+/** Identifier positions that name something rather than reference a binding */
+function isNonReference(node, parent) {
+  if (!parent) return false;
+  if (parent.type === "MemberExpression") return parent.property === node && !parent.computed;
+  if (parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "PropertyDefinition") {
+    return parent.key === node && !parent.computed && !parent.shorthand;
+  }
+  if (
+    parent.type === "LabeledStatement" ||
+    parent.type === "BreakStatement" ||
+    parent.type === "ContinueStatement"
+  ) {
+    return true;
+  }
+  if (parent.type === "ExportSpecifier") return parent.exported === node && parent.local !== node;
+  return false;
+}
+
+function detectFromAst(ast) {
+  const declared = []; // { name, line, column }
+  const references = new Map(); // name → count
+
+  walk(ast, (node, parent, ancestors) => {
+    if (node.type === "VariableDeclarator" && node.id.type === "Identifier" && node.init) {
+      // `export const x = …` is used by whoever imports it
+      const owner = ancestors[ancestors.length - 2];
+      if (!owner || owner.type !== "ExportNamedDeclaration") {
+        declared.push({
+          name: node.id.name,
+          line: node.id.loc.start.line,
+          column: node.id.loc.start.column + 1,
+        });
+      }
+    }
+
+    if (node.type === "Identifier" && !isNonReference(node, parent)) {
+      if (parent && parent.type === "VariableDeclarator" && parent.id === node) return;
+      references.set(node.name, (references.get(node.name) || 0) + 1);
+    }
+  });
+
+  return declared
+    .filter(({ name }) => !references.has(name))
+    .map(({ name, line, column }) => ({
+      type: "lint",
+      severity: "warning",
+      rule: "unused-variable",
+      line,
+      column,
+      message: `Variable '${name}' is declared but never used.`,
+      suggestion: `Remove the declaration of '${name}' or use it somewhere in the code.`,
+    }));
+}
+
 /**
  * @param {string} code
+ * @param {object|null} ast - shared tree from ast.parse(), null to scan lines
  * @returns {Array} issues
  */
-function detect(code) {
+function detect(code, ast = null) {
+  if (ast) return detectFromAst(ast);
+
   const issues = [];
   const lines = code.split("\n");
   const declared = []; // { name, line, column }
@@ -8,8 +8,13 @@
  *
  * Branching keywords counted: if, else if, for, while, do, case, catch,
  *   ternary (?), logical-and (&&), logical-or (||), nullish coalescing (??)
+ *
+ * When the shared AST is available, functions, branches and nesting are read
+ * from the tree; otherwise the source is scanned with the regexes below.
  */
 
+const { walk, maskNonCode, memberName } = require("../../../ast");
+
 const BRANCH_RE =
   /\b(if|else\s+if|for|while|do|case|catch)\b|(\?\?|&&|\|\||\?[^?:])/g;
 
@@ -55,6 +60,86 @@ function extractFunctions(code) {
   return functions;
 }
 
+// ─── AST-based extraction ─────────────────────────────────────────────────────
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
+const BRANCH_TYPES = new Set([
+  "IfStatement",
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+  "CatchClause",
+  "ConditionalExpression",
+  "LogicalExpression",
+]);
+
+const NESTING_TYPES = new Set(["BlockStatement", "SwitchStatement"]);
+
+function functionName(node, parent) {
+  if (node.id) return node.id.name;
+  if (!parent) return "<anonymous>";
+  if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") {
+    return parent.id.name;
+  }
+  if (
+    (parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "PropertyDefinition") &&
+    !parent.computed
+  ) {
+    return parent.key.name || String(parent.key.value);
+  }
+  if (parent.type === "AssignmentExpression") {
+    return memberName(parent.left) || "<anonymous>";
+  }
+  return "<anonymous>";
+}
+
+/** CC = 1 + branch points in this function, not counting nested functions */
+function astCyclomatic(body) {
+  let count = 0;
+  walk(body, (node) => {
+    if (node !== body && FUNCTION_TYPES.has(node.type)) return false;
+    if (BRANCH_TYPES.has(node.type)) count++;
+    else if (node.type === "SwitchCase" && node.test) count++;
+  });
+  return 1 + count;
+}
+
+/** Deepest block nesting inside the function body, not counting nested functions */
+function astNestingDepth(body) {
+  let max = 0;
+  walk(body, (node, _parent, ancestors) => {
+    if (node !== body && FUNCTION_TYPES.has(node.type)) return false;
+    if (node === body || !NESTING_TYPES.has(node.type)) return;
+    const depth = 1 + ancestors.filter((a) => a !== body && NESTING_TYPES.has(a.type)).length;
+    if (depth > max) max = depth;
+  });
+  return max;
+}
+
+function extractFunctionsFromAst(ast) {
+  const functions = [];
+
+  walk(ast, (node, parent) => {
+    if (!FUNCTION_TYPES.has(node.type)) return;
+    functions.push({
+      name: functionName(node, parent),
+      startLine: node.loc.start.line,
+      endLine: node.loc.end.line,
+      cyclomatic: astCyclomatic(node.body),
+      depth: astNestingDepth(node.body),
+    });
+  });
+
+  return functions;
+}
+
 function lineOf(code, pos, lines) {
   let cur = 0;
   for (let i = 0; i < lines.length; i++) {
@@ -182,8 +267,13 @@ function findDeadCode(code) {
 
 // ─── Main export ──────────────────────────────────────────────────────────────
 
-function analyzeJS(code, cfg) {
-  const functions = extractFunctions(code);
+/**
+ * @param {string} code
+ * @param {object} cfg
+ * @param {object|null} ast - shared tree from ast.parse(), null to scan text
+ */
+function analyzeJS(code, cfg, ast = null) {
+  const functions = ast ? extractFunctionsFromAst(ast) : extractFunctions(code);
   const funcReports = [];
   const redundancy = [];
 
@@ -191,8 +281,8 @@ function analyzeJS(code, cfg) {
   let globalMaxDepth = 0;
 
   for (const fn of functions) {
-    const cc = cyclomaticComplexity(fn.body);
-    const depth = maxNestingDepth(fn.body);
+    const cc = fn.cyclomatic ?? cyclomaticComplexity(fn.body);
+    const depth = fn.depth ?? maxNestingDepth(fn.body);
     const lineCount = fn.endLine - fn.startLine + 1;
 
     totalCC += cc;
@@ -249,8 +339,8 @@ function analyzeJS(code, cfg) {
   // Duplicate blocks across the whole file
   redundancy.push(...findDuplicateBlocks(code, cfg.minDuplicateLines));
 
-  // Dead code across the whole file
-  redundancy.push(...findDeadCode(code));
+  // Dead code across the whole file (literals masked so `if (true)` in a string is ignored)
+  redundancy.push(...findDeadCode(ast ? maskNonCode(code, ast) : code));
 
   return {
     complexity: {
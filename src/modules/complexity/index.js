@@ -18,9 +18,10 @@ const { analyzeGeneric } = require("./analyzers/generic");
  * @param {string} code
  * @param {string} language  - "javascript" | "python" | "java" | "c" | "cpp"
  * @param {object} thresholds
+ * @param {object|null} ast  - shared tree from ast.parse() (JS/TS only)
  * @returns {{ complexity: object, redundancy: object[] }}
  */
-function runComplexityChecks(code, language, thresholds = {}) {
+function runComplexityChecks(code, language, thresholds = {}, ast = null) {
   const cfg = {
     maxCyclomatic: thresholds.maxCyclomatic ?? 10,
     maxNestingDepth: thresholds.maxNestingDepth ?? 3,
@@ -31,7 +32,7 @@ function runComplexityChecks(code, language, thresholds = {}) {
   switch (language) {
     case "javascript":
     case "typescript":
-      return analyzeJS(code, cfg);
+      return analyzeJS(code, cfg, ast);
     case "python":
       return analyzePython(code, cfg);
     default:
@@ -141,7 +141,7 @@ function extractDependenciesPython(code) {
 
 /**
  * Build a dependency graph
- * @param {Array<{path: string, code: string, language: string}>} files
+ * @param {Array<{path: string, code: string, language: string, facts?: object}>} files
  * @returns {Map<string, Set<string>>} Adjacency list representation
  */
 function buildDependencyGraph(files) {
@@ -149,7 +149,9 @@ function buildDependencyGraph(files) {
 
   files.forEach((file) => {
     const normalizedPath = path.normalize(file.path);
-    const deps = extractDependencies(file.code, file.language || "javascript", file.path);
+    const deps = file.facts
+      ? file.facts.dependencies
+      : extractDependencies(file.code, file.language || "javascript", file.path);
 
     if (!graph.has(normalizedPath)) {
       graph.set(normalizedPath, new Set());
@@ -225,20 +227,14 @@ function detectCycles(graph) {
 }
 
 /**
- * Detect circular dependencies
- * @param {Array<{path: string, code: string, language: string}>} files
- * @param {object} options
- * @returns {Promise<Array>}
+ * Turn cycles into issues, dropping repeats of the same cycle found from
+ * another starting point.
+ * @param {Array<Array<string>>} cycles - as returned by detectCycles()
+ * @returns {Array<object>}
  */
-async function detect(files) {
+function cycleIssues(cycles) {
   const issues = [];
 
-  // Build dependency graph
-  const graph = buildDependencyGraph(files);
-
-  // Detect cycles
-  const cycles = detectCycles(graph);
-
   // Remove duplicate cycles (same cycle detected from different starting points)
   const uniqueCycles = [];
   const seenCycles = new Set();
@@ -278,4 +274,18 @@ async function detect(files) {
   return issues;
 }
 
-module.exports = { detect };
+/**
+ * Detect circular dependencies
+ * @param {Array<{path: string, code: string, language: string}>} files
+ * @param {object} options
+ * @returns {Promise<Array>}
+ */
+async function detect(files) {
+  // Build dependency graph
+  const graph = buildDependencyGraph(files);
+
+  // Detect cycles
+  return cycleIssues(detectCycles(graph));
+}
+
+module.exports = { detect, extractDependencies, detectCycles, cycleIssues };
@@ -0,0 +1,270 @@
+"use strict";
+
+/**
+ * Cross-file analysis kept in memory, for watch mode. analyzeProject()
+ * starts from scratch on every call; a project graph takes files one change
+ * at a time and redoes only what the change can affect:
+ *
+ *   - Unused exports: a file's imports move the count of files importing
+ *     each name, so only exports of names whose count drops to or rises from
+ *     zero, and the file's own exports, are checked again.
+ *   - Circular dependencies: a file's imports change its edges, which can
+ *     only split or merge the strongly connected components (files that can
+ *     all reach each other) it was or is part of. Cycles are searched again
+ *     in those components alone.
+ *
+ * Adding or deleting a file re-resolves the imports of the files that import
+ * it by path, e.g. "./util" once util.js exists. Imports resolve as in
+ * buildDependencyGraph(): the extension may be left out.
+ *
+ * Within a tangle of several cycles, the ones reported can differ from a
+ * fresh analyzeProject(), which picks them by its walk over the whole
+ * project; a tangle is reported by both or by neither.
+ */
+
+const path = require("path");
+const { unusedExportIssue } = require("./unused-exports");
+const { detectCycles, cycleIssues } = require("./circular-deps");
+
+const NONE = new Set();
+
+// Path without a source extension, which is how imports may name a file
+function stem(filePath) {
+  return path.normalize(filePath).replace(/\.(js|ts|jsx|tsx|py)$/, "");
+}
+
+function addTo(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
+
+function removeFrom(map, key, value) {
+  const set = map.get(key);
+  if (!set) return;
+  set.delete(value);
+  if (set.size === 0) map.delete(key);
+}
+
+/**
+ * Create an empty project graph.
+ *
+ * @returns {{
+ *   update: (entries: Array<{ path: string, facts: object }>) => void,
+ *   remove: (filePaths: Array<string>) => void,
+ *   has: (filePath: string) => boolean,
+ *   size: () => number,
+ *   findings: () => Array<object>,
+ * }} `facts` are as from extractFacts(); `findings` returns the current
+ *   unused-export and circular-dependency issues, unsorted
+ */
+function createProjectGraph() {
+  const files = new Map(); // path → facts
+  const byStem = new Map(); // stem → paths with that stem
+  const importers = new Map(); // stem of a dependency → paths that import it
+  const edges = new Map(); // path → resolved dependencies that are files of the project
+  const importCount = new Map(); // name → number of files importing it
+  const exporters = new Map(); // name → paths exporting it
+  const unused = new Map(); // path → its unused-export issues
+  const componentOf = new Map(); // path → its component, for files in a cycle
+  const cycles = new Map(); // component → its cycle issues
+
+  function resolve(dependency) {
+    const candidates = byStem.get(stem(dependency));
+    if (!candidates) return null;
+    const exact = path.normalize(dependency);
+    return candidates.has(exact) ? exact : candidates.values().next().value;
+  }
+
+  function index(filePath, facts, names) {
+    addTo(byStem, stem(filePath), filePath);
+    facts.exports.forEach((exp) => {
+      addTo(exporters, exp.name, filePath);
+      names.add(exp.name);
+    });
+    facts.imports.forEach((name) => {
+      const count = importCount.get(name) || 0;
+      importCount.set(name, count + 1);
+      if (count === 0) names.add(name);
+    });
+    facts.dependencies.forEach((dependency) => addTo(importers, stem(dependency), filePath));
+  }
+
+  function unindex(filePath, facts, names) {
+    removeFrom(byStem, stem(filePath), filePath);
+    facts.exports.forEach((exp) => {
+      removeFrom(exporters, exp.name, filePath);
+      names.add(exp.name);
+    });
+    facts.imports.forEach((name) => {
+      const count = importCount.get(name) - 1;
+      if (count > 0) {
+        importCount.set(name, count);
+      } else {
+        importCount.delete(name);
+        names.add(name);
+      }
+    });
+    facts.dependencies.forEach((dependency) => removeFrom(importers, stem(dependency), filePath));
+  }
+
+  function link(filePath) {
+    const facts = files.get(filePath);
+    if (!facts) {
+      edges.delete(filePath);
+      return;
+    }
+    const targets = new Set();
+    facts.dependencies.forEach((dependency) => {
+      const target = resolve(dependency);
+      if (target) targets.add(target);
+    });
+    edges.set(filePath, targets);
+  }
+
+  function checkUnused(filePaths) {
+    for (const filePath of filePaths) {
+      const facts = files.get(filePath);
+      if (!facts) {
+        unused.delete(filePath);
+        continue;
+      }
+      const issues = facts.exports
+        .filter((exp) => exp.name !== "default" && !importCount.has(exp.name))
+        .map((exp) => unusedExportIssue(exp.name, { file: filePath, line: exp.line, type: exp.type }));
+      unused.set(filePath, issues);
+    }
+  }
+
+  /**
+   * Strongly connected components of the files reachable from `starts`
+   * (Tarjan's algorithm), each as a Set of paths.
+   */
+  function componentsFrom(starts) {
+    const order = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    function visit(node) {
+      order.set(node, order.size);
+      low.set(node, order.get(node));
+      stack.push(node);
+      onStack.add(node);
+
+      for (const next of edges.get(node) || NONE) {
+        if (!order.has(next)) {
+          visit(next);
+          low.set(node, Math.min(low.get(node), low.get(next)));
+        } else if (onStack.has(next)) {
+          low.set(node, Math.min(low.get(node), order.get(next)));
+        }
+      }
+
+      if (low.get(node) === order.get(node)) {
+        const component = new Set();
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.add(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    }
+
+    starts.forEach((node) => files.has(node) && !order.has(node) && visit(node));
+    return components;
+  }
+
+  function cyclesIn(component) {
+    // Walk the component in path order, so the same files give the same cycles
+    const graph = new Map();
+    [...component].sort().forEach((node) => {
+      graph.set(node, new Set([...edges.get(node)].filter((next) => component.has(next))));
+    });
+    return cycleIssues(detectCycles(graph));
+  }
+
+  /**
+   * Search for cycles again where `changed` (files whose edges changed) can
+   * have made or broken one: their old components and their new ones.
+   */
+  function checkCycles(changed) {
+    const region = new Set(changed);
+    changed.forEach((node) => (componentOf.get(node) || NONE).forEach((member) => region.add(member)));
+
+    const fresh = componentsFrom(region).filter(
+      (component) =>
+        [...component].some((node) => region.has(node)) &&
+        (component.size > 1 || (edges.get([...component][0]) || NONE).has([...component][0])),
+    );
+
+    const stale = new Set();
+    region.forEach((node) => componentOf.has(node) && stale.add(componentOf.get(node)));
+    fresh.forEach((component) => component.forEach((node) => componentOf.has(node) && stale.add(componentOf.get(node))));
+    stale.forEach((component) => {
+      cycles.delete(component);
+      component.forEach((node) => componentOf.delete(node));
+    });
+
+    fresh.forEach((component) => {
+      component.forEach((node) => componentOf.set(node, component));
+      cycles.set(component, cyclesIn(component));
+    });
+  }
+
+  /**
+   * Re-link the given files and everything their arrival or departure can
+   * re-resolve, then check exports and cycles again.
+   */
+  function settle(filePaths, names, stemsChanged) {
+    const relinked = new Set(filePaths);
+    stemsChanged.forEach((s) => (importers.get(s) || NONE).forEach((importer) => relinked.add(importer)));
+    relinked.forEach(link);
+
+    const exporting = new Set(filePaths);
+    names.forEach((name) => (exporters.get(name) || NONE).forEach((filePath) => exporting.add(filePath)));
+    checkUnused(exporting);
+    checkCycles(relinked);
+  }
+
+  return {
+    update(entries) {
+      const names = new Set();
+      const stemsChanged = new Set();
+      for (const { path: filePath, facts } of entries) {
+        const old = files.get(filePath);
+        if (old) unindex(filePath, old, names);
+        else stemsChanged.add(stem(filePath));
+        files.set(filePath, facts);
+        index(filePath, facts, names);
+      }
+      settle(entries.map((entry) => entry.path), names, stemsChanged);
+    },
+
+    remove(filePaths) {
+      const names = new Set();
+      const stemsChanged = new Set();
+      const removed = filePaths.filter((filePath) => files.has(filePath));
+      for (const filePath of removed) {
+        unindex(filePath, files.get(filePath), names);
+        files.delete(filePath);
+        stemsChanged.add(stem(filePath));
+      }
+      settle(removed, names, stemsChanged);
+    },
+
+    has: (filePath) => files.has(filePath),
+    size: () => files.size,
+
+    findings() {
+      const found = [...unused.values()].flat();
+      let cycleIndex = 0;
+      cycles.forEach((issues) => issues.forEach((issue) => found.push({ ...issue, cycleIndex: ++cycleIndex })));
+      return found;
+    },
+  };
+}
+
+module.exports = { createProjectGraph };
@@ -10,17 +10,39 @@
 
 const unusedExports = require("./unused-exports");
 const circularDeps = require("./circular-deps");
+const { createProjectGraph } = require("./incremental");
+
+/**
+ * Extract the per-file facts the cross-file checks work from. They depend
+ * only on the file's path and content, so callers may cache them and pass
+ * them back in as `file.facts`.
+ *
+ * @param {{path: string, code: string, language?: string}} file
+ * @returns {{language: string, exports: Array, imports: Array<string>, dependencies: Array<string>}}
+ */
+function extractFacts(file) {
+  const language = file.language || "javascript";
+  return {
+    language,
+    exports: unusedExports.extractExports(file.code, language),
+    imports: [...unusedExports.extractImports(file.code, language)],
+    dependencies: circularDeps.extractDependencies(file.code, language, file.path),
+  };
+}
 
 /**
  * Run cross-file analysis on multiple files
  * 
- * @param {Array<{path: string, code: string}>} files - Array of file objects
+ * @param {Array<{path: string, code: string, facts?: object}>} files - Array of file objects
  * @param {object} options - Configuration options
  * @returns {Promise<{structural: Array}>} Issues found
  */
 async function analyzeProject(files, options = {}) {
   const structural = [];
 
+  // Extract once per file; both detectors read the same facts
+  files = files.map((file) => (file.facts ? file : { ...file, facts: extractFacts(file) }));
+
   // Detect unused exports
   const unusedExportIssues = await unusedExports.detect(files, options);
   structural.push(...unusedExportIssues);
@@ -29,17 +51,44 @@ async function analyzeProject(files, options = {}) {
   const circularDepIssues = await circularDeps.detect(files, options);
   structural.push(...circularDepIssues);
 
-  // Sort by severity and file path
-  structural.sort((a, b) => {
-    const severityOrder = { critical: 0, error: 1, warning: 2 };
+  return { structural: sortStructural(structural) };
+}
+
+/**
+ * Sort structural issues in place by severity, then file path.
+ * @param {Array<object>} structural
+ * @returns {Array<object>} the same array
+ */
+function sortStructural(structural) {
+  const severityOrder = { critical: 0, error: 1, warning: 2 };
+  return structural.sort((a, b) => {
     const severityDiff = severityOrder[a.severity] - severityOrder[b.severity];
     if (severityDiff !== 0) return severityDiff;
     return (a.file || "").localeCompare(b.file || "");
   });
+}
 
-  return { structural };
+/**
+ * Identity of a cross-file finding, for matching findings across runs. A
+ * cycle is its set of files, since its message names them and starts from
+ * any one of them; anything else is its rule, file and message.
+ *
+ * @param {object} issue
+ * @param {(file: string) => string} [rename] - maps an old path to its
+ *   current one, e.g. across a git rename
+ * @returns {string}
+ */
+function findingKey(issue, rename = (file) => file) {
+  if (issue.rule === "circular-dependency" && Array.isArray(issue.cycle)) {
+    return `${issue.rule}\0${issue.cycle.map(rename).sort().join("\0")}`;
+  }
+  return `${issue.rule}\0${rename(issue.file)}\0${issue.message}`;
 }
 
 module.exports = {
   analyzeProject,
+  extractFacts,
+  sortStructural,
+  createProjectGraph,
+  findingKey,
 };
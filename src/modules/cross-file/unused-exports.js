@@ -325,8 +325,9 @@ function extractImportsPython(code) {
 }
 
 /**
- * Detect unused exports across all files
- * @param {Array<{path: string, code: string, language: string}>} files
+ * Detect unused exports across all files. Files carrying pre-extracted
+ * `facts` (see cross-file/index.js) skip re-parsing.
+ * @param {Array<{path: string, code: string, language: string, facts?: object}>} files
  * @param {object} options
  * @returns {Promise<Array>}
  */
@@ -337,7 +338,9 @@ async function detect(files) {
 
   // Pass 1: Collect all exports from all files
   files.forEach((file) => {
-    const exports = extractExports(file.code, file.language || "javascript");
+    const exports = file.facts
+      ? file.facts.exports
+      : extractExports(file.code, file.language || "javascript");
     exports.forEach((exp) => {
       if (!allExports.has(exp.name)) {
         allExports.set(exp.name, []);
@@ -353,7 +356,9 @@ async function detect(files) {
 
   // Pass 2: Collect all imports from all files
   files.forEach((file) => {
-    const imports = extractImports(file.code, file.language || "javascript");
+    const imports = file.facts
+      ? file.facts.imports
+      : extractImports(file.code, file.language || "javascript");
     imports.forEach((imp) => allImports.add(imp));
   });
 
@@ -364,23 +369,31 @@ async function detect(files) {
 
     // Check if this export is imported anywhere
     if (!allImports.has(exportName)) {
-      locations.forEach((loc) => {
-        issues.push({
-          type: "structural",
-          severity: "warning",
-          rule: "unused-export",
-          file: loc.file,
-          line: loc.line,
-          message: `Export '${exportName}' is never imported in any file.`,
-          suggestion: `Remove the export of '${exportName}' or ensure it's imported where needed.`,
-          exportName,
-          exportType: loc.type,
-        });
-      });
+      locations.forEach((loc) => issues.push(unusedExportIssue(exportName, loc)));
     }
   });
 
   return issues;
 }
 
-module.exports = { detect };
+/**
+ * The issue for an export no file imports.
+ * @param {string} exportName
+ * @param {{file: string, line: number, type: string}} loc - where it is exported
+ * @returns {object}
+ */
+function unusedExportIssue(exportName, loc) {
+  return {
+    type: "structural",
+    severity: "warning",
+    rule: "unused-export",
+    file: loc.file,
+    line: loc.line,
+    message: `Export '${exportName}' is never imported in any file.`,
+    suggestion: `Remove the export of '${exportName}' or ensure it's imported where needed.`,
+    exportName,
+    exportType: loc.type,
+  };
+}
+
+module.exports = { detect, extractExports, extractImports, unusedExportIssue };
@@ -52,7 +52,8 @@ async function formatJava(code, options = {}) {
       ...DEFAULT_CONFIG,
       ...options,
       parser: "java",
-      plugins: ["prettier-plugin-java"], // Use string instead of require
+      // Prettier resolves plugin names from the working directory; resolve it from here
+      plugins: [require.resolve("prettier-plugin-java")],
       tabWidth: 4, // Java convention
     };
 
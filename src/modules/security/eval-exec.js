@@ -3,6 +3,9 @@
 /**
  * Detects unsafe use of eval(), Function(), exec(), and similar
  * dynamic code execution patterns.
+ *
+ * `setTimeout("code", delay)` with a plain string carries a `fix` that wraps
+ * the code in an arrow function: `setTimeout(() => { code }, delay)`.
  */
 
 const PATTERNS = [
@@ -64,18 +67,40 @@ const PATTERNS = [
   },
 ];
 
+// setTimeout( + a quoted string; group 2 is the quote, group 3 the contents
+const SETTIMEOUT_STRING = /(setTimeout\s*\(\s*)(["'`])((?:\\.|(?!\2)[^\\])*)\2/;
+
+/**
+ * Fix for `settimeout-string`, or null when the string is not plain code
+ * (template interpolation, escapes other than quotes and backslashes).
+ */
+function setTimeoutFix(line, lineStart) {
+  const match = line.match(SETTIMEOUT_STRING);
+  if (!match) return null;
+  const [whole, call, quote, body] = match;
+  if ((quote === "`" && body.includes("${")) || /\\[^'"`\\]/.test(body)) return null;
+  const start = lineStart + match.index + call.length;
+  return {
+    range: [start, lineStart + match.index + whole.length],
+    text: `() => { ${body.replace(/\\(.)/g, "$1").trim()} }`,
+  };
+}
+
 function detect(code) {
   const issues = [];
   const lines = code.split("\n");
+  let lineStart = 0;
 
   lines.forEach((line, i) => {
+    const offset = lineStart;
+    lineStart += line.length + 1;
     const trimmed = line.trim();
     if (trimmed.startsWith("//") || trimmed.startsWith("*")) return;
 
     for (const { pattern, rule, severity, message, suggestion } of PATTERNS) {
       const match = line.match(pattern);
       if (match) {
-        issues.push({
+        const issue = {
           type: "security",
           severity,
           rule,
@@ -85,7 +110,10 @@ function detect(code) {
           suggestion: suggestion(match),
           remediation:
             "Avoid all dynamic code execution. Use static, well-defined functions and data structures.",
-        });
+        };
+        const fix = rule === "settimeout-string" ? setTimeoutFix(line, offset) : null;
+        if (fix) issue.fix = fix;
+        issues.push(issue);
       }
     }
   });
@@ -12,10 +12,17 @@
  *   const noConsole = require('code-maester/src/plugins/no-console');
  *   reviewer.use(noConsole);
  *
- * Options: (pass via plugin.options before registering)
+ * Options: (pass via plugin.options before registering, or through config
+ * `rules: { "no-console": ["warning", { allowedMethods: ["error"] }] }`)
  *   allowedMethods: ["error"]   — array of console methods to allow (default: none)
+ *
+ * For JavaScript the plugin inspects CallExpression nodes of the shared AST,
+ * so `console.log(` inside strings or comments is not reported. Other
+ * languages (ast === null) fall back to a regex scan.
  */
 
+const { walk } = require("../ast");
+
 const CONSOLE_RE = /\bconsole\.(log|warn|error|debug|info|trace|table|dir)\s*\(/g;
 
 const SEVERITY_MAP = {
@@ -36,7 +43,13 @@ const noConsolePlugin = {
         allowedMethods: [], // e.g. ["error"] to skip console.error
     },
 
-    run(code) {
+    run(code, ast = null, context = {}) {
+        const allowed = [
+            ...noConsolePlugin.options.allowedMethods,
+            ...((context.options && context.options.allowedMethods) || []),
+        ];
+        if (ast) return runOnAst(ast, allowed);
+
         const issues = [];
         let match;
 
@@ -46,7 +59,7 @@ const noConsolePlugin = {
             const method = match[1];
 
             // Skip allowed methods
-            if (noConsolePlugin.options.allowedMethods.includes(method)) {
+            if (allowed.includes(method)) {
                 CONSOLE_RE.lastIndex = match.index + 1;
                 continue;
             }
@@ -54,16 +67,7 @@ const noConsolePlugin = {
             const lineNum = code.slice(0, match.index).split("\n").length;
             const col = match.index - code.lastIndexOf("\n", match.index);
 
-            issues.push({
-                type: "lint",
-                rule: "no-console",
-                severity: SEVERITY_MAP[method] || "warning",
-                line: lineNum,
-                column: col,
-                file: "snippet",
-                message: `Unexpected \`console.${method}()\` — remove before production.`,
-                suggestion: "Remove console statements or replace with a proper logger (e.g. winston, pino).",
-            });
+            issues.push(buildIssue(method, lineNum, col));
 
             CONSOLE_RE.lastIndex = match.index + 1;
         }
@@ -72,4 +76,42 @@ const noConsolePlugin = {
     },
 };
 
+function buildIssue(method, line, column) {
+    return {
+        type: "lint",
+        rule: "no-console",
+        severity: SEVERITY_MAP[method] || "warning",
+        line,
+        column,
+        file: "snippet",
+        message: `Unexpected \`console.${method}()\` — remove before production.`,
+        suggestion: "Remove console statements or replace with a proper logger (e.g. winston, pino).",
+    };
+}
+
+function runOnAst(ast, allowed) {
+    const issues = [];
+
+    walk(ast, (node) => {
+        if (node.type !== "CallExpression") return;
+        const callee = node.callee;
+        if (
+            callee.type !== "MemberExpression" ||
+            callee.computed ||
+            callee.object.type !== "Identifier" ||
+            callee.object.name !== "console"
+        ) {
+            return;
+        }
+
+        const method = callee.property.name;
+        if (!(method in SEVERITY_MAP)) return;
+        if (allowed.includes(method)) return;
+
+        issues.push(buildIssue(method, node.loc.start.line, node.loc.start.column + 1));
+    });
+
+    return issues;
+}
+
 module.exports = noConsolePlugin;
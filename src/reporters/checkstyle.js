@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * reporters/checkstyle.js
+ * ───────────────────────
+ * Checkstyle XML output, the format most CI annotation tools understand:
+ *
+ *   <checkstyle version="4.3">
+ *     <file name="/repo/src/app.js">
+ *       <error line="4" column="7" severity="warning"
+ *              message="Loose equality …" source="code-maester.lint.loose-equality"/>
+ *     </file>
+ *   </checkstyle>
+ *
+ * Severities are folded onto checkstyle's error / warning / info scale.
+ */
+
+const { groupByFile, generalSeverity, ruleId } = require("./issues");
+const { attributes } = require("./xml");
+
+/**
+ * Render reports as Checkstyle XML.
+ *
+ * @param {object|Array<object>} input - report(s) or an analyzeProject() result
+ * @returns {string}
+ */
+function render(input) {
+  const lines = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>", "<checkstyle version=\"4.3\">"];
+
+  for (const { filePath, issues } of groupByFile(input)) {
+    lines.push(`  <file${attributes({ name: filePath || "snippet" })}>`);
+    for (const { category, issue } of issues) {
+      lines.push(
+        `    <error${attributes({
+          line: issue.line > 0 ? issue.line : 1,
+          column: issue.column > 0 ? issue.column : undefined,
+          severity: generalSeverity(issue.severity),
+          message: issue.message,
+          source: `code-maester.${category}.${ruleId(issue)}`,
+        })}/>`,
+      );
+    }
+    lines.push("  </file>");
+  }
+
+  lines.push("</checkstyle>");
+  return lines.join("\n");
+}
+
+module.exports = { render };
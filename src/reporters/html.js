@@ -0,0 +1,558 @@
+"use strict";
+
+/**
+ * reporters/html.js
+ * ─────────────────
+ * Self-contained HTML report — one file with inline CSS and JS that works
+ * offline. For every analysed file it shows:
+ *
+ *   - score + grade in the report's `gradeColour`, and the penalty breakdown
+ *   - issues grouped by category, with category / severity filters and search
+ *   - syntax-highlighted source with inline issue markers
+ *   - per-function complexity table
+ *   - the formatter's `lineDiff` as a side-by-side diff
+ *
+ * The source view is rebuilt from `lineDiff` (unchanged + removed lines are
+ * the original file), so no file access is needed while rendering.
+ */
+
+const { normalizeResults, issuesOf, ruleId, displayPath, generalSeverity } = require("./issues");
+const { escapeXml: esc } = require("./xml");
+
+const CATEGORY_LABELS = {
+  bugs: "Bugs",
+  security: "Security",
+  lint: "Lint",
+  complexity: "Complexity",
+  redundancy: "Redundancy",
+  structural: "Structural",
+  diagnostics: "Diagnostics",
+};
+
+const PENALTY_LABELS = {
+  bug: "Bugs",
+  security: "Security",
+  complexity: "Complexity",
+  redundancy: "Redundancy",
+  lint: "Lint",
+};
+
+// Unchanged lines kept around each change in the formatting diff
+const DIFF_CONTEXT = 3;
+
+// ─── Syntax highlighting ──────────────────────────────────────────────────────
+
+const KEYWORDS = {
+  javascript:
+    "async await break case catch class const continue debugger default delete do else export extends " +
+    "false finally for from function if import in instanceof let new null of return static super switch " +
+    "this throw true try typeof undefined var void while with yield",
+  python:
+    "and as assert async await break class continue def del elif else except False finally for from " +
+    "global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+  java:
+    "abstract boolean break byte case catch char class continue default do double else enum extends false " +
+    "final finally float for if implements import instanceof int interface long new null package private " +
+    "protected public return short static super switch this throw throws true try var void volatile while",
+  c:
+    "auto bool break case char class const continue default define delete do double else enum extern false " +
+    "float for goto if include int long namespace new nullptr private protected public return short signed " +
+    "sizeof static struct switch template this true typedef typename union unsigned using virtual void while",
+};
+KEYWORDS.typescript =
+  KEYWORDS.javascript + " abstract as declare enum implements interface keyof namespace private protected public readonly type";
+KEYWORDS.cpp = KEYWORDS.c;
+
+const COMMENT = {
+  python: /#[^\n]*/,
+  default: /\/\/[^\n]*|\/\*[\s\S]*?\*\//,
+};
+const STRING = {
+  python: /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+  javascript: /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/,
+  default: /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+};
+const NUMBER = /\b(?:0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+const WORD = /[A-Za-z_$][\w$]*/;
+
+function tokenizer(language) {
+  const comment = COMMENT[language] || COMMENT.default;
+  const string =
+    STRING[language] || (language === "typescript" ? STRING.javascript : STRING.default);
+  return new RegExp(`(${comment.source})|(${string.source})|(${NUMBER.source})|(${WORD.source})`, "g");
+}
+
+/**
+ * Highlight source code. Tokens spanning several lines (block comments,
+ * template literals) are split so every line is self-contained HTML.
+ *
+ * @param {string} code
+ * @param {string} language
+ * @returns {string[]} one HTML string per line
+ */
+function highlight(code, language) {
+  const keywords = new Set((KEYWORDS[language] || "").split(" "));
+  const re = tokenizer(language);
+  const lines = [""];
+
+  const push = (text, cls) => {
+    text.split("\n").forEach((part, i) => {
+      if (i > 0) lines.push("");
+      if (!part) return;
+      lines[lines.length - 1] += cls ? `<span class="tok-${cls}">${esc(part)}</span>` : esc(part);
+    });
+  };
+
+  let last = 0;
+  let match;
+  while ((match = re.exec(code)) !== null) {
+    if (match.index > last) push(code.slice(last, match.index), null);
+    const cls = match[1]
+      ? "comment"
+      : match[2]
+        ? "string"
+        : match[3]
+          ? "number"
+          : keywords.has(match[4])
+            ? "keyword"
+            : null;
+    push(match[0], cls);
+    last = re.lastIndex;
+  }
+  push(code.slice(last), null);
+
+  return lines;
+}
+
+// ─── Sections ─────────────────────────────────────────────────────────────────
+
+function severityClass(issue) {
+  return `sev-${generalSeverity(issue.severity)}`;
+}
+
+// Timed-out files have no score
+function scoreText(report) {
+  return typeof report.score === "number" ? report.score : "–";
+}
+
+function scoreCard(report) {
+  const colour = report.gradeColour || "#64748b";
+  return `
+      <div class="score-card" style="--grade:${esc(colour)}">
+        <div class="score">${esc(scoreText(report))}</div>
+        <div class="grade">${esc(report.grade)}</div>
+        <div class="grade-label">${esc(report.gradeLabel || "")}</div>
+      </div>`;
+}
+
+function penaltyTable(report) {
+  const penalties = report.penalties || {};
+  const weights = report.weights || {};
+  const rows = Object.keys(PENALTY_LABELS)
+    .map((key) => {
+      const penalty = penalties[key] || 0;
+      const weight = weights[key] || 0;
+      return `
+          <tr>
+            <td>${PENALTY_LABELS[key]}</td>
+            <td class="bar-cell"><span class="bar" style="width:${Math.min(100, penalty)}%"></span>${penalty}</td>
+            <td>× ${weight}</td>
+            <td>−${(penalty * weight).toFixed(1)}</td>
+          </tr>`;
+    })
+    .join("");
+
+  return `
+      <table class="penalties">
+        <thead><tr><th>Category</th><th>Penalty</th><th>Weight</th><th>Score impact</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+}
+
+function issueItem(issue, category, anchor) {
+  const fix = issue.suggestion || issue.remediation;
+  const search = [issue.message, ruleId(issue), fix, category].filter(Boolean).join(" ").toLowerCase();
+  const loc = issue.line > 0
+    ? (anchor ? `<a class="loc" href="#${anchor}-L${issue.line}">L${issue.line}</a>` : `<span class="loc">L${issue.line}</span>`)
+    : "";
+
+  return `
+          <li class="issue ${severityClass(issue)}" data-category="${category}" data-severity="${generalSeverity(issue.severity)}" data-search="${esc(search)}">
+            <span class="badge ${severityClass(issue)}">${esc(issue.severity)}</span>
+            ${loc}
+            <span class="msg">${esc(issue.message)}</span>
+            <code class="rule">${esc(ruleId(issue))}</code>
+            ${fix ? `<div class="hint">→ ${esc(fix)}</div>` : ""}
+          </li>`;
+}
+
+function issueGroups(entries, anchor) {
+  const byCategory = new Map();
+  for (const { category, issue } of entries) {
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(issue);
+  }
+  if (byCategory.size === 0) return `<p class="empty">No issues found.</p>`;
+
+  return Object.keys(CATEGORY_LABELS)
+    .filter((category) => byCategory.has(category))
+    .map((category) => {
+      const issues = byCategory.get(category);
+      return `
+        <details class="issue-group" open>
+          <summary>${CATEGORY_LABELS[category]} <span class="count">${issues.length}</span></summary>
+          <ul>${issues.map((issue) => issueItem(issue, category, anchor)).join("")}</ul>
+        </details>`;
+    })
+    .join("");
+}
+
+function sourceView(report, anchor, issues) {
+  if (!Array.isArray(report.lineDiff)) return "";
+  const code = report.lineDiff
+    .filter((entry) => entry.type !== "added")
+    .map((entry) => entry.value)
+    .join("\n");
+
+  const byLine = new Map();
+  issues.forEach(({ issue }) => {
+    if (!(issue.line > 0)) return;
+    if (!byLine.has(issue.line)) byLine.set(issue.line, []);
+    byLine.get(issue.line).push(issue);
+  });
+
+  const rows = highlight(code, report.language).map((html, i) => {
+    const n = i + 1;
+    const here = byLine.get(n);
+    if (!here) {
+      return `<tr id="${anchor}-L${n}"><td class="ln">${n}</td><td class="mark"></td><td class="src">${html}</td></tr>`;
+    }
+    const worst = here.some((x) => generalSeverity(x.severity) === "error")
+      ? "sev-error"
+      : here.some((x) => generalSeverity(x.severity) === "warning") ? "sev-warning" : "sev-info";
+    const title = here.map((x) => x.message).join("\n");
+    const notes = here
+      .map((x) => `<div class="${severityClass(x)}">${esc(x.message)} <code>${esc(ruleId(x))}</code></div>`)
+      .join("");
+    return (
+      `<tr id="${anchor}-L${n}" class="has-issue ${worst}"><td class="ln">${n}</td>` +
+      `<td class="mark" title="${esc(title)}">●${here.length > 1 ? here.length : ""}</td><td class="src">${html}</td></tr>` +
+      `<tr class="inline-issue"><td></td><td></td><td>${notes}</td></tr>`
+    );
+  });
+
+  return `
+      <details class="panel" open>
+        <summary>Source</summary>
+        <div class="scroll"><table class="code">${rows.join("")}</table></div>
+      </details>`;
+}
+
+function complexityTable(report) {
+  const complexity = report.complexity || {};
+  const functions = complexity.functions || [];
+  if (functions.length === 0) return "";
+
+  const rows = functions
+    .map((fn) => `
+          <tr class="${fn.issues && fn.issues.length ? "flagged" : ""}">
+            <td><code>${esc(fn.name)}</code></td>
+            <td>${fn.startLine}–${fn.endLine}</td>
+            <td>${fn.cyclomaticComplexity}</td>
+            <td>${fn.maxNestingDepth}</td>
+            <td>${fn.lineCount}</td>
+            <td>${(fn.issues || []).map((i) => esc(ruleId(i))).join(", ")}</td>
+          </tr>`)
+    .join("");
+
+  return `
+      <details class="panel">
+        <summary>Complexity <span class="count">${functions.length} functions · avg CC ${esc(complexity.averageCyclomatic)} · max depth ${esc(complexity.maxDepth)}</span></summary>
+        <table class="grid">
+          <thead><tr><th>Function</th><th>Lines</th><th>Cyclomatic</th><th>Nesting</th><th>Length</th><th>Flags</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>`;
+}
+
+/**
+ * Pair removed/added runs of a line diff into side-by-side rows, collapsing
+ * long unchanged stretches.
+ */
+function sideBySideRows(lineDiff) {
+  const rows = [];
+  let left = 0;
+  let right = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null, changed: true });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const entry of lineDiff) {
+    if (entry.type === "removed") removed.push({ n: ++left, text: entry.value });
+    else if (entry.type === "added") added.push({ n: ++right, text: entry.value });
+    else {
+      flush();
+      rows.push({ left: { n: ++left, text: entry.value }, right: { n: ++right, text: entry.value }, changed: false });
+    }
+  }
+  flush();
+
+  // Keep DIFF_CONTEXT unchanged rows around each change
+  const keep = rows.map(() => false);
+  rows.forEach((row, i) => {
+    if (!row.changed) return;
+    for (let j = Math.max(0, i - DIFF_CONTEXT); j <= Math.min(rows.length - 1, i + DIFF_CONTEXT); j++) keep[j] = true;
+  });
+
+  const out = [];
+  let skipped = 0;
+  rows.forEach((row, i) => {
+    if (keep[i]) {
+      if (skipped) out.push({ skipped });
+      skipped = 0;
+      out.push(row);
+    } else {
+      skipped++;
+    }
+  });
+  if (skipped) out.push({ skipped });
+  return out;
+}
+
+function diffView(report) {
+  const stats = report.formatStats || {};
+  if (!Array.isArray(report.lineDiff) || !(stats.added || stats.removed)) {
+    return `
+      <details class="panel">
+        <summary>Formatting <span class="count">no changes${report.formatTool ? ` (${esc(report.formatTool)})` : ""}</span></summary>
+      </details>`;
+  }
+
+  const cell = (side, cls) =>
+    side
+      ? `<td class="ln">${side.n}</td><td class="src ${cls}">${esc(side.text)}</td>`
+      : `<td class="ln"></td><td class="src empty-side"></td>`;
+
+  const rows = sideBySideRows(report.lineDiff)
+    .map((row) => {
+      if (row.skipped) return `<tr class="skipped"><td colspan="4">⋯ ${row.skipped} unchanged line${row.skipped === 1 ? "" : "s"}</td></tr>`;
+      return `<tr>${cell(row.left, row.changed ? "removed" : "")}${cell(row.right, row.changed ? "added" : "")}</tr>`;
+    })
+    .join("");
+
+  return `
+      <details class="panel">
+        <summary>Formatting <span class="count">+${stats.added} −${stats.removed} (${esc(report.formatTool)})</span></summary>
+        <div class="scroll">
+          <table class="code diff">
+            <thead><tr><th colspan="2">Original</th><th colspan="2">Formatted</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </details>`;
+}
+
+function fileSection({ filePath, report }, index, structural) {
+  const anchor = `f${index}`;
+  const issues = [...issuesOf(report), ...structural.map((issue) => ({ category: "structural", issue }))];
+
+  return `
+    <section class="file" id="${anchor}">
+      <h2>${esc(displayPath(filePath))} <span class="lang">${esc(report.language || "")}</span></h2>
+      <div class="overview">
+        ${scoreCard(report)}
+        ${penaltyTable(report)}
+      </div>
+      ${issueGroups(issues, anchor)}
+      ${sourceView(report, anchor, issues)}
+      ${complexityTable(report)}
+      ${diffView(report)}
+    </section>`;
+}
+
+function summaryTable(files) {
+  if (files.length < 2) return "";
+  const rows = files
+    .map(({ filePath, report }, i) => {
+      const count = issuesOf(report).length;
+      return `
+        <tr>
+          <td><a href="#f${i}">${esc(displayPath(filePath))}</a></td>
+          <td>${esc(report.language || "")}</td>
+          <td>${esc(scoreText(report))}</td>
+          <td><span class="grade-chip" style="--grade:${esc(report.gradeColour || "#64748b")}">${esc(report.grade)}</span></td>
+          <td>${count}</td>
+        </tr>`;
+    })
+    .join("");
+  return `
+    <table class="grid summary">
+      <thead><tr><th>File</th><th>Language</th><th>Score</th><th>Grade</th><th>Issues</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// ─── Page ─────────────────────────────────────────────────────────────────────
+
+const STYLES = `
+  :root { --bg:#0f172a; --panel:#1e293b; --text:#e2e8f0; --muted:#94a3b8; --border:#334155;
+          --error:#ef4444; --warning:#f59e0b; --info:#38bdf8; }
+  * { box-sizing:border-box; }
+  body { margin:0; font:14px/1.5 system-ui,-apple-system,Segoe UI,sans-serif; background:var(--bg); color:var(--text); }
+  header { position:sticky; top:0; z-index:2; background:var(--panel); border-bottom:1px solid var(--border);
+           padding:12px 24px; display:flex; flex-wrap:wrap; gap:12px; align-items:center; }
+  header h1 { font-size:18px; margin:0 16px 0 0; }
+  header .meta { color:var(--muted); margin-left:auto; font-size:12px; }
+  input, select { background:var(--bg); color:var(--text); border:1px solid var(--border); border-radius:4px; padding:4px 8px; }
+  label { color:var(--muted); user-select:none; }
+  main { padding:24px; max-width:1400px; margin:0 auto; }
+  h2 { font-size:16px; margin:32px 0 12px; word-break:break-all; }
+  .lang { color:var(--muted); font-weight:normal; font-size:12px; }
+  .overview { display:flex; gap:24px; flex-wrap:wrap; align-items:center; }
+  .score-card { width:140px; height:140px; border-radius:50%; border:6px solid var(--grade);
+                display:flex; flex-direction:column; align-items:center; justify-content:center; }
+  .score { font-size:36px; font-weight:700; color:var(--grade); line-height:1; }
+  .grade { font-size:20px; font-weight:700; color:var(--grade); }
+  .grade-label { font-size:11px; color:var(--muted); }
+  .grade-chip { color:var(--grade); font-weight:700; }
+  table { border-collapse:collapse; }
+  .penalties td, .penalties th, .grid td, .grid th { padding:4px 12px; text-align:left; border-bottom:1px solid var(--border); }
+  .bar-cell { position:relative; min-width:140px; }
+  .bar { position:absolute; left:0; top:20%; height:60%; background:var(--error); opacity:.25; border-radius:2px; }
+  .grid tr.flagged td { color:var(--warning); }
+  details { margin:12px 0; background:var(--panel); border:1px solid var(--border); border-radius:6px; }
+  summary { cursor:pointer; padding:8px 12px; font-weight:600; }
+  .count { color:var(--muted); font-weight:normal; font-size:12px; margin-left:6px; }
+  ul { list-style:none; margin:0; padding:0 12px 8px; }
+  .issue { padding:6px 0; border-top:1px solid var(--border); }
+  .badge { display:inline-block; min-width:64px; text-align:center; font-size:11px; border-radius:3px; padding:0 6px; margin-right:6px; }
+  .badge.sev-error { background:var(--error); color:#fff; }
+  .badge.sev-warning { background:var(--warning); color:#111; }
+  .badge.sev-info { background:var(--info); color:#111; }
+  .loc { color:var(--info); margin-right:6px; font-family:monospace; }
+  .rule { color:var(--muted); font-size:12px; margin-left:6px; }
+  .hint { color:var(--muted); margin:2px 0 0 76px; font-size:13px; }
+  .empty { color:var(--muted); }
+  .scroll { overflow:auto; max-height:70vh; }
+  .code { width:100%; font:12px/1.45 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace; }
+  .code td { padding:0 8px; vertical-align:top; }
+  .code .ln { color:var(--muted); text-align:right; user-select:none; width:1%; white-space:nowrap; }
+  .code .src { white-space:pre; }
+  .code .mark { width:1%; cursor:help; white-space:nowrap; }
+  tr.has-issue.sev-error { background:rgba(239,68,68,.12); } tr.has-issue.sev-error .mark { color:var(--error); }
+  tr.has-issue.sev-warning { background:rgba(245,158,11,.10); } tr.has-issue.sev-warning .mark { color:var(--warning); }
+  tr.has-issue.sev-info { background:rgba(56,189,248,.08); } tr.has-issue.sev-info .mark { color:var(--info); }
+  tr.inline-issue td { font:12px system-ui,sans-serif; padding:2px 8px 6px; }
+  tr.inline-issue .sev-error { color:var(--error); } tr.inline-issue .sev-warning { color:var(--warning); } tr.inline-issue .sev-info { color:var(--info); }
+  :target td { outline:1px solid var(--info); }
+  .diff .removed { background:rgba(239,68,68,.15); } .diff .added { background:rgba(34,197,94,.15); }
+  .diff .empty-side { background:rgba(148,163,184,.06); }
+  .diff th { color:var(--muted); text-align:left; padding:4px 8px; }
+  .diff tr.skipped td { color:var(--muted); text-align:center; font-style:italic; }
+  .tok-keyword { color:#c084fc; } .tok-string { color:#86efac; } .tok-number { color:#fbbf24; } .tok-comment { color:#64748b; font-style:italic; }
+  [hidden] { display:none !important; }
+`;
+
+const SCRIPT = `
+  (function () {
+    const search = document.getElementById("cm-search");
+    const severity = document.getElementById("cm-severity");
+    const boxes = Array.from(document.querySelectorAll(".cm-category"));
+
+    function apply() {
+      const q = search.value.trim().toLowerCase();
+      const shown = new Set(boxes.filter((b) => b.checked).map((b) => b.value));
+      document.querySelectorAll(".issue").forEach((el) => {
+        el.hidden =
+          !shown.has(el.dataset.category) ||
+          (severity.value && el.dataset.severity !== severity.value) ||
+          (q && !el.dataset.search.includes(q));
+      });
+      document.querySelectorAll(".issue-group").forEach((group) => {
+        const visible = group.querySelectorAll(".issue:not([hidden])").length;
+        group.querySelector(".count").textContent = visible;
+        group.hidden = visible === 0;
+      });
+    }
+
+    search.addEventListener("input", apply);
+    severity.addEventListener("change", apply);
+    boxes.forEach((b) => b.addEventListener("change", apply));
+  })();
+`;
+
+/**
+ * Render reports as a standalone HTML page.
+ *
+ * @param {object|Array<object>} input - report(s) or an analyzeProject() result
+ * @param {{ version: string }} options
+ * @returns {string}
+ */
+function render(input, { version } = {}) {
+  const { files, structural } = normalizeResults(input);
+
+  // Structural issues are shown with the file they point at when it is in the report
+  const byFile = new Map();
+  const orphans = [];
+  const paths = new Set(files.map((f) => f.filePath));
+  for (const issue of structural) {
+    if (paths.has(issue.file)) {
+      if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+      byFile.get(issue.file).push(issue);
+    } else {
+      orphans.push(issue);
+    }
+  }
+
+  const sections = files.map((file, i) => fileSection(file, i, byFile.get(file.filePath) || []));
+  if (orphans.length > 0) {
+    sections.push(`
+    <section class="file" id="structural">
+      <h2>Cross-file issues</h2>
+      ${issueGroups(orphans.map((issue) => ({ category: "structural", issue: { ...issue, message: `${displayPath(issue.file)}: ${issue.message}` } })), null)}
+    </section>`);
+  }
+
+  const categoryFilters = Object.entries(CATEGORY_LABELS)
+    .map(([value, label]) => `<label><input type="checkbox" class="cm-category" value="${value}" checked> ${label}</label>`)
+    .join("\n    ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>code-maester report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>code-maester</h1>
+  <input id="cm-search" type="search" placeholder="Search issues…">
+  <select id="cm-severity">
+    <option value="">All severities</option>
+    <option value="error">Errors</option>
+    <option value="warning">Warnings</option>
+    <option value="info">Info</option>
+  </select>
+    ${categoryFilters}
+  <span class="meta">${files.length} file${files.length === 1 ? "" : "s"} · v${esc(version || "")} · ${esc(new Date().toISOString())}</span>
+</header>
+<main>
+  ${summaryTable(files)}
+  ${sections.join("\n")}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { render };
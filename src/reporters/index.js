@@ -0,0 +1,46 @@
+"use strict";
+
+/**
+ * reporters/index.js
+ * ──────────────────
+ * Output reporters. Each one exports `render(input, options) → string`, where
+ * `input` is a report from analyze()/analyzeFile(), an array of reports, an
+ * analyzeProject() result or a diff() result.
+ */
+
+const sarif = require("./sarif");
+const junit = require("./junit");
+const checkstyle = require("./checkstyle");
+const html = require("./html");
+const markdown = require("./markdown");
+const ndjson = require("./ndjson");
+
+const REPORTERS = {
+  json: { render: (input) => JSON.stringify(input, null, 2) },
+  sarif,
+  junit,
+  checkstyle,
+  html,
+  markdown,
+  ndjson,
+};
+
+/**
+ * @param {string} name - reporter name, e.g. "sarif"
+ * @returns {{ render: Function }}
+ */
+function getReporter(name) {
+  const reporter = REPORTERS[name];
+  if (!reporter) {
+    throw new Error(
+      `Unknown report format '${name}'. Available formats: ${Object.keys(REPORTERS).join(", ")}`,
+    );
+  }
+  return reporter;
+}
+
+function reporterNames() {
+  return Object.keys(REPORTERS);
+}
+
+module.exports = { getReporter, reporterNames };
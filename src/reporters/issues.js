@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * reporters/issues.js
+ * ───────────────────
+ * Helpers shared by the output reporters: normalising the different report
+ * shapes into a list of files plus project-level issues, and flattening a
+ * report's sections into one issue list.
+ */
+
+const path = require("path");
+
+// `diagnostics` are problems with the analysis itself, e.g. analysis-timeout
+const ISSUE_SECTIONS = ["bugs", "lint", "security", "redundancy", "diagnostics"];
+
+// Security severities folded onto the error / warning / info scale
+const GENERAL_SEVERITY = { critical: "error", high: "error", medium: "warning", low: "info" };
+
+/**
+ * Accepts whatever the API returned and normalises it:
+ *   - a report from analyze() / analyzeFile()
+ *   - an array of such reports
+ *   - a result from analyzeProject() (with or without fileReports)
+ *   - a result from diff() — its new report is used
+ *
+ * @param {object|Array<object>} input
+ * @returns {{ files: Array<{ filePath: string|null, report: object }>, structural: Array<object> }}
+ */
+function normalizeResults(input) {
+  const files = [];
+  const structural = [];
+
+  for (const item of Array.isArray(input) ? input : [input]) {
+    if (!item) continue;
+    if (item.newReport && Array.isArray(item.issuesIntroduced)) {
+      files.push({ filePath: item.newReport.filePath || null, report: item.newReport });
+      continue;
+    }
+    if (item.projectAnalysis) {
+      structural.push(...(item.projectAnalysis.structural || []));
+      (item.fileReports || []).forEach((report) => files.push({ filePath: report.filePath || null, report }));
+    } else {
+      files.push({ filePath: item.filePath || null, report: item });
+    }
+  }
+
+  return { files, structural };
+}
+
+/**
+ * A count with its noun: "1 error", "2 errors".
+ * @param {number} count
+ * @param {string} word - singular
+ * @returns {string}
+ */
+function plural(count, word) {
+  return `${count} ${count === 1 ? word : `${word}s`}`;
+}
+
+/**
+ * Every issue of a report, in report order, with its category.
+ * @param {object} report
+ * @returns {Array<{ category: string, issue: object }>}
+ */
+function issuesOf(report) {
+  const out = [];
+  for (const category of ISSUE_SECTIONS) {
+    (report[category] || []).forEach((issue) => out.push({ category, issue }));
+  }
+  const functions = (report.complexity && report.complexity.functions) || [];
+  functions.forEach((fn) => (fn.issues || []).forEach((issue) => out.push({ category: "complexity", issue })));
+  return out;
+}
+
+/**
+ * Issues grouped by file, in input order. Structural issues join the group
+ * of the file they point at. Files without issues still get a group.
+ *
+ * @param {object|Array<object>} input - see normalizeResults()
+ * @returns {Array<{ filePath: string|null, issues: Array<{ category: string, issue: object }> }>}
+ */
+function groupByFile(input) {
+  const { files, structural } = normalizeResults(input);
+  const groups = new Map();
+  const groupFor = (filePath) => {
+    const key = filePath ? path.resolve(filePath) : null;
+    if (!groups.has(key)) groups.set(key, { filePath: key, issues: [] });
+    return groups.get(key);
+  };
+
+  files.forEach(({ filePath, report }) => groupFor(filePath).issues.push(...issuesOf(report)));
+  structural.forEach((issue) => groupFor(issue.file).issues.push({ category: "structural", issue }));
+
+  return [...groups.values()];
+}
+
+/**
+ * Severity on the error / warning / info scale.
+ * @param {string} severity
+ * @returns {"error"|"warning"|"info"}
+ */
+function generalSeverity(severity) {
+  return GENERAL_SEVERITY[severity] || severity || "warning";
+}
+
+/**
+ * Rule id of an issue — `rule`, or `type` for complexity / redundancy findings.
+ */
+function ruleId(issue) {
+  return issue.rule || issue.type || "general";
+}
+
+/**
+ * Path shown in reports: relative to `cwd` with forward slashes.
+ * @param {string|null} filePath
+ * @param {string} cwd
+ * @returns {string}
+ */
+function displayPath(filePath, cwd = process.cwd()) {
+  if (!filePath) return "snippet";
+  const rel = path.relative(cwd, path.resolve(filePath));
+  return (rel.startsWith("..") ? path.resolve(filePath) : rel).split(path.sep).join("/");
+}
+
+module.exports = { normalizeResults, issuesOf, groupByFile, generalSeverity, ruleId, displayPath, plural };
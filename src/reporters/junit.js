@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * reporters/junit.js
+ * ──────────────────
+ * JUnit XML output for CI test-report viewers.
+ *
+ * Each analysed file is a <testsuite>; each issue is a failing <testcase>.
+ * A file without issues gets one passing test case so it still shows up.
+ *
+ *   <testsuites name="code-maester" tests="3" failures="2">
+ *     <testsuite name="src/app.js" tests="2" failures="2">
+ *       <testcase classname="src/app.js" name="lint/loose-equality at line 4" …>
+ *         <failure type="loose-equality" message="Loose equality …">…</failure>
+ *       </testcase>
+ *     </testsuite>
+ *   </testsuites>
+ */
+
+const { groupByFile, generalSeverity, ruleId, displayPath } = require("./issues");
+const { escapeXml, attributes } = require("./xml");
+
+function testCase(file, { category, issue }) {
+  const rule = ruleId(issue);
+  const where = issue.line > 0 ? ` at line ${issue.line}` : "";
+  const position = issue.line > 0 ? `${file}:${issue.line}${issue.column > 0 ? `:${issue.column}` : ""}` : file;
+  const details = [
+    `${generalSeverity(issue.severity)}: ${issue.message}`,
+    `Category: ${category}`,
+    `Rule: ${rule}`,
+    `Location: ${position}`,
+  ];
+  const fix = issue.suggestion || issue.remediation;
+  if (fix) details.push(`Suggestion: ${fix}`);
+
+  return (
+    `    <testcase${attributes({ classname: file, name: `${category}/${rule}${where}`, file, line: issue.line > 0 ? issue.line : undefined })}>\n` +
+    `      <failure${attributes({ type: rule, message: issue.message })}>${escapeXml(details.join("\n"))}</failure>\n` +
+    "    </testcase>"
+  );
+}
+
+/**
+ * Render reports as JUnit XML.
+ *
+ * @param {object|Array<object>} input - report(s) or an analyzeProject() result
+ * @returns {string}
+ */
+function render(input) {
+  const suites = [];
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  for (const { filePath, issues } of groupByFile(input)) {
+    const file = displayPath(filePath);
+    const cases = issues.map((entry) => testCase(file, entry));
+    if (cases.length === 0) {
+      cases.push(`    <testcase${attributes({ classname: file, name: "code-maester", file })}/>`);
+    }
+
+    totalTests += cases.length;
+    totalFailures += issues.length;
+    suites.push(
+      `  <testsuite${attributes({ name: file, tests: cases.length, failures: issues.length, errors: 0, skipped: 0 })}>\n` +
+      `${cases.join("\n")}\n` +
+      "  </testsuite>",
+    );
+  }
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    `<testsuites${attributes({ name: "code-maester", tests: totalTests, failures: totalFailures, errors: 0 })}>`,
+    ...suites,
+    "</testsuites>",
+  ].join("\n");
+}
+
+module.exports = { render };
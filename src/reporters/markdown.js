@@ -0,0 +1,273 @@
+"use strict";
+
+/**
+ * reporters/markdown.js
+ * ─────────────────────
+ * Compact Markdown summary for pull request comments.
+ *
+ * For a diff() result:
+ *   score badge line · penalty delta table · new issues · resolved issues
+ *
+ * For a diffRefs() result:
+ *   summary line · changed files table · new / resolved issues · cross-file changes
+ *
+ * For reports / project reports:
+ *   score badge line · per-file table · issues · cross-file issues
+ *
+ * Long lists sit in collapsible <details> blocks and are capped, and the
+ * whole comment is kept under GitHub's comment size limit.
+ */
+
+const { normalizeResults, issuesOf, ruleId, displayPath, generalSeverity, plural } = require("./issues");
+
+const MAX_ISSUES = 50; // per list
+const MAX_FILES = 100; // rows in the per-file table
+const MAX_MESSAGE = 200; // characters per issue message
+const MAX_LENGTH = 60000; // GitHub rejects comments over 65536 characters
+
+const SEVERITY_ICONS = { error: "🔴", warning: "🟠", info: "🔵" };
+
+// diff() issue lists mix bugs, lint and security issues; `type` tells them apart
+const CATEGORY_OF_TYPE = { bug: "bugs", lint: "lint", security: "security" };
+
+const PENALTY_LABELS = {
+  bug: "Bugs",
+  security: "Security",
+  complexity: "Complexity",
+  redundancy: "Redundancy",
+  lint: "Lint",
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function escapeMd(text) {
+  const flat = String(text === undefined || text === null ? "" : text).replace(/\s*\n\s*/g, " ");
+  const short = flat.length > MAX_MESSAGE ? `${flat.slice(0, MAX_MESSAGE - 1)}…` : flat;
+  return short.replace(/[\\`*_[\]<>|]/g, "\\$&");
+}
+
+// Timed-out files have no score
+function scoreText(report) {
+  return typeof report.score === "number" ? String(report.score) : "n/a";
+}
+
+function badge(report) {
+  const colour = (report.gradeColour || "#64748b").replace(/^#/, "");
+  const text = `${scoreText(report)} ${report.grade}`;
+  const label = encodeURIComponent(text).replace(/-/g, "--");
+  return `![code-maester ${text}](https://img.shields.io/badge/code--maester-${label}-${colour})`;
+}
+
+function signed(n) {
+  if (n > 0) return `+${n}`;
+  if (n < 0) return `−${Math.abs(n)}`;
+  return "±0";
+}
+
+function location(filePath, issue, linkBase) {
+  const file = displayPath(filePath);
+  const text = issue.line > 0 ? `${file}:${issue.line}` : file;
+  const href = `${linkBase || ""}${encodeURI(file)}${issue.line > 0 ? `#L${issue.line}` : ""}`;
+  return `[${escapeMd(text)}](${href})`;
+}
+
+function issueLine({ filePath, category, issue }, linkBase) {
+  const severity = generalSeverity(issue.severity);
+  return (
+    `- ${SEVERITY_ICONS[severity] || "⚪"} **${escapeMd(issue.severity)}** ` +
+    `${location(filePath, issue, linkBase)} — ${escapeMd(issue.message)} ` +
+    `\`${ruleId(issue)}\`${category ? ` · ${category}` : ""}`
+  );
+}
+
+function issueList(title, entries, { open = false, linkBase } = {}) {
+  if (entries.length === 0) return [];
+  const shown = entries.slice(0, MAX_ISSUES).map((entry) => issueLine(entry, linkBase));
+  if (entries.length > MAX_ISSUES) shown.push(`- … and ${entries.length - MAX_ISSUES} more`);
+  return [
+    `<details${open ? " open" : ""}>`,
+    `<summary><b>${title} (${entries.length})</b></summary>`,
+    "",
+    ...shown,
+    "",
+    "</details>",
+    "",
+  ];
+}
+
+// ─── diff() results ───────────────────────────────────────────────────────────
+
+function renderDiff(result, { linkBase }) {
+  const { oldReport, newReport } = result;
+  const filePath = newReport.filePath || null;
+  const arrow = result.improved ? "▲" : result.regressed ? "▼" : "■";
+
+  if (result.timedOut) {
+    const diagnostics = result.diagnostics.map((issue) => ({ filePath, category: "diagnostics", issue }));
+    return [
+      `${badge(newReport)} **Analysis timed out** — the versions could not be compared`,
+      "",
+      ...issueList("Diagnostics", diagnostics, { open: true, linkBase }),
+    ];
+  }
+
+  const rows = Object.keys(PENALTY_LABELS).map((key) => {
+    const before = (oldReport.penalties || {})[key] || 0;
+    const after = (newReport.penalties || {})[key] || 0;
+    return `| ${PENALTY_LABELS[key]} | ${before} | ${after} | ${signed(result.penaltyDeltas[key] || 0)} |`;
+  });
+
+  const toEntry = (issue) => ({ filePath, category: CATEGORY_OF_TYPE[issue.type] || null, issue });
+
+  return [
+    `${badge(newReport)} **${arrow} ${signed(result.scoreDelta)}** (${result.oldScore} → ${result.newScore}, grade ${result.gradeDelta})`,
+    "",
+    `**${result.issuesIntroduced.length}** new · **${result.issuesResolved.length}** resolved · ` +
+      `${result.issuesUnchanged.length} unchanged`,
+    "",
+    "<details>",
+    "<summary><b>Penalty changes</b></summary>",
+    "",
+    "| Category | Before | After | Δ |",
+    "|---|---:|---:|---:|",
+    ...rows,
+    "",
+    "</details>",
+    "",
+    ...issueList("New issues", result.issuesIntroduced.map(toEntry), { open: true, linkBase }),
+    ...issueList("Resolved issues", result.issuesResolved.map(toEntry), { linkBase }),
+  ];
+}
+
+// ─── diffRefs() results ───────────────────────────────────────────────────────
+
+const STATUS_LABELS = { added: "added", modified: "modified", renamed: "renamed", deleted: "deleted" };
+
+function renderCompare(result, { linkBase }) {
+  const { summary } = result;
+  const arrow = result.improved ? "▲" : result.regressed ? "▼" : "■";
+  const score = (value) => (typeof value === "number" ? String(value) : "n/a");
+  const toEntry = (issue) => ({ filePath: issue.file, category: CATEGORY_OF_TYPE[issue.type] || null, issue });
+  const structural = (issues) => issues.map((issue) => ({ filePath: issue.file, category: "structural", issue }));
+
+  const lines = [
+    `**code-maester** — \`${escapeMd(result.base)}\` → \`${escapeMd(result.head)}\` · ${summary.filesChanged} changed files · ` +
+      `average score ${score(result.oldScore)} → ${score(result.newScore)}` +
+      (result.scoreDelta === null ? "" : ` (**${arrow} ${signed(result.scoreDelta)}**)`),
+    "",
+    `**${summary.issuesIntroduced}** new · **${summary.issuesResolved}** resolved`,
+    "",
+  ];
+
+  if (result.files.length > 0) {
+    lines.push("<details>", "<summary><b>Changed files</b></summary>", "");
+    lines.push("| File | Change | Before | After | New | Resolved |", "|---|---|---:|---:|---:|---:|");
+    result.files.slice(0, MAX_FILES).forEach((file) => {
+      const name = file.status === "renamed"
+        ? `${escapeMd(displayPath(file.oldPath))} → ${escapeMd(displayPath(file.filePath))}`
+        : escapeMd(displayPath(file.filePath));
+      lines.push(
+        `| ${name} | ${STATUS_LABELS[file.status]}${file.timedOut ? " (timed out)" : ""} | ` +
+          `${score(file.oldScore)} | ${score(file.newScore)} | ${file.issuesIntroduced.length} | ${file.issuesResolved.length} |`,
+      );
+    });
+    if (result.files.length > MAX_FILES) lines.push(`| … ${result.files.length - MAX_FILES} more | | | | | |`);
+    lines.push("", "</details>", "");
+  }
+
+  const diagnostics = result.files.flatMap((file) =>
+    file.diagnostics.map((issue) => ({ filePath: file.filePath, category: "diagnostics", issue })),
+  );
+  lines.push(...issueList("Diagnostics", diagnostics, { open: true, linkBase }));
+  lines.push(...issueList("New issues", result.issuesIntroduced.map(toEntry), { open: true, linkBase }));
+  lines.push(...issueList("Resolved issues", result.issuesResolved.map(toEntry), { linkBase }));
+  lines.push(...issueList("New cross-file issues", structural(result.structural.introduced), { open: true, linkBase }));
+  lines.push(...issueList("Resolved cross-file issues", structural(result.structural.resolved), { linkBase }));
+  return lines;
+}
+
+// ─── Reports ──────────────────────────────────────────────────────────────────
+
+function renderReports(input, { linkBase }) {
+  const { files, structural } = normalizeResults(input);
+  const lines = [];
+
+  const entries = [];
+  files.forEach(({ filePath, report }) =>
+    issuesOf(report).forEach(({ category, issue }) => entries.push({ filePath, category, issue })),
+  );
+
+  if (files.length === 1) {
+    const { report } = files[0];
+    lines.push(`${badge(report)} **${scoreText(report)}** · grade **${report.grade}** (${escapeMd(report.gradeLabel || "")})`, "");
+  } else if (files.length > 1) {
+    const scored = files.filter((f) => typeof f.report.score === "number");
+    const average = scored.length
+      ? Math.round(scored.reduce((sum, f) => sum + f.report.score, 0) / scored.length)
+      : "n/a";
+    lines.push(`**code-maester** — ${files.length} files · average score **${average}**`, "");
+    lines.push("<details>", "<summary><b>Files</b></summary>", "", "| File | Score | Grade | Issues |", "|---|---:|:---:|---:|");
+    // Worst files first
+    const sorted = [...files].sort((a, b) => (a.report.score || 0) - (b.report.score || 0));
+    sorted.slice(0, MAX_FILES).forEach(({ filePath, report }) => {
+      lines.push(`| ${escapeMd(displayPath(filePath))} | ${scoreText(report)} | ${report.grade} | ${issuesOf(report).length} |`);
+    });
+    if (files.length > MAX_FILES) lines.push(`| … ${files.length - MAX_FILES} more | | | |`);
+    lines.push("", "</details>", "");
+  }
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  entries.forEach(({ issue }) => {
+    counts[generalSeverity(issue.severity)] = (counts[generalSeverity(issue.severity)] || 0) + 1;
+  });
+  if (files.length > 0) {
+    lines.push(`${SEVERITY_ICONS.error} ${plural(counts.error, "error")} · ${SEVERITY_ICONS.warning} ${plural(counts.warning, "warning")} · ${SEVERITY_ICONS.info} ${counts.info} info`, "");
+  }
+
+  // Most severe first
+  const rank = { error: 0, warning: 1, info: 2 };
+  entries.sort((a, b) => rank[generalSeverity(a.issue.severity)] - rank[generalSeverity(b.issue.severity)]);
+  lines.push(...issueList("Issues", entries, { open: entries.length <= 10, linkBase }));
+
+  lines.push(
+    ...issueList(
+      "Cross-file issues",
+      structural.map((issue) => ({ filePath: issue.file, category: "structural", issue })),
+      { open: true, linkBase },
+    ),
+  );
+
+  if (entries.length === 0 && structural.length === 0) lines.push("✅ No issues found.");
+  return lines;
+}
+
+// ─── Main entry ───────────────────────────────────────────────────────────────
+
+/**
+ * Render a diff() or diffRefs() result, report(s) or an analyzeProject()
+ * result as Markdown.
+ *
+ * @param {object|Array<object>} input
+ * @param {{ linkBase?: string }} options - prefix for file links, e.g.
+ *   "https://github.com/org/repo/blob/<sha>/"; links are relative without it
+ * @returns {string}
+ */
+function render(input, options = {}) {
+  const single = input && !Array.isArray(input) ? input : null;
+  let lines;
+  if (single && single.headCommit && Array.isArray(single.files)) lines = renderCompare(input, options);
+  else if (single && Array.isArray(single.issuesIntroduced)) lines = renderDiff(input, options);
+  else lines = renderReports(input, options);
+  let text = lines.join("\n").trimEnd() + "\n";
+
+  if (text.length > MAX_LENGTH) {
+    // Cut at a line boundary and close any <details> left open
+    text = text.slice(0, text.lastIndexOf("\n", MAX_LENGTH - 200));
+    const open = (text.match(/<details/g) || []).length - (text.match(/<\/details>/g) || []).length;
+    text += "\n\n… report truncated\n" + "\n</details>".repeat(Math.max(0, open)) + "\n";
+  }
+
+  return text;
+}
+
+module.exports = { render };
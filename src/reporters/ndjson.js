@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * reporters/ndjson.js
+ * ───────────────────
+ * Newline-delimited JSON: one self-contained object per line, so large runs
+ * can be consumed (or written) one file at a time.
+ *
+ *   {"type":"file","filePath":"/repo/src/app.js","report":{…}}
+ *   {"type":"error","filePath":"/repo/src/bad.js","message":"EACCES: …"}
+ *   {"type":"summary","projectAnalysis":{…}}
+ *
+ * The line helpers are shared with the CLI, which writes them while
+ * analyzeProjectStream() is still running.
+ */
+
+const { normalizeResults } = require("./issues");
+
+function fileLine(filePath, report) {
+  return JSON.stringify({ type: "file", filePath, report });
+}
+
+function errorLine(filePath, error) {
+  return JSON.stringify({ type: "error", filePath, message: error && error.message ? error.message : String(error) });
+}
+
+function summaryLine(projectAnalysis) {
+  return JSON.stringify({ type: "summary", projectAnalysis });
+}
+
+/**
+ * Render report(s), an analyzeProject() or a diff() result as NDJSON.
+ *
+ * @param {object|Array<object>} input
+ * @returns {string}
+ */
+function render(input) {
+  const lines = normalizeResults(input).files.map(({ filePath, report }) => fileLine(filePath, report));
+  for (const item of Array.isArray(input) ? input : [input]) {
+    if (item && item.projectAnalysis) lines.push(summaryLine(item.projectAnalysis));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { render, fileLine, errorLine, summaryLine };
@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ * reporters/sarif.js
+ * ──────────────────
+ * SARIF 2.1.0 output for code-scanning dashboards and SARIF viewers.
+ *
+ * One run, one result per issue. Rules are collected from the issues seen;
+ * their help text comes from `suggestion` / `remediation`. Issues silenced by
+ * inline directives or a baseline are emitted with a `suppressions` entry so
+ * viewers can show them as dismissed instead of dropping them.
+ *
+ * partialFingerprints are the issue's `fingerprint` (see src/fingerprint), the
+ * same identity diff() and baselines use, plus an occurrence counter per
+ * file for identical issues. Issues without one, such as cross-file findings,
+ * are keyed by rule and message.
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { normalizeResults, issuesOf, ruleId } = require("./issues");
+const { keysFor } = require("../fingerprint");
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const INFORMATION_URI = "https://github.com/AnshYadav2412/code-maester";
+
+const LEVELS = {
+  critical: "error",
+  high: "error",
+  error: "error",
+  medium: "warning",
+  warning: "warning",
+  low: "note",
+  info: "note",
+};
+
+const SECURITY_SEVERITY = { critical: "9.0", high: "7.0", medium: "5.0", low: "3.0" };
+
+const CATEGORY_TEXT = {
+  bugs: "bug",
+  lint: "lint",
+  security: "security",
+  complexity: "complexity",
+  redundancy: "redundancy",
+  structural: "cross-file",
+  diagnostics: "analysis",
+};
+
+/**
+ * What a rule checks, from its id alone: "loose-equality" in bugs becomes
+ * "Loose equality (bug rule)". Issue messages describe one occurrence, so
+ * they stay on the results.
+ */
+function describeRule(id, category) {
+  const words = id.replace(/[-_]+/g, " ").trim();
+  const name = words.charAt(0).toUpperCase() + words.slice(1);
+  return `${name} (${CATEGORY_TEXT[category] || category} rule)`;
+}
+
+function levelOf(severity) {
+  return LEVELS[severity] || "warning";
+}
+
+/**
+ * Files under the working directory are relative to %SRCROOT%; anything
+ * else gets an absolute file:// URI.
+ */
+function artifactLocation(filePath) {
+  if (!filePath) return { uri: "snippet" };
+  const abs = path.resolve(filePath);
+  const rel = path.relative(process.cwd(), abs);
+  if (rel.startsWith("..") || path.isAbsolute(rel)) return { uri: pathToFileURL(abs).href };
+  return { uri: rel.split(path.sep).join("/"), uriBaseId: "%SRCROOT%" };
+}
+
+function location(artifact, issue) {
+  const physicalLocation = { artifactLocation: artifact };
+  if (issue.line > 0) {
+    physicalLocation.region = { startLine: issue.line };
+    if (issue.column > 0) physicalLocation.region.startColumn = issue.column;
+  }
+  return { physicalLocation };
+}
+
+// ─── Builder ──────────────────────────────────────────────────────────────────
+
+function createRun(version) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+  const occurrences = new Map();
+
+  function addRule(id, category, issue) {
+    if (ruleIndex.has(id)) return ruleIndex.get(id);
+
+    const help = issue.remediation || issue.suggestion;
+    const rule = {
+      id,
+      name: id,
+      shortDescription: { text: describeRule(id, category) },
+      defaultConfiguration: { level: levelOf(issue.severity) },
+      properties: { category, tags: [category] },
+    };
+    if (help) rule.help = { text: help };
+    if (category === "security" && SECURITY_SEVERITY[issue.severity]) {
+      rule.properties.tags.push("security");
+      rule.properties["security-severity"] = SECURITY_SEVERITY[issue.severity];
+    }
+
+    ruleIndex.set(id, rules.length);
+    rules.push(rule);
+    return ruleIndex.get(id);
+  }
+
+  function fingerprint(uri, issue) {
+    const key = issue.fingerprint || keysFor(issue, null).fingerprint;
+    const seen = `${uri}\0${key}`;
+    const n = (occurrences.get(seen) || 0) + 1;
+    occurrences.set(seen, n);
+    return `${key}:${n}`;
+  }
+
+  function addResult(artifact, category, issue, suppression = null) {
+    const id = ruleId(issue);
+    const result = {
+      ruleId: id,
+      ruleIndex: addRule(id, category, issue),
+      level: levelOf(issue.severity),
+      message: { text: issue.message },
+      locations: [location(artifact, issue)],
+      partialFingerprints: { "codeMaester/v2": fingerprint(artifact.uri, issue) },
+      properties: { category, severity: issue.severity },
+    };
+    const fix = issue.suggestion || issue.remediation;
+    if (fix) result.properties.suggestion = fix;
+    if (suppression) result.suppressions = [suppression];
+    results.push(result);
+  }
+
+  function toJSON() {
+    return {
+      tool: {
+        driver: {
+          name: "code-maester",
+          version,
+          informationUri: INFORMATION_URI,
+          rules,
+        },
+      },
+      originalUriBaseIds: {
+        "%SRCROOT%": { uri: pathToFileURL(process.cwd() + "/").href },
+      },
+      invocations: [{ executionSuccessful: true }],
+      results,
+    };
+  }
+
+  return { addResult, toJSON };
+}
+
+// ─── Main entry ───────────────────────────────────────────────────────────────
+
+/**
+ * Render reports as a SARIF 2.1.0 log.
+ *
+ * @param {object|Array<object>} input - report(s) or an analyzeProject() result
+ * @param {{ version: string }} options
+ * @returns {string} JSON text
+ */
+function render(input, { version } = {}) {
+  const { files, structural } = normalizeResults(input);
+  const run = createRun(version);
+
+  for (const { filePath, report } of files) {
+    const artifact = artifactLocation(filePath);
+    issuesOf(report).forEach(({ category, issue }) => run.addResult(artifact, category, issue));
+
+    (report.suppressed || []).forEach((issue) =>
+      run.addResult(artifact, issue.category, issue, {
+        kind: "inSource",
+        justification: `${issue.suppressedBy.directive} on line ${issue.suppressedBy.line}`,
+      }),
+    );
+    ((report.baseline && report.baseline.baselined) || []).forEach((issue) =>
+      run.addResult(artifact, issue.category, issue, { kind: "external", justification: "Recorded in baseline" }),
+    );
+  }
+
+  structural.forEach((issue) => run.addResult(artifactLocation(issue.file), "structural", issue));
+
+  return JSON.stringify(
+    {
+      $schema: SARIF_SCHEMA,
+      version: "2.1.0",
+      runs: [run.toJSON()],
+    },
+    null,
+    2,
+  );
+}
+
+module.exports = { render };
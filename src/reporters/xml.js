@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * reporters/xml.js
+ * ────────────────
+ * Escaping for the XML reporters (JUnit, Checkstyle).
+ */
+
+/**
+ * Whether a code point may appear in an XML 1.0 document: tab, newline,
+ * carriage return, and everything from space up except U+FFFE and U+FFFF.
+ */
+function isXmlChar(code) {
+  return code === 0x9 || code === 0xa || code === 0xd || (code >= 0x20 && code !== 0xfffe && code !== 0xffff);
+}
+
+const ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" };
+
+/**
+ * Escape a value for use in XML text or a double-quoted attribute.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  const text = String(value === undefined || value === null ? "" : value);
+  return [...text]
+    .filter((ch) => isXmlChar(ch.codePointAt(0)))
+    .join("")
+    .replace(/[&<>"']/g, (ch) => ENTITIES[ch]);
+}
+
+/**
+ * Render attributes, skipping undefined / null values.
+ * @param {object} attrs
+ * @returns {string} leading space included when non-empty
+ */
+function attributes(attrs) {
+  return Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null)
+    // Parsers normalise raw newlines in attributes to spaces
+    .map(([k, v]) => ` ${k}="${escapeXml(v).replace(/\r?\n/g, "&#10;")}"`)
+    .join("");
+}
+
+module.exports = { escapeXml, attributes };
@@ -68,4 +68,4 @@ function getGradeColour(grade) {
   return "#ef4444"; // red for F
 }
 
-module.exports = { getGrade, getGradeLabel, getGradeColour };
+module.exports = { getGrade, getGradeLabel, getGradeColour, GRADE_THRESHOLDS };
@@ -0,0 +1,175 @@
+"use strict";
+
+/**
+ * server/index.js
+ * ───────────────
+ * The local watch dashboard: one HTTP server on 127.0.0.1 that serves the
+ * bundled dashboard page and speaks the watch protocol on `/ws`.
+ *
+ *   CLI → server        server → browsers
+ *   cli:watch:start  →  watch:started
+ *   cli:analyzing    →  watch:analyzing
+ *   cli:result       →  watch:result
+ *   cli:error        →  watch:error
+ *   cli:removed      →  watch:removed      (--project: a file was deleted)
+ *   cli:structural   →  watch:structural   (--project: cross-file findings
+ *                                           introduced / resolved)
+ *   cli:watch:stop   →  watch:stopped
+ *
+ * The watching CLI hands its messages to `send()` in-process; other clients
+ * (e.g. a second `--watch --server ws://localhost:<port>/ws`) may send the
+ * same messages over the socket. Browsers that connect late are sent the
+ * current state first (see state.js): the watched pattern, the latest result
+ * per file and the current cross-file findings, as one watch:structural with
+ * event "load" that introduces them all. A CLI that reconnects replays the
+ * same, starting with cli:watch:start, which resets the state.
+ *
+ * Routes:
+ *   GET /, /watch                → dashboard.html
+ *   GET /report?file=<filePath>  → the latest report of a file, rendered as HTML
+ *   WS  /ws                      → the watch protocol
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { getReporter } = require("../reporters");
+const { createWatchState } = require("./state");
+
+const DEFAULT_PORT = 3001;
+const HOST = "127.0.0.1";
+const DASHBOARD = path.join(__dirname, "dashboard.html");
+
+const BROADCASTS = {
+  "cli:watch:start": "watch:started",
+  "cli:analyzing": "watch:analyzing",
+  "cli:result": "watch:result",
+  "cli:error": "watch:error",
+  "cli:removed": "watch:removed",
+  "cli:structural": "watch:structural",
+  "cli:watch:stop": "watch:stopped",
+};
+
+/**
+ * Only pages served by this server may open the socket, and only under a
+ * loopback host name, so other sites cannot read reports through the
+ * browser (directly, or by rebinding their DNS name to 127.0.0.1).
+ */
+function allowedHosts(port) {
+  return ["localhost", "127.0.0.1", "[::1]"].map((name) => `${name}:${port}`);
+}
+
+/**
+ * Create the dashboard server. Nothing listens until `listen()`.
+ *
+ * @param {object} options
+ * @param {number} [options.port=3001] - 0 picks a free port
+ * @param {(report: object) => string} [options.renderReport] - HTML for one report;
+ *   defaults to the html reporter
+ * @returns {{
+ *   listen: () => Promise<{ url: string, wsUrl: string, port: number }>,
+ *   send: (message: object) => void,
+ *   clients: () => number,
+ *   close: () => Promise<void>,
+ * }} `send` takes a `cli:*` message; errors from `listen` carry the `code` of
+ *   the failed bind, e.g. "EADDRINUSE"
+ */
+function createWatchServer({ port = DEFAULT_PORT, renderReport } = {}) {
+  const { WebSocketServer } = require("ws");
+  const render = renderReport || ((report) => getReporter("html").render(report, {}));
+  const sockets = new WebSocketServer({ noServer: true });
+  const state = createWatchState();
+  let nextId = 1;
+  let hosts = [];
+
+  function broadcast(message) {
+    const raw = JSON.stringify(message);
+    sockets.clients.forEach((socket) => {
+      if (socket.readyState === 1 /* WebSocket.OPEN */) socket.send(raw);
+    });
+  }
+
+  function send(message) {
+    const type = BROADCASTS[message && message.type];
+    if (!type) return;
+    const timestamp = new Date().toISOString();
+    state.apply({ ...message, timestamp });
+    broadcast({ ...message, type, timestamp });
+  }
+
+  function reply(res, status, body, type = "text/plain; charset=utf-8") {
+    res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store", "X-Content-Type-Options": "nosniff" });
+    res.end(body);
+  }
+
+  function handleRequest(req, res) {
+    if (!hosts.includes(req.headers.host)) return reply(res, 421, "Unknown host\n");
+    if (req.method !== "GET" && req.method !== "HEAD") return reply(res, 405, "Method not allowed\n");
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname === "/" || url.pathname === "/watch") {
+      fs.readFile(DASHBOARD, (err, page) => {
+        if (err) reply(res, 500, `Cannot read the dashboard: ${err.message}\n`);
+        else reply(res, 200, page, "text/html; charset=utf-8");
+      });
+      return undefined;
+    }
+    if (url.pathname === "/report") {
+      const result = state.result(url.searchParams.get("file"));
+      if (!result) return reply(res, 404, "No report for this file yet\n");
+      return reply(res, 200, render(result.report), "text/html; charset=utf-8");
+    }
+    return reply(res, 404, "Not found\n");
+  }
+
+  function handleUpgrade(req, socket, head) {
+    const { origin } = req.headers;
+    const sameOrigin = !origin || hosts.some((host) => origin === `http://${host}`);
+    if (new URL(req.url, "http://localhost").pathname !== "/ws" || !hosts.includes(req.headers.host) || !sameOrigin) {
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+    sockets.handleUpgrade(req, socket, head, (ws) => {
+      ws.send(JSON.stringify({ type: "connected", id: String(nextId++) }));
+      state.messages().forEach((message) => ws.send(JSON.stringify({ ...message, type: BROADCASTS[message.type] })));
+
+      ws.on("message", (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch {
+          return;
+        }
+        send(message);
+      });
+    });
+  }
+
+  const server = http.createServer(handleRequest);
+  server.on("upgrade", handleUpgrade);
+
+  return {
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, HOST, () => {
+          server.off("error", reject);
+          const bound = server.address().port;
+          hosts = allowedHosts(bound);
+          resolve({ url: `http://localhost:${bound}/`, wsUrl: `ws://localhost:${bound}/ws`, port: bound });
+        });
+      });
+    },
+    send,
+    clients: () => sockets.clients.size,
+    close() {
+      sockets.clients.forEach((socket) => socket.close(1001, "Server shutting down"));
+      const closed = new Promise((resolve) => server.close(() => resolve()));
+      // Idle keep-alive connections would hold close() open (Node 18.2+)
+      if (server.closeIdleConnections) server.closeIdleConnections();
+      return closed;
+    },
+  };
+}
+
+module.exports = { createWatchServer, createWatchState, DEFAULT_PORT };
@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * server/state.js
+ * ───────────────
+ * The current state of a watch session, folded from its cli:* messages: the
+ * watched pattern, the latest result (and error) per file and the current
+ * cross-file findings. Whoever has to bring a peer up to date replays it:
+ * the dashboard server for browsers that connect late, the CLI for a backend
+ * it reconnects to.
+ */
+
+const { findingKey } = require("../modules/cross-file");
+
+const DEFAULT_MAX_FILES = 1000;
+
+/**
+ * Create an empty watch state.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxFiles=1000] - files remembered; past it the
+ *   least recently updated file is forgotten
+ * @returns {{
+ *   apply: (message: object) => void,
+ *   messages: () => Array<object>,
+ *   result: (filePath: string) => object|null,
+ *   files: () => number,
+ * }} `apply` takes a `cli:*` message as sent; `messages` returns the `cli:*`
+ *   messages that rebuild the state from scratch, starting with
+ *   cli:watch:start and ending with one cli:structural (event "load") holding
+ *   every current finding
+ */
+function createWatchState({ maxFiles = DEFAULT_MAX_FILES } = {}) {
+  let start = null;
+  const files = new Map(); // filePath → { result, error }, least recently updated first
+  let structural = [];
+  let summary = null;
+
+  function touch(filePath, changes) {
+    const entry = { result: null, error: null, ...files.get(filePath), ...changes };
+    files.delete(filePath);
+    files.set(filePath, entry);
+    if (files.size > maxFiles) files.delete(files.keys().next().value);
+  }
+
+  function applyStructural({ event, introduced = [], resolved = [], summary: latest = null }) {
+    // A load carries every finding, not a change to the known ones
+    if (event === "load") structural = [];
+    for (const issue of resolved) {
+      const at = structural.findIndex((known) => findingKey(known) === findingKey(issue));
+      if (at !== -1) structural.splice(at, 1);
+    }
+    structural.push(...introduced);
+    summary = latest;
+  }
+
+  return {
+    apply(message) {
+      if (!message) return;
+      switch (message.type) {
+        case "cli:watch:start":
+          start = message;
+          files.clear();
+          structural = [];
+          summary = null;
+          break;
+        case "cli:watch:stop":
+          start = null;
+          break;
+        case "cli:result":
+          if (message.filePath) touch(message.filePath, { result: message, error: null });
+          break;
+        case "cli:error":
+          // The last good report stays available next to the error
+          if (message.filePath) touch(message.filePath, { error: message });
+          break;
+        case "cli:removed":
+          files.delete(message.filePath);
+          break;
+        case "cli:structural":
+          applyStructural(message);
+          break;
+        default:
+          break;
+      }
+    },
+
+    messages() {
+      const out = start ? [start] : [];
+      files.forEach(({ result, error }) => {
+        if (result) out.push(result);
+        if (error) out.push(error);
+      });
+      if (summary) {
+        out.push({ type: "cli:structural", event: "load", introduced: structural.slice(), resolved: [], summary });
+      }
+      return out;
+    },
+
+    result(filePath) {
+      const entry = files.get(filePath);
+      return entry ? entry.result : null;
+    },
+
+    files: () => files.size,
+  };
+}
+
+module.exports = { createWatchState };
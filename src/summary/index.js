@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * summary/index.js
+ * ────────────────
+ * Totals over the reports of a multi-file run: one score for the whole set,
+ * weighted by each file's line count so a 2,000-line module counts for more
+ * than a 10-line helper, the issue counts, and the files that need work most.
+ */
+
+const { getGrade } = require("../scoring/grades");
+
+const WORST_OFFENDERS = 5;
+
+function issueCounts(report) {
+  const complexity = ((report.complexity && report.complexity.functions) || []).reduce(
+    (sum, fn) => sum + (fn.issues || []).length,
+    0,
+  );
+  const counts = {
+    bugs: (report.bugs || []).length,
+    security: (report.security || []).length,
+    lint: (report.lint || []).length,
+    complexity,
+    redundancy: (report.redundancy || []).length,
+  };
+  counts.total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  return counts;
+}
+
+/**
+ * Summarise the reports of a run.
+ *
+ * @param {Array<object>} reports - analyze() / analyzeFile() reports
+ * @param {{ worst?: number }} options - how many worst offenders to list (default 5)
+ * @returns {{
+ *   files: number, filesTimedOut: number, lines: number,
+ *   score: number|null, grade: string|null,
+ *   issues: { bugs, security, lint, complexity, redundancy, total },
+ *   worst: Array<{ filePath, score, grade, lines, issues }>
+ * }} `score` is null when no file was scored; `worst` lists files scoring
+ *   below 100, lowest score first
+ */
+function summarizeReports(reports, { worst = WORST_OFFENDERS } = {}) {
+  const issues = { bugs: 0, security: 0, lint: 0, complexity: 0, redundancy: 0, total: 0 };
+  const files = reports.map((report) => {
+    const counts = issueCounts(report);
+    Object.keys(issues).forEach((key) => (issues[key] += counts[key]));
+    return { filePath: report.filePath, score: report.score, grade: report.grade, lines: report.lines || 0, issues: counts };
+  });
+
+  const scored = files.filter((file) => typeof file.score === "number");
+  const lines = scored.reduce((sum, file) => sum + file.lines, 0);
+  let score = null;
+  if (scored.length > 0) {
+    // Empty files would weigh nothing; fall back to a plain average
+    const weighted = lines > 0
+      ? scored.reduce((sum, file) => sum + file.score * file.lines, 0) / lines
+      : scored.reduce((sum, file) => sum + file.score, 0) / scored.length;
+    score = Math.round(weighted * 10) / 10;
+  }
+
+  return {
+    files: reports.length,
+    filesTimedOut: reports.filter((report) => report.timedOut).length,
+    lines: files.reduce((sum, file) => sum + file.lines, 0),
+    score,
+    grade: score === null ? null : getGrade(score),
+    issues,
+    worst: scored
+      // Issues that cost nothing (e.g. info only) do not make a file an offender
+      .filter((file) => file.issues.total > 0 && file.score < 100)
+      .sort((a, b) => a.score - b.score || b.issues.total - a.issues.total)
+      .slice(0, worst),
+  };
+}
+
+module.exports = { summarizeReports };
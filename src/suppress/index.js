@@ -0,0 +1,229 @@
+"use strict";
+
+/**
+ * suppress/index.js
+ * ─────────────────
+ * Inline suppression directives, ESLint style:
+ *
+ *   // code-maester-disable-next-line loose-equality
+ *   x == y; // code-maester-disable-line
+ *   /* code-maester-disable hardcoded-password, unsafe-eval *\/
+ *   …
+ *   /* code-maester-enable *\/
+ *   // code-maester-disable-file
+ *
+ * Python uses `#` comments. Rule lists are comma or space separated and may
+ * be followed by `-- reason`. With no rule list a directive covers every rule.
+ *
+ * Issues are matched on `issue.rule`, falling back to `issue.type` for the
+ * complexity / redundancy findings that carry no rule id (e.g. `high_complexity`,
+ * `duplicate_block`).
+ */
+
+const DIRECTIVE_RE =
+  /^\s*(code-maester-(?:disable-next-line|disable-line|disable-file|disable|enable))(?=\s|$)(.*)$/s;
+
+// Comment syntax per language
+const HASH_COMMENT_LANGUAGES = new Set(["python"]);
+const SLASH_COMMENT_LANGUAGES = new Set(["javascript", "typescript", "java", "c", "cpp"]);
+
+// ─── Comment extraction ───────────────────────────────────────────────────────
+
+/**
+ * Collect comments with their line span.
+ * Uses the shared AST's comments when available, otherwise scans lines.
+ *
+ * @returns {Array<{ text: string, line: number, endLine: number }>}
+ */
+function extractComments(code, language, ast) {
+  if (ast && ast.comments) {
+    return ast.comments.map((c) => ({
+      text: c.value,
+      line: c.loc.start.line,
+      endLine: c.loc.end.line,
+    }));
+  }
+
+  const comments = [];
+  const lines = code.split("\n");
+  const hash = HASH_COMMENT_LANGUAGES.has(language) || !SLASH_COMMENT_LANGUAGES.has(language);
+  const slash = !HASH_COMMENT_LANGUAGES.has(language);
+
+  lines.forEach((line, i) => {
+    if (hash) {
+      const m = line.match(/#(.*)$/);
+      if (m) comments.push({ text: m[1], line: i + 1, endLine: i + 1 });
+    }
+    if (slash) {
+      const m = line.match(/\/\/(.*)$/);
+      if (m) comments.push({ text: m[1], line: i + 1, endLine: i + 1 });
+    }
+  });
+
+  if (slash) {
+    const blockRE = /\/\*([\s\S]*?)\*\//g;
+    let m;
+    while ((m = blockRE.exec(code)) !== null) {
+      const line = code.slice(0, m.index).split("\n").length;
+      const endLine = line + (m[0].match(/\n/g) || []).length;
+      comments.push({ text: m[1], line, endLine });
+    }
+  }
+
+  return comments;
+}
+
+// ─── Directive parsing ────────────────────────────────────────────────────────
+
+function parseRuleList(rest) {
+  const withoutReason = rest.split(/\s--\s|^--\s/)[0];
+  const rules = withoutReason
+    .replace(/\*\/?\s*$/, "")
+    .split(/[\s,]+/)
+    .map((r) => r.trim())
+    .filter(Boolean);
+  return rules.length > 0 ? rules : null; // null → all rules
+}
+
+/**
+ * Turn comments into suppression ranges.
+ *
+ * @param {string} code
+ * @param {string} language
+ * @param {object|null} ast
+ * @returns {Array<{ kind: string, rules: string[]|null, from: number, to: number, line: number, used: boolean }>}
+ */
+function parseDirectives(code, language, ast = null) {
+  const totalLines = code.split("\n").length;
+  const comments = extractComments(code, language, ast).sort((a, b) => a.line - b.line);
+  const directives = [];
+  const open = []; // pending block disables
+
+  for (const comment of comments) {
+    const m = comment.text.match(DIRECTIVE_RE);
+    if (!m) continue;
+
+    const kind = m[1].replace("code-maester-", "");
+    const rules = parseRuleList(m[2]);
+
+    switch (kind) {
+      case "disable-next-line":
+        directives.push({ kind, rules, from: comment.endLine + 1, to: comment.endLine + 1, line: comment.line, used: false });
+        break;
+      case "disable-line":
+        directives.push({ kind, rules, from: comment.line, to: comment.endLine, line: comment.line, used: false });
+        break;
+      case "disable-file":
+        directives.push({ kind, rules, from: 0, to: Infinity, line: comment.line, used: false });
+        break;
+      case "disable":
+        open.push({ kind, rules, from: comment.line, to: totalLines, line: comment.line, used: false });
+        break;
+      case "enable":
+        // A bare enable closes everything; a named enable only closes those rules
+        for (let i = open.length - 1; i >= 0; i--) {
+          const d = open[i];
+          if (!rules) {
+            d.to = comment.line;
+            directives.push(...open.splice(i, 1));
+          } else if (d.rules) {
+            const remaining = d.rules.filter((r) => !rules.includes(r));
+            if (remaining.length === d.rules.length) continue;
+            directives.push({ ...d, rules: d.rules.filter((r) => rules.includes(r)), to: comment.line });
+            if (remaining.length === 0) open.splice(i, 1);
+            else d.rules = remaining;
+          }
+        }
+        break;
+    }
+  }
+
+  return [...directives, ...open];
+}
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+
+function ruleOf(issue) {
+  return issue.rule || issue.type;
+}
+
+function findDirective(issue, directives) {
+  const line = issue.line || 0;
+  const rule = ruleOf(issue);
+  return directives.find(
+    (d) =>
+      (d.kind === "disable-file" || (line > 0 && line >= d.from && line <= d.to)) &&
+      (!d.rules || d.rules.includes(rule)),
+  );
+}
+
+function splitIssues(issues, directives, category, suppressed) {
+  const kept = [];
+  for (const issue of issues || []) {
+    const directive = findDirective(issue, directives);
+    if (!directive) {
+      kept.push(issue);
+      continue;
+    }
+    directive.used = true;
+    suppressed.push({
+      ...issue,
+      category,
+      suppressedBy: { directive: `code-maester-${directive.kind}`, line: directive.line },
+    });
+  }
+  return kept;
+}
+
+// ─── Main entry ───────────────────────────────────────────────────────────────
+
+/**
+ * Remove suppressed issues from every report section.
+ *
+ * @param {{ bugs, lint, security, complexity, redundancy }} sections
+ * @param {{ code: string, language: string, ast?: object, reportUnused?: boolean }} source
+ * @returns {{ bugs, lint, security, complexity, redundancy, suppressed: Array, unusedDirectives: Array }}
+ */
+function applySuppressions(sections, { code, language, ast = null, reportUnused = true }) {
+  const directives = parseDirectives(code, language, ast);
+  if (directives.length === 0) {
+    return { ...sections, suppressed: [], unusedDirectives: [] };
+  }
+
+  const suppressed = [];
+  const bugs = splitIssues(sections.bugs, directives, "bugs", suppressed);
+  const lint = splitIssues(sections.lint, directives, "lint", suppressed);
+  const security = splitIssues(sections.security, directives, "security", suppressed);
+  const redundancy = splitIssues(sections.redundancy, directives, "redundancy", suppressed);
+
+  let complexity = sections.complexity;
+  if (complexity && complexity.functions) {
+    complexity = {
+      ...complexity,
+      functions: complexity.functions.map((fn) => ({
+        ...fn,
+        issues: splitIssues(fn.issues, directives, "complexity", suppressed),
+      })),
+    };
+  }
+
+  const unusedDirectives = reportUnused
+    ? directives
+      .filter((d) => !d.used)
+      .map((d) => ({
+        type: "lint",
+        severity: "info",
+        rule: "unused-disable-directive",
+        line: d.line,
+        column: 1,
+        message: d.rules
+          ? `Unused code-maester-${d.kind} directive (no problems were reported from ${d.rules.map((r) => `'${r}'`).join(", ")}).`
+          : `Unused code-maester-${d.kind} directive (no problems were reported).`,
+        suggestion: "Remove the directive — the issue it suppressed no longer exists.",
+      }))
+    : [];
+
+  return { bugs, lint, security, complexity, redundancy, suppressed, unusedDirectives };
+}
+
+module.exports = { applySuppressions, parseDirectives };
@@ -0,0 +1,35 @@
+"use strict";
+
+/**
+ * workers/analyze-worker.js
+ * ─────────────────────────
+ * Worker thread entry for the analysis pool.
+ *
+ * workerData:
+ *   globalConfig — snapshot of the main thread's config() settings
+ *   pluginPaths  — module paths of plugins registered with use(), loaded
+ *                  here because plugin functions cannot cross threads
+ *
+ * Each message `{ code, options }` is analysed with analyze(); the file's
+ * config (and the plugins it lists) is resolved inside the worker.
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const globalConfig = require("../config");
+const { configFor } = require("../config/loader");
+const { analyze } = require("../index");
+
+Object.assign(globalConfig, workerData.globalConfig);
+const registered = workerData.pluginPaths.map((modulePath) => require(modulePath));
+
+parentPort.on("message", async ({ code, options }) => {
+  try {
+    const cfg = configFor(options.filePath, options);
+    // Registered plugins run before config plugins, as on the main thread
+    const config = { ...cfg, plugins: [...registered, ...(cfg.plugins || [])] };
+    const report = await analyze(code, { ...options, config });
+    parentPort.postMessage({ report });
+  } catch (err) {
+    parentPort.postMessage({ error: { message: err.message, stack: err.stack } });
+  }
+});
@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * workers/pool.js
+ * ───────────────
+ * A small worker_threads pool for per-file analysis.
+ *
+ * Workers are started lazily, up to `size`, and each runs one task at a time.
+ * Tasks are `{ code, options }` messages answered with a report; results keep
+ * the order of the run() calls that produced them, so merged output does not
+ * depend on which worker finished first.
+ *
+ * A task given `timeoutMs` that is still running after that long has its
+ * worker terminated — the only way to stop a stuck synchronous scan — and is
+ * rejected with an error whose `code` is "ANALYSIS_TIMEOUT".
+ */
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const WORKER_SCRIPT = path.join(__dirname, "analyze-worker.js");
+
+/**
+ * @param {number} size - maximum number of worker threads
+ * @param {object} workerData - passed to every worker, see analyze-worker.js
+ * @returns {{ run: (task: object) => Promise<object>, close: (reason?: Error) => Promise<void> }}
+ */
+function createPool(size, workerData) {
+  const idle = [];
+  const queue = [];
+  const inFlight = new Map(); // worker → task
+  let workerCount = 0;
+
+  function spawn() {
+    const worker = new Worker(WORKER_SCRIPT, { workerData });
+    workerCount++;
+
+    worker.on("message", ({ report, error }) => {
+      const task = settle(worker);
+      if (!task) return;
+      if (error) {
+        const err = new Error(error.message);
+        err.stack = error.stack;
+        task.reject(err);
+      } else {
+        task.resolve(report);
+      }
+      idle.push(worker);
+      dispatch();
+    });
+
+    // A crashed worker fails its current task; the next task starts a fresh one
+    worker.on("error", (err) => {
+      const task = settle(worker);
+      workerCount--;
+      if (task) task.reject(err);
+      dispatch();
+    });
+
+    return worker;
+  }
+
+  function settle(worker) {
+    const task = inFlight.get(worker);
+    inFlight.delete(worker);
+    if (task) clearTimeout(task.timer);
+    return task;
+  }
+
+  function timeOut(worker, task) {
+    settle(worker);
+    workerCount--;
+    worker.terminate();
+    const err = new Error(`Analysis exceeded ${task.timeoutMs} ms`);
+    err.code = "ANALYSIS_TIMEOUT";
+    err.timeoutMs = task.timeoutMs;
+    err.stage = null;
+    task.reject(err);
+    dispatch();
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      let worker = idle.pop();
+      if (!worker) {
+        if (workerCount >= size) return;
+        worker = spawn();
+      }
+      const task = queue.shift();
+      try {
+        worker.postMessage({ code: task.code, options: task.options });
+        inFlight.set(worker, task);
+        if (task.timeoutMs > 0) task.timer = setTimeout(() => timeOut(worker, task), task.timeoutMs);
+      } catch (err) {
+        // e.g. a function in the options, which cannot be cloned
+        idle.push(worker);
+        task.reject(err);
+      }
+    }
+  }
+
+  function run({ code, options, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      queue.push({ code, options, timeoutMs, resolve, reject, timer: null });
+      dispatch();
+    });
+  }
+
+  /**
+   * Terminate every worker. With a `reason` (e.g. on abort), queued and
+   * running tasks are rejected with it.
+   */
+  async function close(reason) {
+    const workers = [...idle, ...inFlight.keys()];
+    const pending = [...queue, ...workers.map(settle).filter(Boolean)];
+    idle.length = 0;
+    queue.length = 0;
+    if (reason) pending.forEach((task) => task.reject(reason));
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  return { run, close };
+}
+
+module.exports = { createPool };
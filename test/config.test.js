@@ -0,0 +1,19 @@
+"use strict";
+
+const cm = require("../src/index");
+
+describe("config", () => {
+  test("rejects keys only config files take, naming each", () => {
+    expect(() => cm.config({ plugins: [], ignorePatterns: ["dist/"] })).toThrow(
+      'Invalid code-maester config in config():\n  - "plugins" is only read from config files; register plugins with use()\n  - "ignorePatterns" is only read from config files',
+    );
+    expect(() => cm.config({ overrides: [] })).toThrow('"overrides" is only read from config files');
+  });
+
+  test("applies nothing from a rejected call", async () => {
+    expect(() => cm.config({ rules: { "loose-equality": "off" }, root: true })).toThrow('"root"');
+
+    const report = await cm.analyze("var a = 1;\nif (a == 2) a = 3;\n", { language: "javascript" });
+    expect(report.lint.map((issue) => issue.rule)).toContain("loose-equality");
+  });
+});
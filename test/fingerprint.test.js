@@ -0,0 +1,115 @@
+"use strict";
+
+const { keysFor, matchKeyed, matchIssues } = require("../src/fingerprint");
+const { diff } = require("../src/index");
+
+function issue(rule, line, message = `${rule} here`) {
+  return { rule, line, message };
+}
+
+function side(code, issues, functions = []) {
+  return { code, issues, functions };
+}
+
+function rules(list) {
+  return list.map((i) => `${i.rule}@${i.line}`);
+}
+
+describe("matchKeyed", () => {
+  const keyed = (entries) => entries.map((key) => ({ fingerprint: key, core: key, edited: key }));
+
+  test("pairs duplicates one to one", () => {
+    const before = keyed(["a", "a", "b"]);
+    const after = keyed(["a", "b", "b"]);
+    const { matched, added, removed } = matchKeyed(before, after);
+
+    expect(matched.map(([old]) => old.fingerprint)).toEqual(["a", "b"]);
+    expect(added.map((entry) => entry.fingerprint)).toEqual(["b"]);
+    expect(removed.map((entry) => entry.fingerprint)).toEqual(["a"]);
+  });
+
+  test("falls back to looser keys in order", () => {
+    const before = [{ fingerprint: "f1", core: "c1", edited: "e1" }, { fingerprint: "f2", core: "c2", edited: "e2" }];
+    const after = [{ fingerprint: "x", core: "y", edited: "e2" }, { fingerprint: "z", core: "c1", edited: "w" }];
+    const { matched, added, removed } = matchKeyed(before, after);
+
+    expect(matched.map(([old, now]) => [old.fingerprint, now.fingerprint])).toEqual([["f1", "z"], ["f2", "x"]]);
+    expect(added).toEqual([]);
+    expect(removed).toEqual([]);
+  });
+});
+
+describe("matchIssues", () => {
+  const code = ["function f(a) {", "  if (a == 1) return 1;", "  return 0;", "}"].join("\n");
+  const functions = [{ name: "f", startLine: 1, endLine: 4 }];
+
+  test("code that moved keeps its issues", () => {
+    const moved = `// header\n\n${code}`;
+    const result = matchIssues(
+      side(code, [issue("loose-equality", 2)], functions),
+      side(moved, [issue("loose-equality", 4)], [{ name: "f", startLine: 3, endLine: 6 }]),
+    );
+
+    expect(result.introduced).toEqual([]);
+    expect(result.resolved).toEqual([]);
+    expect(rules(result.unchanged)).toEqual(["loose-equality@2"]);
+  });
+
+  test("a duplicated line adds one issue", () => {
+    const doubled = ["function f(a) {", "  if (a == 1) return 1;", "  if (a == 1) return 1;", "  return 0;", "}"].join("\n");
+    const result = matchIssues(
+      side(code, [issue("loose-equality", 2)], functions),
+      side(doubled, [issue("loose-equality", 2), issue("loose-equality", 3)], [{ name: "f", startLine: 1, endLine: 5 }]),
+    );
+
+    expect(result.introduced).toHaveLength(1);
+    expect(result.resolved).toEqual([]);
+    expect(result.unchanged).toHaveLength(1);
+  });
+
+  test("an issue on a line edited in place stays unchanged", () => {
+    const before = ["function f(s, x) {", "  if (x == 1) return parseInt(s);", "  return 0;", "}"].join("\n");
+    const after = before.replace("x == 1", "x === 1");
+    const result = matchIssues(
+      side(before, [issue("loose-equality", 2), issue("parseint-no-radix", 2)], functions),
+      side(after, [issue("parseint-no-radix", 2)], functions),
+    );
+
+    expect(rules(result.resolved)).toEqual(["loose-equality@2"]);
+    expect(rules(result.unchanged)).toEqual(["parseint-no-radix@2"]);
+    expect(result.introduced).toEqual([]);
+  });
+
+  test("the same message elsewhere in the function is a new issue", () => {
+    const before = ["function f(a, b) {", "  if (a == 1) return 1;", "  return 0;", "}"].join("\n");
+    const after = ["function f(a, b) {", "  if (a === 1) return 1;", "  if (b == 2) return 2;", "  return 0;", "}"].join("\n");
+    const message = "Loose equality '==' used.";
+    const result = matchIssues(
+      side(before, [issue("loose-equality", 2, message)], functions),
+      side(after, [issue("loose-equality", 3, message)], [{ name: "f", startLine: 1, endLine: 5 }]),
+    );
+
+    expect(rules(result.introduced)).toEqual(["loose-equality@3"]);
+    expect(rules(result.resolved)).toEqual(["loose-equality@2"]);
+    expect(result.unchanged).toEqual([]);
+  });
+
+  test("issues without source lines are keyed by their message", () => {
+    const a = keysFor(issue("unused-export", 3, "Export 'a' is never imported"), null);
+    const b = keysFor(issue("unused-export", 9, "Export 'a' is never imported"), null);
+    expect(a).toEqual(b);
+  });
+});
+
+describe("diff", () => {
+  test("fixing one == and adding another in the same function", async () => {
+    const before = "function f(a, b) {\n  if (a == 1) return 1;\n  return 0;\n}\nmodule.exports = f;\n";
+    const after = "function f(a, b) {\n  if (a === 1) return 1;\n  if (b == 2) return 2;\n  return 0;\n}\nmodule.exports = f;\n";
+    const result = await diff(before, after);
+    const equality = (list) => list.filter((i) => i.rule === "loose-equality").map((i) => i.line);
+
+    expect(equality(result.issuesIntroduced)).toEqual([3]);
+    expect(equality(result.issuesResolved)).toEqual([2]);
+    expect(equality(result.issuesUnchanged)).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+const cm = require("../src/index");
+const { applyFixPass } = require("../src/fix");
+
+// Fixes are offered by rules; these two plugins stand in for them
+const collapseSpaces = {
+  name: "collapse-spaces",
+  language: "*",
+  run(code) {
+    const issues = [];
+    const re = / {2}/g;
+    let match;
+    while ((match = re.exec(code)) !== null) {
+      issues.push({
+        type: "lint",
+        rule: "collapse-spaces",
+        severity: "info",
+        message: "Two spaces in a row.",
+        fix: { range: [match.index, match.index + 2], text: " " },
+      });
+    }
+    return issues;
+  },
+};
+
+const neverDone = {
+  name: "never-done",
+  language: "*",
+  run(code) {
+    return [{
+      type: "lint",
+      rule: "never-done",
+      severity: "info",
+      message: "Always one more semicolon.",
+      fix: { range: [code.length, code.length], text: ";" },
+    }];
+  },
+};
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  cm.use(collapseSpaces);
+  cm.use(neverDone);
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+function fixesOf(report, rule) {
+  return [...report.lint, ...report.bugs].filter((issue) => issue.rule === rule && issue.fix);
+}
+
+describe("applyFixPass", () => {
+  const fix = (start, end, text) => ({ rule: "r", fix: { range: [start, end], text } });
+
+  test("applies separate fixes and skips overlapping and touching ones", () => {
+    const { output, applied, skipped } = applyFixPass("abcdef", [fix(0, 2, "X"), fix(1, 3, "Y"), fix(2, 3, "Z"), fix(4, 5, "W")]);
+
+    expect(output).toBe("XcdWf");
+    expect(applied).toHaveLength(2);
+    expect(skipped.map((issue) => issue.fix.text)).toEqual(["Y", "Z"]);
+  });
+
+  test("applies an identical edit reported twice once", () => {
+    const { output, applied } = applyFixPass("a == b", [fix(2, 4, "==="), fix(2, 4, "===")]);
+
+    expect(output).toBe("a === b");
+    expect(applied).toHaveLength(2);
+  });
+
+  test("skips fixes with an invalid range", () => {
+    const { output, skipped } = applyFixPass("abc", [fix(2, 1, "X"), fix(0, 9, "Y"), { rule: "r", fix: { range: [0, 1] } }]);
+
+    expect(output).toBe("abc");
+    expect(skipped).toHaveLength(3);
+  });
+});
+
+describe("applyFixes", () => {
+  test("applies overlapping fixes over several passes", async () => {
+    const code = "let a    = 1;\n";
+    const report = await cm.analyze(code, { language: "javascript" });
+    const result = await cm.applyFixes(code, fixesOf(report, "collapse-spaces"), { language: "javascript" });
+
+    expect(result.output).toBe("let a = 1;\n");
+    expect(result.passes).toBe(3);
+    expect(result.applied).toHaveLength(3);
+    expect(result.remaining).toEqual([]);
+  });
+
+  test("only re-applies fixes of the rules it was given", async () => {
+    const code = "let a  = 1;\n";
+    const report = await cm.analyze(code, { language: "javascript" });
+    const result = await cm.applyFixes(code, fixesOf(report, "collapse-spaces"), { language: "javascript" });
+
+    expect(result.output).toBe("let a = 1;\n");
+    expect(result.passes).toBe(1);
+  });
+
+  test("stops after 10 passes when fixes keep coming", async () => {
+    const code = "let a = 1\n";
+    const report = await cm.analyze(code, { language: "javascript" });
+    const result = await cm.applyFixes(code, fixesOf(report, "never-done"), { language: "javascript" });
+
+    expect(result.passes).toBe(10);
+    expect(result.output).toBe(`${code};;;;;;;;;;`);
+    expect(result.remaining.map((issue) => issue.rule)).toEqual(["never-done"]);
+  });
+
+  test("leaves the code alone without fixes", async () => {
+    const result = await cm.applyFixes("let a = 1;\n", [{ rule: "x", message: "no fix" }]);
+
+    expect(result).toMatchObject({ output: "let a = 1;\n", applied: [], passes: 0, report: null });
+  });
+});
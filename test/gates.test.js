@@ -0,0 +1,27 @@
+"use strict";
+
+const { evaluate, checkGates, GRADES } = require("../src/gates");
+const { getGrade } = require("../src/scoring/grades");
+
+function report(score, filePath = "a.js") {
+  return { filePath, score, bugs: [], lint: [], security: [], redundancy: [], complexity: null };
+}
+
+describe("min-grade gate", () => {
+  test("lists every grade getGrade() can return, best first", () => {
+    const grades = [100, 95, 91, 88, 85, 81, 78, 75, 71, 68, 65, 61, 10].map(getGrade);
+    expect(GRADES).toEqual(grades);
+  });
+
+  test("passes at the grade and fails below it", () => {
+    const gate = (score) => evaluate([report(score)], [], { minGrade: "B" }).gates[0];
+
+    expect(gate(83)).toMatchObject({ gate: "min-grade", actual: "B", passed: true });
+    expect(gate(95)).toMatchObject({ actual: "A", passed: true });
+    expect(gate(82)).toMatchObject({ actual: "B-", passed: false });
+  });
+
+  test("rejects unknown grades", () => {
+    expect(checkGates({ minGrade: "E" })).toEqual([`"gates.minGrade" must be one of ${GRADES.join(", ")}`]);
+  });
+});
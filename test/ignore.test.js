@@ -0,0 +1,111 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createIgnore, describeIgnore, parseIgnoreFile } = require("../src/ignore");
+
+let root;
+
+function write(relative, text = "") {
+  const file = path.join(root, relative);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+function at(relative) {
+  return path.join(root, relative);
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "code-maester-ignore-"));
+  fs.mkdirSync(path.join(root, ".git"));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("parseIgnoreFile", () => {
+  test("skips comments and blank lines and keeps line numbers", () => {
+    expect(parseIgnoreFile("# generated\n\ndist/\n!dist/keep.js  \n\\#hash\n")).toEqual([
+      { pattern: "dist/", negated: false, line: 3 },
+      { pattern: "dist/keep.js", negated: true, line: 4 },
+      { pattern: "#hash", negated: false, line: 5 },
+    ]);
+  });
+});
+
+describe("createIgnore", () => {
+  test("excludes dependencies at any depth", () => {
+    const { explain } = createIgnore({ cwd: root });
+
+    expect(explain(at("node_modules/a/index.js"))).toMatchObject({ kind: "default", pattern: "node_modules/" });
+    expect(explain(at("packages/app/node_modules/a/index.js"))).toMatchObject({ kind: "default" });
+  });
+
+  test("excludes build output only at the top", () => {
+    const { explain } = createIgnore({ cwd: root });
+
+    expect(explain(at("build/index.js"))).toMatchObject({ kind: "default", pattern: "/build/" });
+    expect(explain(at("dist"), { directory: true })).toMatchObject({ pattern: "/dist/" });
+    expect(explain(at("src/build/index.js"))).toBeNull();
+    expect(explain(at("src/vendor/lib.js"))).toBeNull();
+  });
+
+  test("excludes minified files anywhere", () => {
+    const { explain } = createIgnore({ cwd: root });
+
+    expect(explain(at("src/lib/jquery.min.js"))).toMatchObject({ kind: "default", pattern: "*.min.js" });
+    expect(explain(at("src/app.js"))).toBeNull();
+  });
+
+  test("names the ignore file and line that excludes a path", () => {
+    write(".gitignore", "# output\ngenerated/\n");
+    const { explain } = createIgnore({ cwd: root });
+    const reason = explain(at("src/generated/api.js"));
+
+    expect(reason).toEqual({ kind: "ignore-file", pattern: "generated/", source: at(".gitignore"), line: 2 });
+    expect(describeIgnore(reason, root)).toBe("'generated/' in .gitignore:2");
+  });
+
+  test("lets .codemaesterignore and deeper files re-include", () => {
+    write(".gitignore", "*.gen.js\n");
+    write(".codemaesterignore", "!api.gen.js\n");
+    write("src/.gitignore", "!types.gen.js\n");
+    const { explain } = createIgnore({ cwd: root });
+
+    expect(explain(at("src/api.gen.js"))).toBeNull();
+    expect(explain(at("src/types.gen.js"))).toBeNull();
+    expect(explain(at("src/other.gen.js"))).toMatchObject({ source: at(".gitignore"), line: 1 });
+  });
+
+  test("re-includes a default exclusion", () => {
+    write(".codemaesterignore", "!/vendor/\n");
+    const { explain } = createIgnore({ cwd: root });
+
+    expect(explain(at("vendor/lib.js"))).toBeNull();
+  });
+
+  test("never re-includes files inside an excluded directory", () => {
+    write(".gitignore", "generated/\n!generated/api.js\n");
+    const { explain } = createIgnore({ cwd: root });
+
+    expect(explain(at("generated/api.js"))).toMatchObject({ pattern: "generated/" });
+  });
+
+  test("reads ignore files no higher than the repository root", () => {
+    write(".gitignore", "*.js\n");
+    write("nested/.git/HEAD");
+    const { explain } = createIgnore({ cwd: root });
+
+    expect(explain(at("nested/index.js"))).toBeNull();
+  });
+
+  test("can leave out the defaults or the ignore files", () => {
+    write(".gitignore", "*.gen.js\n");
+
+    expect(createIgnore({ cwd: root, defaults: false }).explain(at("build/index.js"))).toBeNull();
+    expect(createIgnore({ cwd: root, ignoreFiles: false }).explain(at("src/api.gen.js"))).toBeNull();
+  });
+});